@@ -4,21 +4,62 @@
 
 const APP = {
   dbName: "idea_vault_db",
-  dbVersion: 1,
+  dbVersion: 0, // set from DB_MIGRATIONS below
   stores: {
     ideas: "ideas",
     images: "images",
     settings: "settings",
+    revisions: "revisions",
+    trash: "trash",
+    tombstones: "tombstones",
+    sessions: "sessions",
+  },
+  trashRetentionDays: 30,
+  // Sync: deletions are remembered this long so every device gets to see them.
+  syncTombstoneDays: 180,
+  syncIntervalMs: 5*60*1000,
+  // Resurfacing: default days until a Parked / Long-Term idea comes up for review (each
+  // bucket can set its own), doubled each time it is snoozed, up to revisitMaxDays.
+  revisitDays: { parked: 14, long_term: 90 },
+  revisitMaxDays: 730,
+  revisitCheckMs: 60*60*1000,
+  // Triage queue: Sparks older than this many days (Daily Sweep can change it); a snoozed
+  // item stays out of the queue for triageSnoozeDays.
+  triageSparkDays: 30,
+  triageSnoozeDays: 7,
+  // Focus timer default (pomodoro mode).
+  focusMinutes: 25,
+  // Vault lock: PBKDF2 rounds for new passphrases, default idle minutes before auto-lock.
+  lockKdfIterations: 310000,
+  autoLockMinutes: 10,
+  // Revision history: autosave bursts are coalesced into one snapshot while edits keep
+  // arriving within idleMs (capped at maxWindowMs); pruning keeps the newest keepRecent,
+  // then one per day, never more than maxPerIdea and nothing older than maxAgeDays.
+  revisionPolicy: {
+    idleMs: 60*1000,
+    maxWindowMs: 10*60*1000,
+    keepRecent: 20,
+    maxPerIdea: 60,
+    maxAgeDays: 90
   },
   state: {
-    bucket: "active", // active | parked | long_term | sparks
-    view: null,       // daily | export | settings
+    bucket: "active", // a bucket id from buckets
+    buckets: [],      // bucket definitions, sidebar order (see Buckets)
+    ventures: [],     // venture registry (see Ventures)
+    mdPreview: {},    // field -> true while description / keyNotes show rendered Markdown
+    view: null,       // daily | triage | actions | review | graph | ventures | tags | export | trash | settings | smartviews | buckets | focus
     ideas: [],
     selectedId: null,
+    selection: new Set(), // ids ticked for bulk edits (see Multi-select)
+    selectionAnchor: null,
     search: "",
     filters: { venture: "", priority: "", tag: "" },
     sort: "updatedAt_desc",
+    smartViews: [],
+    smartViewId: null,
     autosaveTimer: null,
+    toastTimer: null,
+    dialogDismiss: null,
     lastSavedAt: 0
   },
   ui: {}
@@ -51,6 +92,18 @@ function todayBounds() {
   return { start, end };
 }
 
+// Local calendar day as "YYYY-MM-DD", the format of <input type="date">.
+function localDateKey(ts=now()) {
+  const d = new Date(ts);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+function startOfDay(ts) {
+  const d = new Date(ts);
+  d.setHours(0,0,0,0);
+  return d.getTime();
+}
+
 function clampText(str, n=140) {
   const s = (str || "").trim();
   if (s.length <= n) return s;
@@ -69,10 +122,42 @@ function priorityRank(p) {
 
 function setSaveStatus(mode, text) {
   const el = APP.ui.saveStatus;
-  el.classList.remove("saving","offline");
+  el.classList.remove("saving","offline","error");
   if (mode === "saving") el.classList.add("saving");
   if (mode === "offline") el.classList.add("offline");
+  if (mode === "error") el.classList.add("error");
   el.textContent = text;
+  el.title = mode === "error" ? "Click to retry" : "";
+}
+
+function bytesToBase64(bytes) {
+  let bin = "";
+  for (let i=0;i<bytes.length;i+=0x8000) bin += String.fromCharCode(...bytes.subarray(i, i+0x8000));
+  return btoa(bin);
+}
+
+function base64ToBytes(b64) {
+  const bin = atob(b64);
+  const bytes = new Uint8Array(bin.length);
+  for (let i=0;i<bin.length;i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+}
+
+// 3725000 -> "1h 02m"; under a minute -> "<1m".
+function fmtDuration(ms) {
+  const mins = Math.floor((ms || 0) / 60000);
+  if (mins < 1) return "<1m";
+  if (mins < 60) return `${mins}m`;
+  return `${Math.floor(mins / 60)}h ${String(mins % 60).padStart(2, "0")}m`;
+}
+
+// Timer display: "04:59", or "1:02:03" past an hour.
+function fmtClock(ms) {
+  const total = Math.max(0, Math.round(ms / 1000));
+  const h = Math.floor(total / 3600);
+  const m = String(Math.floor((total % 3600) / 60)).padStart(h ? 2 : 1, "0");
+  const sec = String(total % 60).padStart(2, "0");
+  return h ? `${h}:${m}:${sec}` : `${m.padStart(2, "0")}:${sec}`;
 }
 
 function safeUrl(url) {
@@ -83,6 +168,603 @@ function safeUrl(url) {
   return u;
 }
 
+// ---------- Markdown ----------
+// The subset used in description / keyNotes: headings, paragraphs, nested lists with
+// - [ ] tasks, > quotes, fenced and inline code, **bold**, *italic*, ~~strike~~, links,
+// [[idea links]], --- rules and pipe tables. Safe by construction: all source text goes
+// through escapeHtml, only the tags below are emitted, and links must be http(s) or mailto.
+const MD_LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const MD_TABLE_RULE = /^\s*\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?\s*$/;
+const MD_INLINE = /`([^`\n]+)`|\[\[([^\[\]\n]+?)\]\]|\[([^\]\n]+)\]\(([^()\s]+)\)|(https?:\/\/[^\s<>()]+[^\s<>().,;:!?'"])|\*\*(.+?)\*\*|__(.+?)__|~~(.+?)~~|\*([^*\s](?:[^*]*?[^*\s])?)\*|(?<!\w)_([^_\s](?:[^_]*?[^_\s])?)_(?!\w)/g;
+
+function mdSafeHref(url) {
+  const u = String(url || "").trim();
+  if (/^(https?:\/\/|mailto:)/i.test(u)) return u;
+  if (/^[\w-]+(\.[\w-]+)+(\/|$)/.test(u)) return "https://" + u;
+  return null;
+}
+
+function renderInlineMarkdown(text, idea=null) {
+  const src = String(text || "");
+  let out = "", last = 0;
+  for (const m of src.matchAll(MD_INLINE)) {
+    out += escapeHtml(src.slice(last, m.index));
+    last = m.index + m[0].length;
+    const [, code, wiki, label, url, auto, bold, bold2, strike, em, em2] = m;
+    if (code !== undefined) {
+      out += `<code>${escapeHtml(code)}</code>`;
+    } else if (wiki !== undefined) {
+      const target = idea ? resolveRef(idea, wiki.trim()) : findIdeaByTitle(wiki);
+      out += target
+        ? `<a href="#" class="md-ref" data-id="${escapeHtml(target.id)}">${escapeHtml(wiki)}</a>`
+        : `<span class="md-ref missing">${escapeHtml(wiki)}</span>`;
+    } else if (label !== undefined) {
+      const href = mdSafeHref(url);
+      out += href
+        ? `<a href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer">${renderInlineMarkdown(label, idea)}</a>`
+        : escapeHtml(m[0]);
+    } else if (auto !== undefined) {
+      out += `<a href="${escapeHtml(auto)}" target="_blank" rel="noopener noreferrer">${escapeHtml(auto)}</a>`;
+    } else if (bold !== undefined || bold2 !== undefined) {
+      out += `<strong>${renderInlineMarkdown(bold ?? bold2, idea)}</strong>`;
+    } else if (strike !== undefined) {
+      out += `<del>${renderInlineMarkdown(strike, idea)}</del>`;
+    } else {
+      out += `<em>${renderInlineMarkdown(em ?? em2, idea)}</em>`;
+    }
+  }
+  return out + escapeHtml(src.slice(last));
+}
+
+function mdIsTableStart(lines, i) {
+  return lines[i].includes("|") && i + 1 < lines.length && lines[i + 1].includes("-") && MD_TABLE_RULE.test(lines[i + 1]);
+}
+
+function mdBlockStart(lines, i) {
+  const line = lines[i];
+  return /^\s*(```|~~~)/.test(line) || /^#{1,6}\s/.test(line) || /^\s*>/.test(line) ||
+    /^\s*([-*_])(\s*\1){2,}\s*$/.test(line) || MD_LIST_ITEM.test(line) || mdIsTableStart(lines, i);
+}
+
+function mdTableCells(line) {
+  return line.trim().replace(/^\|/, "").replace(/\|$/, "").split(/(?<!\\)\|/).map(c => c.trim().replace(/\\\|/g, "|"));
+}
+
+// Consumes list lines from i at one indent level (deeper items nest); returns the html and
+// the index of the first line after the list.
+function renderMdList(lines, i, inline) {
+  const first = MD_LIST_ITEM.exec(lines[i]);
+  const indent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const items = [];
+
+  while (i < lines.length) {
+    const m = MD_LIST_ITEM.exec(lines[i]);
+    if (!m) {
+      // An indented plain line continues the previous item.
+      const lead = /^\s*/.exec(lines[i])[0].length;
+      if (!lines[i].trim() || !items.length || lead <= indent) break;
+      items[items.length - 1].text += " " + lines[i].trim();
+      i++;
+      continue;
+    }
+    if (m[1].length < indent) break;
+    if (m[1].length > indent && items.length) {
+      const sub = renderMdList(lines, i, inline);
+      items[items.length - 1].children += sub.html;
+      i = sub.next;
+      continue;
+    }
+    if (/\d/.test(m[2]) !== ordered) break;
+    items.push({ text: m[3], children: "" });
+    i++;
+  }
+
+  const tag = ordered ? "ol" : "ul";
+  const start = ordered ? parseInt(first[2], 10) : 1;
+  const html = items.map(item => {
+    const task = /^\[([ xX])\]\s+(.*)$/.exec(item.text);
+    return task
+      ? `<li class="md-task"><input type="checkbox" disabled${task[1] === " " ? "" : " checked"} /> ${inline(task[2])}${item.children}</li>`
+      : `<li>${inline(item.text)}${item.children}</li>`;
+  }).join("");
+  return { html: `<${tag}${start !== 1 ? ` start="${start}"` : ""}>${html}</${tag}>`, next: i };
+}
+
+function renderMarkdown(src, { idea=null } = {}) {
+  const lines = String(src || "").replace(/\r\n?/g, "\n").split("\n");
+  const inline = (t) => renderInlineMarkdown(t, idea);
+  const out = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const fence = /^\s*(```|~~~)\s*([\w+-]*)/.exec(line);
+    if (fence) {
+      const body = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) body.push(lines[i++]);
+      i++;
+      out.push(`<pre><code${fence[2] ? ` data-lang="${escapeHtml(fence[2])}"` : ""}>${escapeHtml(body.join("\n"))}</code></pre>`);
+      continue;
+    }
+
+    const heading = /^(#{1,6})\s+(.*?)\s*#*\s*$/.exec(line);
+    if (heading) {
+      const n = heading[1].length;
+      out.push(`<h${n}>${inline(heading[2])}</h${n}>`);
+      i++;
+      continue;
+    }
+
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      out.push("<hr />");
+      i++;
+      continue;
+    }
+
+    if (/^\s*>/.test(line)) {
+      const body = [];
+      while (i < lines.length && /^\s*>/.test(lines[i])) body.push(lines[i++].replace(/^\s*>\s?/, ""));
+      out.push(`<blockquote>${renderMarkdown(body.join("\n"), { idea })}</blockquote>`);
+      continue;
+    }
+
+    if (mdIsTableStart(lines, i)) {
+      const head = mdTableCells(line);
+      const align = mdTableCells(lines[i + 1]).map(c => c.endsWith(":") ? (c.startsWith(":") ? "center" : "right") : (c.startsWith(":") ? "left" : ""));
+      const cell = (tag, text, k) => `<${tag}${align[k] ? ` style="text-align:${align[k]}"` : ""}>${inline(text)}</${tag}>`;
+      i += 2;
+      const rows = [];
+      while (i < lines.length && lines[i].trim() && lines[i].includes("|")) {
+        const cells = mdTableCells(lines[i++]);
+        rows.push(`<tr>${head.map((_, k) => cell("td", cells[k] || "", k)).join("")}</tr>`);
+      }
+      out.push(`<table><thead><tr>${head.map((h, k) => cell("th", h, k)).join("")}</tr></thead><tbody>${rows.join("")}</tbody></table>`);
+      continue;
+    }
+
+    if (MD_LIST_ITEM.test(line)) {
+      const list = renderMdList(lines, i, inline);
+      out.push(list.html);
+      i = list.next;
+      continue;
+    }
+
+    const para = [line.trim()];
+    i++;
+    while (i < lines.length && lines[i].trim() && !mdBlockStart(lines, i)) para.push(lines[i++].trim());
+    out.push(`<p>${para.map(inline).join("<br />")}</p>`);
+  }
+
+  return out.join("\n");
+}
+
+// Plain text for one-line snippets: markup dropped, link and [[ref]] labels kept.
+function markdownToText(src) {
+  return String(src || "")
+    .replace(/^\s*(```|~~~).*$/gm, "")
+    .replace(/^\s*#{1,6}\s+/gm, "")
+    .replace(/^\s*>\s?/gm, "")
+    .replace(/^\s*([-*+]|\d{1,9}[.)])\s+(\[[ xX]\]\s+)?/gm, "")
+    .replace(/^\s*\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?\s*$/gm, "")
+    .replace(/\[\[([^\[\]\n]+?)\]\]/g, "$1")
+    .replace(/\[([^\]\n]+)\]\([^()\s]+\)/g, "$1")
+    .replace(/(\*\*|__|~~|`)/g, "")
+    .replace(/(^|[^\w*])[*_](\S(?:[^*_\n]*?\S)?)[*_](?![\w*])/g, "$1$2")
+    .replace(/\s*(?<!\\)\|\s*/g, " ")
+    .replace(/\\\|/g, "|")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Markdown blocks rendered into the page: [[refs]] inside them jump to the idea.
+function bindMarkdownRefs(root) {
+  root.addEventListener("click", async (e) => {
+    const ref = e.target.closest?.(".md-ref[data-id]");
+    if (!ref) return;
+    e.preventDefault();
+    e.stopPropagation();
+    await flushAutosave();
+    await jumpToIdea(ref.getAttribute("data-id"));
+  });
+}
+
+// ---------- Migrations ----------
+// Database schema: ordered steps, each run once inside the upgrade transaction when
+// the stored version is below it. Never edit a shipped step; append a new one.
+const DB_MIGRATIONS = [
+  {
+    version: 1,
+    name: "ideas, images, settings",
+    up(db) {
+      const ideas = db.createObjectStore(APP.stores.ideas, { keyPath: "id" });
+      ideas.createIndex("bucket", "bucket", { unique: false });
+      ideas.createIndex("updatedAt", "updatedAt", { unique: false });
+      ideas.createIndex("createdAt", "createdAt", { unique: false });
+
+      const images = db.createObjectStore(APP.stores.images, { keyPath: "id" });
+      images.createIndex("ideaId", "ideaId", { unique: false });
+      images.createIndex("createdAt", "createdAt", { unique: false });
+
+      db.createObjectStore(APP.stores.settings, { keyPath: "key" });
+    }
+  },
+  {
+    version: 2,
+    name: "revisions",
+    up(db) {
+      const revisions = db.createObjectStore(APP.stores.revisions, { keyPath: "id" });
+      revisions.createIndex("ideaId", "ideaId", { unique: false });
+      revisions.createIndex("createdAt", "createdAt", { unique: false });
+    }
+  },
+  {
+    version: 3,
+    name: "trash",
+    up(db) {
+      const trash = db.createObjectStore(APP.stores.trash, { keyPath: "id" });
+      trash.createIndex("deletedAt", "deletedAt", { unique: false });
+    }
+  },
+  {
+    version: 4,
+    name: "sync tombstones",
+    up(db) {
+      const tombstones = db.createObjectStore(APP.stores.tombstones, { keyPath: "id" });
+      tombstones.createIndex("deletedAt", "deletedAt", { unique: false });
+    }
+  },
+  {
+    version: 5,
+    name: "focus sessions",
+    up(db) {
+      const sessions = db.createObjectStore(APP.stores.sessions, { keyPath: "id" });
+      sessions.createIndex("ideaId", "ideaId", { unique: false });
+      sessions.createIndex("startedAt", "startedAt", { unique: false });
+    }
+  }
+];
+APP.dbVersion = DB_MIGRATIONS[DB_MIGRATIONS.length - 1].version;
+
+// Idea records carry schemaVersion. Older records are upgraded step by step when read
+// (loadAllIdeas persists the result), so steps must tolerate partially filled records.
+const IDEA_MIGRATIONS = [
+  {
+    version: 1,
+    name: "baseline fields",
+    up(idea) {
+      const out = { ...newIdea(), ...idea };
+      for (const k of ["links", "tags", "imageIds"]) {
+        if (typeof out[k] === "string") out[k] = out[k].split(",").map(s => s.trim()).filter(Boolean);
+        if (!Array.isArray(out[k])) out[k] = [];
+      }
+      return out;
+    }
+  },
+  {
+    version: 2,
+    name: "action checklist",
+    up(idea) {
+      const actions = Array.isArray(idea.actions) ? idea.actions : [];
+      return { ...idea, actions: actions.map(a => newAction(a)) };
+    }
+  },
+  {
+    version: 3,
+    name: "revisit schedule",
+    up(idea) {
+      // Ideas already waiting in Parked / Long-Term come up one interval after their last edit.
+      const days = APP.revisitDays[idea.bucket];
+      const revisitAt = idea.revisitAt ?? (days ? startOfDay((idea.updatedAt || now()) + days*864e5) : null);
+      return { ...idea, revisitAt, snoozeCount: Number(idea.snoozeCount) || 0 };
+    }
+  },
+  {
+    version: 4,
+    name: "triage inbox",
+    up(idea) {
+      return { ...idea, inbox: !!idea.inbox, triagedAt: idea.triagedAt || null };
+    }
+  },
+  {
+    version: 5,
+    name: "idea references",
+    up(idea) {
+      // Labels written before this step resolve by title until the text is next edited.
+      const refs = idea.refs && typeof idea.refs === "object" && !Array.isArray(idea.refs) ? idea.refs : {};
+      return { ...idea, refs };
+    }
+  }
+];
+const IDEA_SCHEMA_VERSION = IDEA_MIGRATIONS[IDEA_MIGRATIONS.length - 1].version;
+
+function migrateIdea(rec) {
+  const from = Number(rec.schemaVersion) || 0;
+  if (from > IDEA_SCHEMA_VERSION) {
+    throw new Error(`“${rec.title || rec.id}” was saved by a newer version of Idea Vault (record v${from}, this app knows v${IDEA_SCHEMA_VERSION}).`);
+  }
+  let out = { ...rec };
+  for (const step of IDEA_MIGRATIONS) {
+    if (step.version > from) out = step.up(out);
+  }
+  out.schemaVersion = IDEA_SCHEMA_VERSION;
+  return out;
+}
+
+// Export bundles: meta.version is the bundle format. Upgraders lift older bundles to the
+// current format; bundles from a newer app are refused instead of half-imported.
+const BUNDLE_MIGRATIONS = [
+  {
+    version: 1,
+    name: "meta + ideas + images",
+    up(data) {
+      // Pre-meta backups: a bare list of ideas, or { ideas } without images.
+      const out = Array.isArray(data) ? { ideas: data } : { ...data };
+      out.meta = { app: "Idea Vault", ...(out.meta || {}) };
+      out.images = Array.isArray(out.images) ? out.images : [];
+      return out;
+    }
+  }
+];
+const BUNDLE_VERSION = BUNDLE_MIGRATIONS[BUNDLE_MIGRATIONS.length - 1].version;
+
+function upgradeBundle(data) {
+  if (!data || typeof data !== "object") throw new Error("Invalid export format.");
+  const from = Array.isArray(data) ? 0 : Number(data.meta?.version ?? 0);
+  if (!Number.isFinite(from)) throw new Error("Invalid export format (bad meta.version).");
+  if (from > BUNDLE_VERSION) {
+    throw new Error(`This backup was made by a newer version of Idea Vault (format v${from}; this app reads up to v${BUNDLE_VERSION}). Update the app, then import again.`);
+  }
+
+  let out = data;
+  for (const step of BUNDLE_MIGRATIONS) {
+    if (step.version > from) out = step.up(out);
+  }
+  if (!Array.isArray(out.ideas)) throw new Error("Invalid export format.");
+  out.meta = { ...out.meta, version: BUNDLE_VERSION };
+  out.ideas = out.ideas.map(migrateIdea);
+  return out;
+}
+
+// ---------- Vault lock ----------
+// Optional passphrase lock. The IDB wrapper seals record content with AES-GCM on put and
+// opens it on read; the fields below stay in plaintext so keys, indexes and ordering work.
+const LOCK_SETTING = "vaultLock";
+const LOCK_PLAIN_FIELDS = {
+  ideas: ["id", "bucket", "createdAt", "updatedAt", "schemaVersion"],
+  images: ["id", "ideaId", "createdAt"],
+  revisions: ["id", "ideaId", "createdAt", "updatedAt"],
+  trash: ["id", "kind", "deletedAt"],
+  sessions: ["id", "ideaId", "startedAt", "endedAt"],
+  settings: ["key", "updatedAt"]
+};
+const LOCK_CHECK_TEXT = "idea-vault:unlocked";
+// Settings rows that must stay readable (the lock itself) or hold non-JSON values.
+const LOCK_RAW_SETTINGS = new Set([LOCK_SETTING, "syncFolder"]);
+
+const LOCK = {
+  key: null,    // CryptoKey, only while unlocked
+  config: null, // { salt, iterations, check, autoLockMinutes } once a passphrase is set
+  lastActivity: 0,
+  watching: false,
+
+  get enabled() {
+    return !!LOCK.config;
+  },
+
+  async deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+    return crypto.subtle.deriveKey(
+      { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+      material,
+      { name: "AES-GCM", length: 256 },
+      false,
+      ["encrypt", "decrypt"]
+    );
+  },
+
+  async encrypt(bytes, key=LOCK.key) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, bytes);
+    return { iv, data: new Uint8Array(data) };
+  },
+
+  async decrypt(box, key=LOCK.key) {
+    return new Uint8Array(await crypto.subtle.decrypt({ name: "AES-GCM", iv: box.iv }, key, box.data));
+  },
+
+  async seal(store, value, key=LOCK.key) {
+    const plain = LOCK_PLAIN_FIELDS[store];
+    if (!plain || !key || value.sealed || (store === APP.stores.settings && LOCK_RAW_SETTINGS.has(value.key))) return value;
+
+    const out = {};
+    const rest = {};
+    for (const [k, v] of Object.entries(value)) {
+      if (plain.includes(k)) out[k] = v;
+      else rest[k] = v;
+    }
+    if (rest.blob instanceof Blob) {
+      out.sealedBlob = await LOCK.encrypt(new Uint8Array(await rest.blob.arrayBuffer()), key);
+      delete rest.blob;
+    }
+    out.sealed = await LOCK.encrypt(new TextEncoder().encode(JSON.stringify(rest)), key);
+    return out;
+  },
+
+  async open(value) {
+    if (!value || !value.sealed) return value;
+    if (!LOCK.key) throw new Error("The vault is locked.");
+    const { sealed, sealedBlob, ...plain } = value;
+    const rest = JSON.parse(new TextDecoder().decode(await LOCK.decrypt(sealed)));
+    const out = { ...plain, ...rest };
+    if (sealedBlob) out.blob = new Blob([await LOCK.decrypt(sealedBlob)], { type: rest.type || "" });
+    return out;
+  },
+
+  async load() {
+    LOCK.config = await IDB.getSetting(LOCK_SETTING, null);
+  },
+
+  async unlock(passphrase) {
+    const c = LOCK.config;
+    const key = await LOCK.deriveKey(passphrase, c.salt, c.iterations);
+    try {
+      await LOCK.decrypt(c.check, key);
+    } catch {
+      return false;
+    }
+    LOCK.key = key;
+    LOCK.touch();
+    return true;
+  },
+
+  async checkPassphrase(passphrase) {
+    const key = await LOCK.deriveKey(passphrase, LOCK.config.salt, LOCK.config.iterations);
+    try {
+      await LOCK.decrypt(LOCK.config.check, key);
+      return true;
+    } catch {
+      return false;
+    }
+  },
+
+  // New passphrase (or null to remove the lock): every sealable record is re-written
+  // in one transaction so a crash can't leave a mix of old and new keys behind.
+  async setPassphrase(passphrase) {
+    await flushAutosave();
+    let nextKey = null;
+    let nextConfig = null;
+    if (passphrase) {
+      const salt = crypto.getRandomValues(new Uint8Array(16));
+      const iterations = APP.lockKdfIterations;
+      nextKey = await LOCK.deriveKey(passphrase, salt, iterations);
+      nextConfig = {
+        salt,
+        iterations,
+        check: await LOCK.encrypt(new TextEncoder().encode(LOCK_CHECK_TEXT), nextKey),
+        autoLockMinutes: LOCK.config?.autoLockMinutes ?? APP.autoLockMinutes
+      };
+    }
+
+    const stores = Object.keys(LOCK_PLAIN_FIELDS);
+    const writes = [];
+    for (const store of stores) {
+      for (const row of await IDB.getAll(store)) {
+        if (store === APP.stores.settings && row.key === LOCK_SETTING) continue;
+        writes.push([store, await LOCK.seal(store, row, nextKey)]);
+      }
+    }
+
+    await new Promise((resolve, reject) => {
+      const tx = IDB.db.transaction(stores, "readwrite");
+      for (const [store, row] of writes) tx.objectStore(store).put(row);
+      const settings = tx.objectStore(APP.stores.settings);
+      if (nextConfig) settings.put({ key: LOCK_SETTING, value: nextConfig, updatedAt: now() });
+      else settings.delete(LOCK_SETTING);
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error("Re-encryption was aborted."));
+    });
+
+    LOCK.key = nextKey;
+    LOCK.config = nextConfig;
+    LOCK.touch();
+    TABS.noteChange(APP.stores.settings, LOCK_SETTING);
+  },
+
+  async setAutoLockMinutes(minutes) {
+    LOCK.config = { ...LOCK.config, autoLockMinutes: minutes };
+    await IDB.setSetting(LOCK_SETTING, LOCK.config);
+  },
+
+  // Locking drops the key and every decrypted copy by reloading into the unlock screen.
+  // Other tabs lock with it unless fromTab says the request came from one of them.
+  async lockNow({ fromTab=false } = {}) {
+    if (!fromTab) TABS.post({ type: "lock" });
+    await flushAutosave();
+    LOCK.key = null;
+    location.reload();
+  },
+
+  touch() {
+    LOCK.lastActivity = now();
+  },
+
+  watchIdle() {
+    if (LOCK.watching) return;
+    LOCK.watching = true;
+    for (const ev of ["pointerdown", "keydown", "wheel", "touchstart"]) {
+      window.addEventListener(ev, LOCK.touch, { passive: true });
+    }
+    setInterval(() => {
+      const minutes = LOCK.config?.autoLockMinutes || 0;
+      if (LOCK.key && minutes > 0 && now() - LOCK.lastActivity > minutes*60*1000) LOCK.lockNow();
+    }, 30*1000);
+  }
+};
+
+function showLockScreen() {
+  const screen = $("#lockScreen");
+  const form = $("#lockForm");
+  const input = $("#lockPassphrase");
+  const error = $("#lockError");
+  screen.classList.remove("hidden");
+  input.focus();
+
+  return new Promise(resolve => {
+    form.addEventListener("submit", async function onSubmit(e) {
+      e.preventDefault();
+      error.textContent = "Unlocking…";
+      if (await LOCK.unlock(input.value)) {
+        form.removeEventListener("submit", onSubmit);
+        input.value = "";
+        error.textContent = "";
+        screen.classList.add("hidden");
+        resolve();
+      } else {
+        error.textContent = "Wrong passphrase.";
+        input.select();
+      }
+    });
+  });
+}
+
+// Resolves with the entered passphrase, or null when cancelled.
+function promptPassphrase({ title, text, confirm=false }) {
+  const body = document.createElement("div");
+  body.innerHTML = `
+    <div class="muted small" style="margin-bottom:10px">${text}</div>
+    <input type="password" data-f="pass" autocomplete="${confirm ? "new-password" : "current-password"}" placeholder="Passphrase" />
+    ${confirm ? `<input type="password" data-f="again" autocomplete="new-password" placeholder="Repeat passphrase" style="margin-top:8px" />` : ""}
+  `;
+  return new Promise(resolve => {
+    showDialog({
+      title,
+      body,
+      actions: [
+        { label: "Cancel", kind: "btn-ghost", onClick: () => resolve(null) },
+        { label: "OK", kind: "btn-primary", onClick: () => {
+          const pass = body.querySelector('[data-f="pass"]').value;
+          const again = body.querySelector('[data-f="again"]')?.value;
+          if (!pass || (confirm && pass !== again)) {
+            showToast(confirm ? "Passphrases are empty or don’t match." : "No passphrase entered.");
+            resolve(null);
+            return;
+          }
+          resolve(pass);
+        }}
+      ]
+    });
+    body.querySelector("input").focus();
+  });
+}
+
 // ---------- IndexedDB Wrapper ----------
 const IDB = {
   db: null,
@@ -91,32 +773,29 @@ const IDB = {
     return new Promise((resolve, reject) => {
       const req = indexedDB.open(APP.dbName, APP.dbVersion);
 
-      req.onupgradeneeded = () => {
+      req.onupgradeneeded = (e) => {
         const db = req.result;
-
-        // ideas store
-        if (!db.objectStoreNames.contains(APP.stores.ideas)) {
-          const ideas = db.createObjectStore(APP.stores.ideas, { keyPath: "id" });
-          ideas.createIndex("bucket", "bucket", { unique: false });
-          ideas.createIndex("updatedAt", "updatedAt", { unique: false });
-          ideas.createIndex("createdAt", "createdAt", { unique: false });
-        }
-
-        // images store
-        if (!db.objectStoreNames.contains(APP.stores.images)) {
-          const images = db.createObjectStore(APP.stores.images, { keyPath: "id" });
-          images.createIndex("ideaId", "ideaId", { unique: false });
-          images.createIndex("createdAt", "createdAt", { unique: false });
+        for (const m of DB_MIGRATIONS) {
+          if (m.version > e.oldVersion && m.version <= e.newVersion) m.up(db, req.transaction);
         }
+      };
 
-        // settings store
-        if (!db.objectStoreNames.contains(APP.stores.settings)) {
-          db.createObjectStore(APP.stores.settings, { keyPath: "key" });
-        }
+      // Another tab still has the old schema open; the upgrade resumes once it closes.
+      req.onblocked = () => {
+        setSaveStatus("offline", "Close other Idea Vault tabs");
       };
 
       req.onsuccess = () => {
         IDB.db = req.result;
+        // A newer version in another tab wants to upgrade: step aside.
+        IDB.db.onversionchange = () => {
+          IDB.db.close();
+          showDialog({
+            title: "Idea Vault was updated",
+            body: `<div style="color:rgba(234,241,255,.92);line-height:1.5">A newer version was opened in another tab. Reload to continue.</div>`,
+            actions: [{ label: "Reload", kind: "btn-primary", onClick: () => location.reload() }]
+          });
+        };
         resolve(IDB.db);
       };
       req.onerror = () => reject(req.error);
@@ -128,54 +807,112 @@ const IDB = {
     return t.objectStore(store);
   },
 
-  get(store, key) {
-    return new Promise((resolve, reject) => {
+  async get(store, key) {
+    const row = await new Promise((resolve, reject) => {
       const req = IDB.tx(store).get(key);
       req.onsuccess = () => resolve(req.result || null);
       req.onerror = () => reject(req.error);
     });
+    return LOCK.open(row);
   },
 
-  put(store, value) {
-    return new Promise((resolve, reject) => {
-      const req = IDB.tx(store, "readwrite").put(value);
-      req.onsuccess = () => resolve(value);
-      req.onerror = () => reject(req.error);
+  // Several writes, across any stores, in one transaction: all of them land or none do.
+  // ops: [{ store, put: value } | { store, delete: key, trashed? }]. Stamping and sealing are async, so
+  // both happen before the transaction opens; deletes from synced stores bring their
+  // tombstones into the same transaction. stamp:false writes records exactly as given (sync
+  // applying remote state); undo:false keeps the write out of a recording undo step.
+  async write(ops, { stamp=true, undo=true } = {}) {
+    const all = [];
+    for (const op of ops) {
+      all.push(op);
+      if ("delete" in op && stamp && SYNC_STORES.has(op.store)) all.push(...SYNC.tombstoneOps(op.store, [op.delete], { trashed: op.trashed }));
+    }
+    const rows = [];
+    for (const op of all) {
+      if ("delete" in op) {
+        rows.push({ store: op.store, key: op.delete, record: null });
+        continue;
+      }
+      const record = stamp && SYNC_STORES.has(op.store) ? await SYNC.stamp(op.store, op.put) : op.put;
+      rows.push({ store: op.store, key: record.id ?? record.key, record, stored: await LOCK.seal(op.store, record) });
+    }
+    const stores = [...new Set(rows.map(r => r.store))];
+    if (!stores.length) return;
+    const undone = stamp && undo ? await UNDO.prepare(rows) : null;
+    await new Promise((resolve, reject) => {
+      const t = IDB.db.transaction(stores, "readwrite");
+      for (const r of rows) {
+        if (r.record) t.objectStore(r.store).put(r.stored);
+        else t.objectStore(r.store).delete(r.key);
+      }
+      t.oncomplete = () => {
+        for (const r of rows) TABS.noteChange(r.store, r.key);
+        resolve();
+      };
+      t.onerror = () => reject(t.error);
+      t.onabort = () => reject(t.error);
     });
+    // Only writes that committed become part of an undo step.
+    if (undone) UNDO.note(undone);
   },
 
-  delete(store, key) {
-    return new Promise((resolve, reject) => {
-      const req = IDB.tx(store, "readwrite").delete(key);
-      req.onsuccess = () => resolve(true);
-      req.onerror = () => reject(req.error);
-    });
+  async put(store, value, { stamp=true } = {}) {
+    await IDB.write([{ store, put: value }], { stamp });
+    return value;
+  },
+
+  async putMany(store, values, { stamp=true } = {}) {
+    await IDB.write(values.map(value => ({ store, put: value })), { stamp });
+    return values;
+  },
+
+  async delete(store, key, { stamp=true } = {}) {
+    await IDB.write([{ store, delete: key }], { stamp });
+    return true;
+  },
+
+  async deleteMany(store, keys, { stamp=true } = {}) {
+    await IDB.write(keys.map(key => ({ store, delete: key })), { stamp });
+    return true;
   },
 
-  clear(store) {
+  // stamp:false clears this device only; synced devices keep their copies.
+  async clear(store, { stamp=true } = {}) {
+    if (stamp && SYNC_STORES.has(store)) {
+      await SYNC.tombstone(store, await new Promise((resolve, reject) => {
+        const req = IDB.tx(store).getAllKeys();
+        req.onsuccess = () => resolve(req.result || []);
+        req.onerror = () => reject(req.error);
+      }));
+    }
     return new Promise((resolve, reject) => {
       const req = IDB.tx(store, "readwrite").clear();
-      req.onsuccess = () => resolve(true);
+      req.onsuccess = () => {
+        TABS.noteChange(store, null);
+        resolve(true);
+      };
       req.onerror = () => reject(req.error);
     });
   },
 
-  getAll(store) {
-    return new Promise((resolve, reject) => {
+  async getAll(store) {
+    const rows = await new Promise((resolve, reject) => {
       const req = IDB.tx(store).getAll();
       req.onsuccess = () => resolve(req.result || []);
       req.onerror = () => reject(req.error);
     });
+    return Promise.all(rows.map(LOCK.open));
   },
 
-  getAllByIndex(store, indexName, query) {
-    return new Promise((resolve, reject) => {
+  async getAllByIndex(store, indexName, query) {
+    const rows = await new Promise((resolve, reject) => {
       const os = IDB.tx(store);
       const idx = os.index(indexName);
       const req = idx.getAll(query);
       req.onsuccess = () => resolve(req.result || []);
       req.onerror = () => reject(req.error);
     });
+    return Promise.all(rows.map(LOCK.open));
   },
 
   async getSetting(key, fallback=null) {
@@ -202,874 +939,4680 @@ function newIdea(partial={}) {
     tags: [],
     priority: "medium",
     nextAction: "",
+    actions: [],
+    revisitAt: null,
+    snoozeCount: 0,
+    inbox: false,     // Quick Dump entries, until triaged
+    triagedAt: null,
+    refs: {},         // [[label]] in description / keyNotes -> idea id
     status: "draft",
     createdAt: t,
     updatedAt: t,
     imageIds: [],
+    schemaVersion: IDEA_SCHEMA_VERSION,
     ...partial
   };
 }
 
+// Checklist item: { id, text, done, dueDate:"YYYY-MM-DD"|null, createdAt, doneAt }.
+function newAction(partial={}) {
+  return {
+    id: partial.id || uuid(),
+    text: String(partial.text || ""),
+    done: !!partial.done,
+    dueDate: partial.dueDate || null,
+    createdAt: partial.createdAt || now(),
+    doneAt: partial.done ? (partial.doneAt || now()) : null
+  };
+}
+
+function isOverdue(action, today=localDateKey()) {
+  return !action.done && !!action.dueDate && action.dueDate < today;
+}
+
+function actionProgress(idea) {
+  const actions = idea.actions || [];
+  const today = localDateKey();
+  return {
+    total: actions.length,
+    done: actions.filter(a => a.done).length,
+    overdue: actions.filter(a => isOverdue(a, today)).length
+  };
+}
+
 async function getActiveIdea() {
   const all = await IDB.getAllByIndex(APP.stores.ideas, "bucket", "active");
-  return all.length ? all[0] : null;
+  return all.length ? all.sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0))[0] : null;
 }
 
-async function demoteExistingActive(exceptId, demoteTo="parked") {
-  const active = await getActiveIdea();
-  if (active && active.id !== exceptId) {
-    active.bucket = demoteTo;
-    active.updatedAt = now();
-    await IDB.put(APP.stores.ideas, active);
-  }
+// The writes that move an idea out of a full or deleted bucket (import, bucket deletion).
+async function moveToBucketOps(idea, to) {
+  const from = idea.bucket;
+  idea.bucket = to;
+  idea.updatedAt = now();
+  return ideaSaveOps(idea, from);
 }
 
-async function deleteIdeaAndImages(ideaId) {
-  const images = await IDB.getAllByIndex(APP.stores.images, "ideaId", ideaId);
-  for (const img of images) {
-    await IDB.delete(APP.stores.images, img.id);
-  }
-  await IDB.delete(APP.stores.ideas, ideaId);
+// ---------- Buckets ----------
+// Stored in settings as "buckets": [{ id, name, color, limit, revisitDays }], kept in sidebar
+// order. limit is the bucket's WIP limit (0 = none): Active's limit of 1 is the "one Active
+// Project" rule. revisitDays > 0 makes ideas in the bucket resurface in Review.
+// Active and Parked always exist: Promote / Park point at them, and Parked takes whatever a
+// full or deleted bucket has to give up, so it never gets a limit.
+const DEFAULT_BUCKETS = [
+  { id: "active", name: "Active Project", color: "#19ff43", limit: 1, revisitDays: 0 },
+  { id: "parked", name: "Parked Ideas", color: "#8ea0b5", limit: 0, revisitDays: APP.revisitDays.parked },
+  { id: "long_term", name: "Long-Term Concepts", color: "#6fb6ff", limit: 0, revisitDays: APP.revisitDays.long_term },
+  { id: "sparks", name: "Random Sparks", color: "#ffd36f", limit: 0, revisitDays: 0 }
+];
+const BUILTIN_BUCKETS = new Set(["active", "parked"]);
+
+function normalizeBucket(b) {
+  const int = (v, max) => Math.min(Math.max(0, Math.round(Number(v)) || 0), max);
+  return {
+    id: String(b.id),
+    name: String(b.name || "").trim() || String(b.id),
+    color: /^#[0-9a-f]{6}$/i.test(b.color) ? b.color : "#8ea0b5",
+    limit: b.id === "parked" ? 0 : int(b.limit, 999),
+    revisitDays: int(b.revisitDays, APP.revisitMaxDays)
+  };
 }
 
-// ---------- Dialog ----------
-function showDialog({ title, body, actions }) {
-  const overlay = APP.ui.dialogOverlay;
-  $("#dialogTitle").textContent = title || "Dialog";
-  const bodyEl = $("#dialogBody");
-  bodyEl.innerHTML = "";
-  if (typeof body === "string") {
-    bodyEl.innerHTML = body;
-  } else if (body instanceof HTMLElement) {
-    bodyEl.appendChild(body);
+async function loadBuckets() {
+  let buckets = await IDB.getSetting("buckets", null);
+  if (!Array.isArray(buckets) || !buckets.length) {
+    // Vaults from before custom buckets may have their own revisit days.
+    const revisit = await IDB.getSetting("revisitDays", {});
+    buckets = DEFAULT_BUCKETS.map(b => ({ ...b, revisitDays: revisit[b.id] ?? b.revisitDays }));
+  }
+  for (const id of BUILTIN_BUCKETS) {
+    if (!buckets.some(b => b.id === id)) buckets.push(DEFAULT_BUCKETS.find(b => b.id === id));
   }
+  APP.state.buckets = buckets.map(normalizeBucket);
+}
 
-  const actionsEl = $("#dialogActions");
-  actionsEl.innerHTML = "";
-  (actions || []).forEach(a => {
-    const btn = document.createElement("button");
-    btn.className = `btn ${a.kind || "btn-ghost"}`;
-    btn.textContent = a.label;
-    btn.addEventListener("click", async () => {
-      hideDialog();
-      await a.onClick?.();
-    });
-    actionsEl.appendChild(btn);
-  });
+async function saveBuckets() {
+  await IDB.setSetting("buckets", APP.state.buckets);
+  renderCounts(APP.state.ideas);
+  setPanelTitle();
+}
 
-  overlay.classList.remove("hidden");
+function bucketById(id) {
+  return APP.state.buckets.find(b => b.id === id) || null;
 }
 
-function hideDialog() {
-  APP.ui.dialogOverlay.classList.add("hidden");
+// Ideas synced or imported from a bucket this device doesn't define show their raw id.
+function bucketName(id) {
+  return bucketById(id)?.name || id;
 }
 
-// ---------- Views Overlay (Export / Settings / Daily) ----------
-function showView(title, node) {
-  $("#viewTitle").textContent = title;
-  const body = $("#viewBody");
-  body.innerHTML = "";
-  body.appendChild(node);
-  APP.ui.viewOverlay.classList.remove("hidden");
+function bucketRank(id) {
+  const n = APP.state.buckets.findIndex(b => b.id === id);
+  return n < 0 ? APP.state.buckets.length : n;
 }
 
-function hideView() {
-  APP.ui.viewOverlay.classList.add("hidden");
+function bucketRevisitDays(id) {
+  return bucketById(id)?.revisitDays || 0;
 }
 
-// ---------- Rendering ----------
-function setPanelTitle() {
-  const map = {
-    active: "Active Project",
-    parked: "Parked Ideas",
-    long_term: "Long-Term Concepts",
-    sparks: "Random Sparks"
-  };
-  APP.ui.panelTitle.textContent = map[APP.state.bucket] || "Ideas";
+// A bucket from user text (search, CSV): its id, a built-in alias ("long", "spark") or its name.
+function findBucketId(text) {
+  const v = String(text || "").trim().toLowerCase();
+  if (BUCKET_ALIASES[v]) return BUCKET_ALIASES[v];
+  const key = v.replace(/[\s_-]+/g, " ");
+  return APP.state.buckets.find(b => b.id === v || b.name.toLowerCase().replace(/[\s_-]+/g, " ") === key)?.id || null;
 }
 
-function renderCounts(allIdeas) {
-  const counts = { active:0, parked:0, long_term:0, sparks:0 };
-  for (const i of allIdeas) counts[i.bucket] = (counts[i.bucket]||0) + 1;
-  APP.ui.countActive.textContent = counts.active || 0;
-  APP.ui.countParked.textContent = counts.parked || 0;
-  APP.ui.countLong.textContent = counts.long_term || 0;
-  APP.ui.countSparks.textContent = counts.sparks || 0;
+// Ideas that don't fit their bucket's WIP limit. Per bucket, keepIds stay first, then the
+// order given by compare (most recently updated first by default); the rest are returned.
+function wipOverflow(ideas, { keepIds=new Set(), compare=(a, b) => (b.updatedAt || 0) - (a.updatedAt || 0) } = {}) {
+  const over = [];
+  for (const b of APP.state.buckets) {
+    if (!b.limit) continue;
+    const inside = ideas
+      .filter(i => i.bucket === b.id)
+      .sort((x, y) => keepIds.has(y.id) - keepIds.has(x.id) || compare(x, y));
+    over.push(...inside.slice(b.limit));
+  }
+  return over;
+}
+
+// ---------- Trash ----------
+// Trash entries: { id, kind:"idea", deletedAt, idea } for a single deleted idea, or
+// { id, kind:"snapshot", deletedAt, ideas, settings } for a vault reset kept recoverable.
+// Images (and revisions) stay in their stores until the entry is purged.
+async function moveIdeaToTrash(ideaId) {
+  const idea = await IDB.get(APP.stores.ideas, ideaId);
+  if (!idea) return null;
+  const entry = { id: idea.id, kind: "idea", deletedAt: now(), idea };
+  await IDB.write([
+    { store: APP.stores.trash, put: entry },
+    { store: APP.stores.ideas, delete: idea.id, trashed: true }
+  ]);
+  return entry;
 }
 
-function applySearchFilterSort(ideas) {
-  const s = (APP.state.search || "").trim().toLowerCase();
-  const fV = APP.state.filters.venture;
-  const fP = APP.state.filters.priority;
-  const fT = (APP.state.filters.tag || "").trim().toLowerCase();
+async function moveIdeasToTrash(ideaIds) {
+  const ideas = (await Promise.all(ideaIds.map(id => IDB.get(APP.stores.ideas, id)))).filter(Boolean);
+  const t = now();
+  const entries = ideas.map(idea => ({ id: idea.id, kind: "idea", deletedAt: t, idea }));
+  await IDB.write([
+    ...entries.map(entry => ({ store: APP.stores.trash, put: entry })),
+    ...ideas.map(idea => ({ store: APP.stores.ideas, delete: idea.id, trashed: true }))
+  ]);
+  return entries;
+}
 
-  let out = ideas.filter(i => i.bucket === APP.state.bucket);
+async function restoreFromTrash(entryId) {
+  const entry = await IDB.get(APP.stores.trash, entryId);
+  if (!entry) return;
+
+  const snapshot = entry.kind === "snapshot";
+  const ideas = (snapshot ? entry.ideas : [entry.idea]).map(migrateIdea);
+  if (!snapshot) ideas[0].updatedAt = now();
+  // Ideas, settings and the entry's removal go in one transaction. Ideas in limited buckets
+  // (the snapshot's Active) go through the WIP check in case new ones took their place; if
+  // that prompt is dismissed they come back to Parked.
+  const buildOps = async (declined=new Set()) => {
+    const ops = [];
+    for (const idea of ideas) {
+      const prev = idea.bucket;
+      if (declined.has(idea.bucket)) idea.bucket = "parked";
+      ops.push(...await ideaSaveOps(idea, prev));
+    }
+    for (const row of snapshot ? entry.settings || [] : []) ops.push({ store: APP.stores.settings, put: row });
+    ops.push({ store: APP.stores.trash, delete: entry.id });
+    return ops;
+  };
 
-  if (s) {
-    out = out.filter(i => {
-      const hay = [
-        i.title, i.description, i.keyNotes,
-        (i.tags || []).join(" "),
-        (i.ventureCategory || ""),
-        (i.links || []).map(x => `${x.label} ${x.url}`).join(" ")
-      ].join(" ").toLowerCase();
-      return hay.includes(s);
-    });
+  const incoming = new Map();
+  for (const idea of ideas.filter(i => bucketById(i.bucket)?.limit)) {
+    incoming.set(idea.bucket, [...(incoming.get(idea.bucket) || []), idea.id]);
   }
+  if (incoming.size) await writeIntoBuckets(incoming, buildOps);
+  else await IDB.write(await buildOps());
+}
 
-  if (fV) out = out.filter(i => (i.ventureCategory || "") === fV);
-  if (fP) out = out.filter(i => i.priority === fP);
-  if (fT) out = out.filter(i => (i.tags || []).some(t => t.toLowerCase().includes(fT)));
+// Purging drops the entry and, for ideas that aren't live again (restored, re-imported,
+// synced back) or held by another entry, their images, revisions and focus sessions.
+// It never deletes from the ideas store.
+async function purgeTrashEntry(entryId) {
+  const entry = await IDB.get(APP.stores.trash, entryId);
+  if (!entry) return;
+  const held = new Set();
+  for (const other of await IDB.getAll(APP.stores.trash)) {
+    if (other.id === entry.id) continue;
+    for (const idea of other.kind === "snapshot" ? other.ideas : [other.idea]) held.add(idea.id);
+  }
 
-  const sort = APP.state.sort;
-  out.sort((a,b) => {
-    if (sort === "updatedAt_desc") return (b.updatedAt||0) - (a.updatedAt||0);
-    if (sort === "createdAt_desc") return (b.createdAt||0) - (a.createdAt||0);
-    if (sort === "createdAt_asc") return (a.createdAt||0) - (b.createdAt||0);
-    if (sort === "priority_desc") return priorityRank(b.priority) - priorityRank(a.priority) || (b.updatedAt||0)-(a.updatedAt||0);
-    return (b.updatedAt||0)-(a.updatedAt||0);
-  });
-
-  return out;
+  const ops = [{ store: APP.stores.trash, delete: entry.id }];
+  for (const idea of entry.kind === "snapshot" ? entry.ideas : [entry.idea]) {
+    if (held.has(idea.id) || await IDB.get(APP.stores.ideas, idea.id)) continue;
+    for (const [store, rows] of [
+      [APP.stores.images, await IDB.getAllByIndex(APP.stores.images, "ideaId", idea.id)],
+      [APP.stores.revisions, await IDB.getAllByIndex(APP.stores.revisions, "ideaId", idea.id)],
+      [APP.stores.sessions, await IDB.getAllByIndex(APP.stores.sessions, "ideaId", idea.id)]
+    ]) {
+      for (const row of rows) ops.push({ store, delete: row.id });
+    }
+  }
+  await IDB.write(ops);
 }
 
-function renderIdeaList() {
-  const list = APP.ui.ideaList;
-  list.innerHTML = "";
-
-  const ideas = applySearchFilterSort(APP.state.ideas);
-
-  APP.ui.emptyState.style.display = ideas.length ? "none" : "block";
-
-  for (const idea of ideas) {
-    const card = document.createElement("div");
-    card.className = "idea-card";
-    card.setAttribute("role","listitem");
-    if (idea.id === APP.state.selectedId) card.classList.add("selected");
-
-    const top = document.createElement("div");
-    top.className = "idea-top";
-
-    const titleWrap = document.createElement("div");
-    const title = document.createElement("div");
-    title.className = "idea-title";
-    title.textContent = idea.title || "(Untitled)";
-    const sub = document.createElement("div");
-    sub.className = "idea-sub";
-
-    const b1 = document.createElement("span");
-    b1.className = "badge";
-    b1.textContent = idea.ventureCategory || "Other";
-
-    const b2 = document.createElement("span");
-    b2.className = "badge";
-    b2.textContent = idea.status;
+async function getTrashRetentionDays() {
+  return Number(await IDB.getSetting("trashRetentionDays", APP.trashRetentionDays)) || APP.trashRetentionDays;
+}
 
-    const pri = document.createElement("span");
-    pri.className = "badge " + (idea.priority === "high" ? "pri-high" : idea.priority === "medium" ? "pri-med" : "pri-low");
-    pri.textContent = `pri:${idea.priority}`;
+async function purgeExpiredTrash() {
+  const days = await getTrashRetentionDays();
+  const cutoff = now() - days*24*60*60*1000;
+  const expired = await IDB.getAllByIndex(APP.stores.trash, "deletedAt", IDBKeyRange.upperBound(cutoff));
+  for (const entry of expired) {
+    await purgeTrashEntry(entry.id);
+  }
+  return expired.length;
+}
 
-    const upd = document.createElement("span");
-    upd.className = "badge";
-    upd.textContent = `upd:${new Date(idea.updatedAt).toLocaleDateString()}`;
+// Reset Vault: keepSnapshot moves ideas and settings into the Trash as one snapshot,
+// otherwise everything (Trash included) is gone. Synced devices are only touched with
+// wipeRemote, which keeps the sync settings so the deletes can be pushed (snapshotted ideas
+// go to the other devices' Trash); without it the reset is local and sync is disconnected.
+async function resetVault({ keepSnapshot=true, wipeRemote=false } = {}) {
+  const ideas = await IDB.getAll(APP.stores.ideas);
+  // The lock outlives resets: the snapshot itself is sealed with it.
+  const settings = (await IDB.getAll(APP.stores.settings)).filter(r => r.key !== LOCK_SETTING);
+  const syncSettings = wipeRemote ? settings.filter(r => r.key === "syncConfig" || r.key === "syncFolder") : [];
+
+  if (keepSnapshot) {
+    await IDB.put(APP.stores.trash, {
+      id: "snapshot-" + uuid(),
+      kind: "snapshot",
+      deletedAt: now(),
+      ideas,
+      settings
+    });
+    if (wipeRemote) await IDB.write(SYNC.tombstoneOps(APP.stores.ideas, ideas.map(i => i.id), { trashed: true }));
+    await IDB.clear(APP.stores.ideas, { stamp: false });
+  } else {
+    for (const store of [APP.stores.images, APP.stores.revisions, APP.stores.sessions, APP.stores.trash, APP.stores.ideas]) {
+      await IDB.clear(store, { stamp: wipeRemote });
+    }
+  }
+  await IDB.clear(APP.stores.settings);
+  if (LOCK.config) await IDB.setSetting(LOCK_SETTING, LOCK.config);
+  if (syncSettings.length) await IDB.putMany(APP.stores.settings, syncSettings);
+}
 
-    sub.appendChild(b1);
-    sub.appendChild(b2);
-    sub.appendChild(pri);
-    sub.appendChild(upd);
+// ---------- Revisions ----------
+// Fields that change on every save and carry no content of their own.
+const REVISION_IGNORED_FIELDS = new Set(["id", "createdAt", "updatedAt", "schemaVersion", "syncSeq", "fieldClock", "inbox", "triagedAt", "refs"]);
+
+const FIELD_LABELS = {
+  title: "Title",
+  bucket: "Bucket",
+  ventureCategory: "Venture",
+  description: "Description",
+  keyNotes: "Key Notes",
+  links: "Links",
+  tags: "Tags",
+  priority: "Priority",
+  nextAction: "Next Action",
+  actions: "Actions",
+  revisitAt: "Revisit on",
+  status: "Status",
+  imageIds: "Images"
+};
 
-    titleWrap.appendChild(title);
-    titleWrap.appendChild(sub);
+function cloneIdea(idea) {
+  return JSON.parse(JSON.stringify(idea));
+}
 
-    const right = document.createElement("div");
-    right.style.display = "flex";
-    right.style.gap = "8px";
-    right.style.alignItems = "center";
+function revisionFields(a, b) {
+  const keys = new Set([...Object.keys(a || {}), ...Object.keys(b || {})]);
+  return Array.from(keys).filter(k => !REVISION_IGNORED_FIELDS.has(k));
+}
 
-    const act = document.createElement("span");
-    act.className = "badge" + (idea.bucket === "active" ? " active" : "");
-    act.textContent = idea.bucket === "active" ? "ACTIVE" : "";
+function changedFields(a, b) {
+  return revisionFields(a, b).filter(k => JSON.stringify(a?.[k] ?? null) !== JSON.stringify(b?.[k] ?? null));
+}
 
-    if (idea.bucket === "active") right.appendChild(act);
+async function getRevisions(ideaId) {
+  const revs = await IDB.getAllByIndex(APP.stores.revisions, "ideaId", ideaId);
+  return revs.sort((a,b) => (b.createdAt||0) - (a.createdAt||0));
+}
 
-    top.appendChild(titleWrap);
-    top.appendChild(right);
+async function recordRevision(idea) {
+  await IDB.write(await revisionOps(idea));
+}
 
-    const snippet = document.createElement("div");
-    snippet.className = "idea-snippet";
-    snippet.textContent = clampText(idea.description || idea.keyNotes || "", 160) || "—";
+// The revision writes for saving idea, so callers can commit them together with the idea.
+async function revisionOps(idea) {
+  const policy = APP.revisionPolicy;
+  const t = now();
+  const revs = await getRevisions(idea.id);
+  const ops = [];
+
+  // Ideas saved before history existed: keep the on-disk version as the first snapshot.
+  let baseline = null;
+  if (!revs.length) {
+    const prev = await IDB.get(APP.stores.ideas, idea.id);
+    if (prev && changedFields(prev, idea).length) {
+      baseline = { id: uuid(), ideaId: idea.id, createdAt: prev.updatedAt || t, updatedAt: prev.updatedAt || t, snapshot: cloneIdea(prev) };
+      ops.push({ store: APP.stores.revisions, put: baseline });
+      revs.push(baseline);
+    }
+  }
 
-    card.appendChild(top);
-    card.appendChild(snippet);
+  const latest = revs[0];
+  if (latest && !changedFields(latest.snapshot, idea).length) return ops;
 
-    card.addEventListener("click", () => selectIdea(idea.id));
+  const inBurst = latest && latest !== baseline
+    && (t - (latest.updatedAt || latest.createdAt)) < policy.idleMs
+    && (t - latest.createdAt) < policy.maxWindowMs;
 
-    list.appendChild(card);
+  if (inBurst) {
+    latest.snapshot = cloneIdea(idea);
+    latest.updatedAt = t;
+    ops.push({ store: APP.stores.revisions, put: latest });
+    return ops;
   }
-}
 
-function ensureDetailOpenMobile(open=true) {
-  const isMobile = window.matchMedia("(max-width: 980px)").matches;
-  if (!isMobile) return;
+  const rev = { id: uuid(), ideaId: idea.id, createdAt: t, updatedAt: t, snapshot: cloneIdea(idea) };
+  ops.push({ store: APP.stores.revisions, put: rev });
+  revs.unshift(rev);
+  for (const id of pruneRevisions(revs)) ops.push({ store: APP.stores.revisions, delete: id });
+  return ops;
+}
 
-  if (open) {
-    APP.ui.detailPanel.classList.add("open");
-    APP.ui.drawerOverlay.classList.remove("hidden");
-  } else {
-    APP.ui.detailPanel.classList.remove("open");
-    APP.ui.drawerOverlay.classList.add("hidden");
+// Ids of the revisions the policy drops.
+function pruneRevisions(revs) {
+  // revs: newest first
+  const policy = APP.revisionPolicy;
+  const cutoff = now() - policy.maxAgeDays*24*60*60*1000;
+  const seenDays = new Set();
+  const drop = [];
+  let kept = 0;
+
+  for (let i=0;i<revs.length;i++) {
+    const r = revs[i];
+    const day = new Date(r.createdAt).toDateString();
+    let keep;
+    if (i < policy.keepRecent) keep = true;
+    else keep = r.createdAt >= cutoff && !seenDays.has(day) && kept < policy.maxPerIdea;
+    seenDays.add(day);
+
+    if (keep) kept++;
+    else drop.push(r.id);
   }
+  return drop;
 }
 
-async function renderIdeaDetail(idea) {
-  const form = APP.ui.ideaForm;
-  const empty = APP.ui.detailEmpty;
+// Line-level diff (LCS). Long texts fall back to a plain replace.
+function diffLines(a, b) {
+  const A = String(a || "").split("\n");
+  const B = String(b || "").split("\n");
+  if (A.length * B.length > 250000) {
+    return [...A.map(text => ({ op:"del", text })), ...B.map(text => ({ op:"add", text }))];
+  }
 
-  if (!idea) {
-    form.classList.add("hidden");
-    empty.classList.remove("hidden");
-    APP.ui.btnPromote.disabled = true;
-    APP.ui.btnParkActive.disabled = true;
-    APP.ui.btnDelete.disabled = true;
-    return;
+  const dp = Array.from({ length: A.length + 1 }, () => new Uint16Array(B.length + 1));
+  for (let i=A.length-1;i>=0;i--) {
+    for (let j=B.length-1;j>=0;j--) {
+      dp[i][j] = A[i] === B[j] ? dp[i+1][j+1] + 1 : Math.max(dp[i+1][j], dp[i][j+1]);
+    }
   }
 
-  empty.classList.add("hidden");
-  form.classList.remove("hidden");
+  const out = [];
+  let i = 0, j = 0;
+  while (i < A.length && j < B.length) {
+    if (A[i] === B[j]) { out.push({ op:"same", text:A[i] }); i++; j++; }
+    else if (dp[i+1][j] >= dp[i][j+1]) out.push({ op:"del", text:A[i++] });
+    else out.push({ op:"add", text:B[j++] });
+  }
+  while (i < A.length) out.push({ op:"del", text:A[i++] });
+  while (j < B.length) out.push({ op:"add", text:B[j++] });
+  return out;
+}
 
-  APP.ui.btnDelete.disabled = false;
-  APP.ui.btnPromote.disabled = false;
-  APP.ui.btnParkActive.disabled = false;
+// ---------- Dialog ----------
+// onDismiss runs when the dialog closes without an action: Esc, the backdrop, or another
+// dialog taking its place.
+function showDialog({ title, body, actions, onDismiss=null }) {
+  dismissDialog();
+  APP.state.dialogDismiss = onDismiss;
+  const overlay = APP.ui.dialogOverlay;
+  $("#dialogTitle").textContent = title || "Dialog";
+  const bodyEl = $("#dialogBody");
+  bodyEl.innerHTML = "";
+  if (typeof body === "string") {
+    bodyEl.innerHTML = body;
+  } else if (body instanceof HTMLElement) {
+    bodyEl.appendChild(body);
+  }
 
-  // Buttons based on bucket
-  APP.ui.btnPromote.style.display = (idea.bucket === "active") ? "none" : "inline-flex";
-  APP.ui.btnParkActive.style.display = (idea.bucket === "active") ? "inline-flex" : "none";
+  const actionsEl = $("#dialogActions");
+  actionsEl.innerHTML = "";
+  (actions || []).forEach(a => {
+    const btn = document.createElement("button");
+    btn.className = `btn ${a.kind || "btn-ghost"}`;
+    btn.textContent = a.label;
+    btn.addEventListener("click", async () => {
+      APP.state.dialogDismiss = null;
+      hideDialog();
+      await a.onClick?.();
+    });
+    actionsEl.appendChild(btn);
+  });
 
-  $("#ideaId").value = idea.id;
-  $("#title").value = idea.title || "";
-  $("#bucket").value = idea.bucket;
-  $("#ventureCategory").value = idea.ventureCategory || "";
-  $("#status").value = idea.status || "draft";
-  $("#priority").value = idea.priority || "medium";
-  $("#nextAction").value = idea.nextAction || "";
-  $("#description").value = idea.description || "";
-  $("#keyNotes").value = idea.keyNotes || "";
+  overlay.classList.remove("hidden");
+}
 
-  $("#createdMeta").textContent = `Created: ${fmtDate(idea.createdAt)}`;
-  $("#updatedMeta").textContent = `Updated: ${fmtDate(idea.updatedAt)}`;
+function hideDialog() {
+  APP.ui.dialogOverlay.classList.add("hidden");
+}
 
-  renderTags(idea.tags || []);
-  renderLinks(idea.links || []);
-  await renderImages(idea);
+function dismissDialog() {
+  const onDismiss = APP.state.dialogDismiss;
+  APP.state.dialogDismiss = null;
+  hideDialog();
+  onDismiss?.();
+}
 
-  // Ensure mobile drawer open when selecting
-  ensureDetailOpenMobile(true);
+// ---------- Views Overlay (Export / Settings / Daily) ----------
+function showView(title, node) {
+  $("#viewTitle").textContent = title;
+  const body = $("#viewBody");
+  body.innerHTML = "";
+  body.appendChild(node);
+  APP.ui.viewOverlay.classList.remove("hidden");
 }
 
-function renderTags(tags) {
-  const chips = APP.ui.tagChips;
-  chips.innerHTML = "";
-  for (const t of tags) {
-    const chip = document.createElement("div");
-    chip.className = "chip";
-    chip.innerHTML = `<span>${t}</span>`;
-    const x = document.createElement("button");
-    x.type = "button";
-    x.title = "Remove tag";
-    x.textContent = "✕";
-    x.addEventListener("click", () => {
-      const idea = currentIdea();
-      if (!idea) return;
-      idea.tags = (idea.tags || []).filter(z => z !== t);
-      scheduleAutosave(idea);
-      renderTags(idea.tags);
-      renderIdeaList();
-    });
-    chip.appendChild(x);
-    chips.appendChild(chip);
-  }
+function hideView() {
+  APP.ui.viewOverlay.classList.add("hidden");
 }
 
-function renderLinks(links) {
-  const list = APP.ui.linksList;
-  list.innerHTML = "";
+// Re-render a list-style view that is open while the data under it changed.
+function refreshOpenView() {
+  if (APP.ui.viewOverlay.classList.contains("hidden")) return;
+  if (APP.state.view === "daily") showDailySweep();
+  else if (APP.state.view === "triage") showTriage();
+  else if (APP.state.view === "actions") showNextActions();
+  else if (APP.state.view === "review") showReviewQueue();
+  else if (APP.state.view === "trash") showTrash();
+  else if (APP.state.view === "focus") showFocus();
+}
 
-  links.forEach((l, idx) => {
-    const row = document.createElement("div");
-    row.className = "link-row";
+// ---------- Toast ----------
+function showToast(text, { actionLabel, onAction, timeoutMs=6000 } = {}) {
+  const el = APP.ui.toast;
+  clearTimeout(APP.state.toastTimer);
+  $("#toastText").textContent = text;
+  const btn = $("#toastAction");
+  btn.classList.toggle("hidden", !actionLabel);
+  btn.textContent = actionLabel || "";
+  btn.onclick = async () => {
+    hideToast();
+    await onAction?.();
+  };
+  el.classList.remove("hidden");
+  APP.state.toastTimer = setTimeout(hideToast, timeoutMs);
+}
 
-    const label = document.createElement("input");
-    label.type = "text";
-    label.placeholder = "Label";
-    label.value = l.label || "";
+function hideToast() {
+  APP.ui.toast.classList.add("hidden");
+}
 
-    const url = document.createElement("input");
-    url.type = "url";
-    url.placeholder = "URL";
-    url.value = l.url || "";
+// ---------- Undo / Redo ----------
+// Every undoable operation runs through UNDO.run(): while it runs, IDB.write reports each
+// idea and trash record it touches once the write commits (UNDO.note), and the first
+// "before" and last "after" of those records become the step. That way one step covers
+// everything the operation touched (e.g. a promotion plus the demoted previous Active)
+// without each call site having to list its side effects. Writes made with stamp:false
+// (sync applying remote state) and other tabs' writes are never part of a step. A run
+// started while another is recording joins that one's step.
+const UNDO = {
+  stores: [APP.stores.ideas, APP.stores.trash],
+  settings: ["ventures"], // settings rows that undo with the ideas (venture renames and merges)
+  limit: 100,
+  mergeWindowMs: 5000,
+  undoStack: [],
+  redoStack: [],
+  busy: false,
+  recording: null, // "<store>:<key>" -> { store, key, before, after } during run()
+
+  // Reads what the tracked rows hold before IDB.write() replaces them; note() files the
+  // result into the recording once the transaction has committed.
+  async prepare(rows) {
+    const rec = UNDO.recording;
+    if (!rec) return null;
+    const changes = [];
+    for (const r of rows) {
+      const tracked = UNDO.stores.includes(r.store) || (r.store === APP.stores.settings && UNDO.settings.includes(r.key));
+      if (!tracked) continue;
+      const id = `${r.store}:${r.key}`;
+      changes.push({ id, store: r.store, key: r.key, before: rec.has(id) ? null : await IDB.get(r.store, r.key), after: r.record });
+    }
+    return { rec, changes };
+  },
 
-    const del = document.createElement("button");
-    del.type = "button";
-    del.className = "btn btn-ghost";
-    del.textContent = "Remove";
+  note({ rec, changes }) {
+    for (const c of changes) {
+      // The first committed write of a record during the step keeps its "before".
+      if (!rec.has(c.id)) rec.set(c.id, { store: c.store, key: c.key, before: c.before });
+      rec.get(c.id).after = c.after;
+    }
+  },
 
-    function onChange() {
-      const idea = currentIdea();
-      if (!idea) return;
-      idea.links = idea.links || [];
-      idea.links[idx] = { label: label.value.trim(), url: safeUrl(url.value) };
-      scheduleAutosave(idea);
-      renderIdeaList();
+  async run(label, fn, { focusId=null, mergeKey=null } = {}) {
+    if (UNDO.recording) return fn();
+    const rec = UNDO.recording = new Map();
+    let result;
+    try {
+      result = await fn();
+    } finally {
+      UNDO.recording = null;
     }
+    const changes = [...rec.values()].filter(c => JSON.stringify(c.before) !== JSON.stringify(c.after));
+    if (!changes.length) return result;
+
+    const top = UNDO.undoStack[UNDO.undoStack.length - 1];
+    if (mergeKey && top && top.mergeKey === mergeKey && now() - top.at < UNDO.mergeWindowMs) {
+      // Keep the oldest "before" per record, take the newest "after".
+      for (const c of changes) {
+        const prev = top.changes.find(x => x.store === c.store && x.key === c.key);
+        if (prev) prev.after = c.after;
+        else top.changes.push(c);
+      }
+      top.at = now();
+    } else {
+      UNDO.undoStack.push({ label, changes, focusId, mergeKey, at: now() });
+      if (UNDO.undoStack.length > UNDO.limit) UNDO.undoStack.shift();
+    }
+    UNDO.redoStack = [];
 
-    label.addEventListener("input", onChange);
-    url.addEventListener("input", onChange);
+    if (!mergeKey) {
+      showToast(label, { actionLabel: "Undo", onAction: UNDO.undo });
+    }
+    return result;
+  },
 
-    del.addEventListener("click", () => {
-      const idea = currentIdea();
-      if (!idea) return;
-      idea.links = (idea.links || []).filter((_, i) => i !== idx);
-      scheduleAutosave(idea);
-      renderLinks(idea.links);
+  async apply(step, direction) {
+    await withWipLocks(async () => {
+      const ops = [];
+      for (const c of step.changes) {
+        const value = direction === "undo" ? c.before : c.after;
+        if (value && c.store === APP.stores.ideas) ops.push(...await revisionOps(value));
+        ops.push(value ? { store: c.store, put: value } : { store: c.store, delete: c.key });
+      }
+      await IDB.write(ops, { undo: false });
     });
 
-    row.appendChild(label);
-    row.appendChild(url);
-    row.appendChild(del);
-    list.appendChild(row);
-  });
-}
+    if (step.changes.some(c => c.store === APP.stores.settings)) await loadVentures();
+    await loadAllIdeas();
+    renderVentureOptions(APP.state.ideas);
+    const focus = step.focusId && APP.state.ideas.find(i => i.id === step.focusId);
+    if (focus) {
+      activateNavBucket(focus.bucket);
+      APP.state.selectedId = focus.id;
+    } else if (!currentIdea()) {
+      APP.state.selectedId = null;
+    }
+    await refreshUI();
+    refreshOpenView();
+  },
 
-async function renderImages(idea) {
-  const grid = APP.ui.imageGrid;
-  grid.innerHTML = "";
+  async undo() {
+    if (UNDO.busy) return;
+    await flushAutosave();
+    const step = UNDO.undoStack.pop();
+    if (!step) {
+      showToast("Nothing to undo");
+      return;
+    }
+    UNDO.busy = true;
+    try {
+      await UNDO.apply(step, "undo");
+      UNDO.redoStack.push(step);
+      showToast(`Undone: ${step.label}`, { actionLabel: "Redo", onAction: UNDO.redo });
+    } finally {
+      UNDO.busy = false;
+    }
+  },
 
-  const ids = idea.imageIds || [];
-  if (!ids.length) return;
+  async redo() {
+    if (UNDO.busy) return;
+    await flushAutosave();
+    const step = UNDO.redoStack.pop();
+    if (!step) {
+      showToast("Nothing to redo");
+      return;
+    }
+    UNDO.busy = true;
+    try {
+      await UNDO.apply(step, "redo");
+      UNDO.undoStack.push(step);
+      showToast(`Redone: ${step.label}`, { actionLabel: "Undo", onAction: UNDO.undo });
+    } finally {
+      UNDO.busy = false;
+    }
+  }
+};
 
-  for (const imageId of ids) {
-    const rec = await IDB.get(APP.stores.images, imageId);
-    if (!rec) continue;
+// ---------- Save queue ----------
+// Unsaved edits: ideaId -> { label, values, since } with each dirty field's value copied
+// at edit time and when editing it started. Writes run one after another on a promise chain (enqueue), so a save in
+// flight never races the next one or an explicit action like Promote.
+const SAVES = {
+  dirty: new Map(),
+  tail: Promise.resolve(),
+  failed: false,
+
+  markDirty(idea, fields, label) {
+    const entry = SAVES.dirty.get(idea.id) || { label, values: {}, since: {} };
+    entry.label = label;
+    for (const f of fields) {
+      entry.values[f] = structuredClone(idea[f]);
+      if (!(f in entry.since)) entry.since[f] = now();
+    }
+    SAVES.dirty.set(idea.id, entry);
+  },
 
-    const wrap = document.createElement("div");
-    wrap.className = "thumb";
+  // A failed batch goes back under anything edited since it was taken.
+  restore(batch) {
+    for (const [id, entry] of batch) {
+      const newer = SAVES.dirty.get(id);
+      SAVES.dirty.set(id, {
+        label: newer?.label || entry.label,
+        values: { ...entry.values, ...(newer?.values || {}) },
+        since: { ...(newer?.since || {}), ...entry.since }
+      });
+    }
+  },
 
-    const img = document.createElement("img");
-    const url = URL.createObjectURL(rec.blob);
-    img.src = url;
-    img.alt = rec.filename || "Image";
+  discard(id) {
+    SAVES.dirty.delete(id);
+  },
 
-    img.addEventListener("load", () => {
-      // cleanup happens when we rerender; keep it alive while displayed
-    });
+  clear() {
+    clearTimeout(APP.state.autosaveTimer);
+    SAVES.dirty.clear();
+  },
 
-    img.addEventListener("click", () => {
-      showDialog({
-        title: rec.filename || "Image",
-        body: `<img src="${img.src}" style="max-width:100%;border-radius:14px;border:1px solid rgba(255,255,255,.12)" />`,
-        actions: [
-          { label: "Close", kind: "btn-primary", onClick: () => {} }
-        ]
+  // Fresh copies of a record keep showing the edits that haven't been saved yet.
+  overlay(idea) {
+    const entry = SAVES.dirty.get(idea.id);
+    return entry ? Object.assign(idea, structuredClone(entry.values)) : idea;
+  },
+
+  enqueue(job) {
+    const run = SAVES.tail.then(job);
+    SAVES.tail = run.catch(() => {});
+    return run;
+  }
+};
+
+// ---------- Cross-tab ----------
+// Tabs announce which records they wrote (BroadcastChannel, or localStorage "storage"
+// events where that's missing); the others reload those records and re-render.
+// Messages: { from, type:"changes", changes:[{ store, keys|null }] } | { from, type:"lock" }
+const TABS_CHANNEL = "idea-vault";
+const TABS_STORAGE_KEY = "idea-vault:tabs";
+
+const TABS = {
+  id: uuid(),
+  channel: null,
+  ready: false,
+  pending: new Map(), // store -> Set of keys, or null for "everything"
+  flushTimer: null,
+
+  init() {
+    if ("BroadcastChannel" in window) {
+      TABS.channel = new BroadcastChannel(TABS_CHANNEL);
+      TABS.channel.onmessage = (e) => TABS.receive(e.data);
+    } else {
+      window.addEventListener("storage", (e) => {
+        if (e.key !== TABS_STORAGE_KEY || !e.newValue) return;
+        try {
+          TABS.receive(JSON.parse(e.newValue));
+        } catch {
+          // someone else's value under our key
+        }
       });
-    });
+    }
+    TABS.ready = true;
+  },
 
-    const actions = document.createElement("div");
-    actions.className = "thumb-actions";
+  post(msg) {
+    if (!TABS.ready) return;
+    const full = { ...msg, from: TABS.id };
+    if (TABS.channel) {
+      TABS.channel.postMessage(full);
+      return;
+    }
+    try {
+      // The nonce makes repeated identical messages still fire "storage".
+      localStorage.setItem(TABS_STORAGE_KEY, JSON.stringify({ ...full, nonce: uuid() }));
+    } catch {
+      // storage full or disabled: other tabs catch up on their next load
+    }
+  },
 
-    const openBtn = document.createElement("button");
-    openBtn.type = "button";
-    openBtn.textContent = "View";
-    openBtn.addEventListener("click", (e) => {
-      e.stopPropagation();
-      img.click();
-    });
+  // Called by the IDB wrapper after every write; key null means the whole store.
+  noteChange(store, key) {
+    if (!TABS.ready) return;
+    if (key === null) TABS.pending.set(store, null);
+    else if (TABS.pending.get(store) !== null) {
+      if (!TABS.pending.has(store)) TABS.pending.set(store, new Set());
+      TABS.pending.get(store).add(key);
+    }
+    clearTimeout(TABS.flushTimer);
+    TABS.flushTimer = setTimeout(TABS.flush, 50);
+  },
 
-    const delBtn = document.createElement("button");
-    delBtn.type = "button";
-    delBtn.textContent = "Delete";
-    delBtn.addEventListener("click", async (e) => {
-      e.stopPropagation();
-      const cur = currentIdea();
-      if (!cur) return;
-      // Remove from idea + delete record
-      cur.imageIds = (cur.imageIds || []).filter(x => x !== imageId);
-      await IDB.delete(APP.stores.images, imageId);
-      await saveIdea(cur, { skipActiveRuleCheck: false });
-      await renderIdeaDetail(cur);
-      renderIdeaList();
-    });
+  flush() {
+    if (!TABS.pending.size) return;
+    const changes = [...TABS.pending].map(([store, keys]) => ({ store, keys: keys ? [...keys] : null }));
+    TABS.pending.clear();
+    TABS.post({ type: "changes", changes });
+  },
 
-    actions.appendChild(openBtn);
-    actions.appendChild(delBtn);
+  async receive(msg) {
+    if (!msg || msg.from === TABS.id) return;
+    if (msg.type === "lock") {
+      if (LOCK.key) await LOCK.lockNow({ fromTab: true });
+      return;
+    }
+    if (msg.type !== "changes") return;
 
-    wrap.appendChild(img);
-    wrap.appendChild(actions);
-    grid.appendChild(wrap);
+    const changed = new Map(msg.changes.map(c => [c.store, c.keys]));
+    const touches = (store, key) => changed.has(store) && (changed.get(store) === null || changed.get(store).includes(key));
+
+    // New or removed key material: this tab's key (or lack of one) is stale.
+    if (touches(APP.stores.settings, LOCK_SETTING)) {
+      location.reload();
+      return;
+    }
+    if (touches(APP.stores.settings, "smartViews")) await loadSmartViews();
+    if (touches(APP.stores.settings, "ventures")) await loadVentures();
+    if (touches(APP.stores.settings, "buckets")) {
+      await loadBuckets();
+      setPanelTitle();
+    }
+    if (changed.has(APP.stores.sessions)) await FOCUS.load();
+    if (changed.has(APP.stores.ideas)) await TABS.reloadIdeas(changed.get(APP.stores.ideas));
+
+    renderCounts(APP.state.ideas);
+    renderIdeaList();
+    await renderTrashCount();
+    refreshOpenView();
+  },
+
+  async reloadIdeas(keys) {
+    const sel = APP.state.selectedId;
+    const before = sel ? structuredClone(currentIdea()) : null;
+    let stored = null;
+
+    if (keys === null) {
+      await loadAllIdeas();
+      if (sel) stored = await IDB.get(APP.stores.ideas, sel);
+    } else {
+      for (const id of keys) {
+        const rec = await IDB.get(APP.stores.ideas, id);
+        if (id === sel && rec) stored = structuredClone(rec);
+        const idx = APP.state.ideas.findIndex(i => i.id === id);
+        if (rec && idx >= 0) APP.state.ideas[idx] = SAVES.overlay(rec);
+        else if (rec) APP.state.ideas.push(SAVES.overlay(rec));
+        else if (idx >= 0) APP.state.ideas.splice(idx, 1);
+      }
+      BACKLINKS.rebuild();
+    }
+
+    if (!sel || (keys !== null && !keys.includes(sel))) return;
+    const fresh = currentIdea();
+    if (!fresh) {
+      SAVES.discard(sel);
+      APP.state.selectedId = null;
+      await renderIdeaDetail(null);
+      showStaleBanner("This idea was deleted in another tab.");
+      return;
+    }
+    // A conflict is the other tab changing a field after this one started editing it
+    // (fieldClock comes from the sync stamp on every write).
+    const dirty = SAVES.dirty.get(sel);
+    if (dirty && stored && Object.keys(dirty.values).some(f => (stored.fieldClock?.[f] || 0) > dirty.since[f])) {
+      showStaleBanner("This idea was changed in another tab. Saving your edit will overwrite those changes.", {
+        onReload: async () => {
+          SAVES.discard(sel);
+          const rec = await IDB.get(APP.stores.ideas, sel);
+          const idx = APP.state.ideas.findIndex(i => i.id === sel);
+          if (rec && idx >= 0) APP.state.ideas[idx] = rec;
+          if (!SAVES.dirty.size) setSaveStatus("ok", "Saved");
+          await renderIdeaDetail(currentIdea(), { force: true });
+        },
+        onKeep: () => flushAutosave()
+      });
+      return;
+    }
+    if (!before || !changedFields(before, fresh).length) return;
+    await renderIdeaDetail(fresh);
+    showStaleBanner("This idea was just changed in another tab; showing the latest version.");
   }
+};
+
+// Runs fn under a Web Lock shared by all tabs; browsers without Web Locks just run it.
+function withTabLock(name, fn) {
+  if (navigator.locks?.request) return navigator.locks.request(`idea-vault:${name}`, fn);
+  return fn();
 }
 
-function currentIdea() {
-  const id = APP.state.selectedId;
-  if (!id) return null;
-  return APP.state.ideas.find(i => i.id === id) || null;
+// The WIP locks of the given buckets, always taken in the same (sorted) order.
+function withBucketLocks(bucketIds, fn) {
+  const names = bucketIds.map(id => `wip:${id}`).sort();
+  return names.reduceRight((next, name) => () => withTabLock(name, next), fn)();
 }
 
-// ---------- App logic ----------
-async function loadAllIdeas() {
-  const ideas = await IDB.getAll(APP.stores.ideas);
-  // Ensure shape
-  APP.state.ideas = ideas.map(i => ({ ...newIdea(), ...i }));
+// Every limited bucket's lock, for writes that move ideas between buckets without asking:
+// import, sync, undo, deleting a bucket. Locks aren't re-entrant, so fn must not call saveIdea().
+function withWipLocks(fn) {
+  return withBucketLocks(APP.state.buckets.filter(b => b.limit).map(b => b.id), fn);
 }
 
-async function refreshUI() {
-  setPanelTitle();
-  renderCounts(APP.state.ideas);
-  renderIdeaList();
+function showStaleBanner(text, { onReload=null, onKeep=null } = {}) {
+  const banner = APP.ui.staleBanner;
+  $("#staleText").textContent = text;
+  const reload = $("#btnStaleReload");
+  const keep = $("#btnStaleKeep");
+  reload.classList.toggle("hidden", !onReload);
+  keep.classList.toggle("hidden", !onKeep);
+  reload.onclick = async () => {
+    hideStaleBanner();
+    await onReload?.();
+  };
+  keep.onclick = async () => {
+    hideStaleBanner();
+    await onKeep?.();
+  };
+  $("#btnStaleDismiss").onclick = hideStaleBanner;
+  banner.classList.remove("hidden");
+}
 
-  const sel = currentIdea();
-  await renderIdeaDetail(sel);
+function hideStaleBanner() {
+  APP.ui.staleBanner.classList.add("hidden");
 }
 
-async function selectIdea(id) {
-  APP.state.selectedId = id;
-  renderIdeaList();
-  const idea = currentIdea();
-  await renderIdeaDetail(idea);
+// ---------- Rendering ----------
+function setPanelTitle() {
+  const view = activeSmartView();
+  if (view) {
+    APP.ui.panelTitle.textContent = view.allBuckets ? `${view.name} · all buckets` : `${view.name} · ${bucketName(view.bucket)}`;
+    return;
+  }
+  APP.ui.panelTitle.textContent = bucketName(APP.state.bucket) || "Ideas";
 }
 
-async function createAndSelectIdea(partial={}) {
-  const idea = newIdea(partial);
-  await saveIdea(idea, { skipActiveRuleCheck: false });
-  APP.state.ideas.push(idea);
-  APP.state.selectedId = idea.id;
-  await refreshUI();
+function renderCounts(allIdeas) {
+  renderBuckets(allIdeas);
+  renderVentureOptions(allIdeas);
+  renderTagOptions(allIdeas);
+  APP.ui.countReview.textContent = dueForReview(allIdeas).length;
+  APP.ui.countActions.textContent = allIdeas.reduce((n, i) => n + (i.actions || []).filter(a => !a.done).length, 0);
+  renderSmartViews(allIdeas);
 }
 
-function scheduleAutosave(idea) {
-  setSaveStatus("saving", "Saving…");
-  clearTimeout(APP.state.autosaveTimer);
-  APP.state.autosaveTimer = setTimeout(async () => {
-    await saveIdea(idea, { skipActiveRuleCheck: false });
-    await loadAllIdeas();
-    setSaveStatus(navigator.onLine ? "ok" : "offline", navigator.onLine ? "Saved" : "Saved (offline)");
-    await refreshUI();
-  }, 350);
+// ---------- Search query ----------
+// Grammar (case-insensitive):
+//   query := and ("OR" and)*       and := unary+       unary := "-"? (term | "(" query ")")
+//   term  := word | "quoted phrase" | field:value | field:"quoted value"
+// Fields: tag, venture, pri/priority, status, bucket (any), updated/created (<30d, >2w,
+// >2024-01-31), has (image, link, tag, notes, venture, next, action, overdue), title. Unknown fields are text.
+const QUERY_FIELDS = new Set(["tag","venture","pri","priority","status","bucket","updated","created","has","title"]);
+
+const BUCKET_ALIASES = {
+  active: "active",
+  parked: "parked",
+  long: "long_term", long_term: "long_term", longterm: "long_term", "long-term": "long_term",
+  spark: "sparks", sparks: "sparks"
+};
+
+function tokenizeQuery(str) {
+  const tokens = [];
+  const src = String(str || "");
+  let i = 0;
+
+  const readValue = () => {
+    if (src[i] === '"') {
+      const end = src.indexOf('"', i + 1);
+      const v = end < 0 ? src.slice(i + 1) : src.slice(i + 1, end);
+      i = end < 0 ? src.length : end + 1;
+      return { value: v, quoted: true };
+    }
+    const start = i;
+    while (i < src.length && !/[\s()]/.test(src[i])) i++;
+    return { value: src.slice(start, i), quoted: false };
+  };
+
+  while (i < src.length) {
+    const c = src[i];
+    if (/\s/.test(c)) { i++; continue; }
+    if (c === "(" || c === ")") { tokens.push({ type: c }); i++; continue; }
+    if (c === "|") { tokens.push({ type: "OR" }); i++; continue; }
+
+    let neg = false;
+    if (c === "-" && i + 1 < src.length && !/\s/.test(src[i + 1])) {
+      neg = true;
+      i++;
+      if (src[i] === "(") { tokens.push({ type: "NOT" }); continue; }
+    }
+
+    const m = /^([a-z_]+):/i.exec(src.slice(i));
+    if (m && QUERY_FIELDS.has(m[1].toLowerCase())) {
+      i += m[0].length;
+      const { value, quoted } = readValue();
+      tokens.push({ type: "term", neg, field: m[1].toLowerCase(), value, quoted });
+      continue;
+    }
+
+    const { value, quoted } = readValue();
+    if (!quoted && value === "OR") { tokens.push({ type: "OR" }); continue; }
+    if (value) tokens.push({ type: "term", neg, field: "text", value, quoted });
+  }
+  return tokens;
 }
 
-async function saveIdea(idea, { skipActiveRuleCheck=false } = {}) {
-  // Enforce required shape
-  const t = now();
-  if (!idea.createdAt) idea.createdAt = t;
-  idea.updatedAt = t;
+function parseQuery(str) {
+  const tokens = tokenizeQuery(str);
+  let pos = 0;
 
-  // Active rule: only one active
-  if (!skipActiveRuleCheck && idea.bucket === "active") {
-    const active = await getActiveIdea();
-    if (active && active.id !== idea.id) {
-      // Ask where to demote the previous active
-      const choice = await askDemoteDestination(active);
-      await demoteExistingActive(idea.id, choice);
-      // also update in-memory list
-      const idx = APP.state.ideas.findIndex(x => x.id === active.id);
-      if (idx >= 0) {
-        APP.state.ideas[idx].bucket = choice;
-        APP.state.ideas[idx].updatedAt = now();
-      }
+  const parseOr = () => {
+    const items = [parseAnd()];
+    while (tokens[pos]?.type === "OR") {
+      pos++;
+      items.push(parseAnd());
+    }
+    const kept = items.filter(Boolean);
+    if (!kept.length) return null;
+    return kept.length === 1 ? kept[0] : { type: "or", items: kept };
+  };
+
+  const parseAnd = () => {
+    const items = [];
+    while (pos < tokens.length && tokens[pos].type !== "OR" && tokens[pos].type !== ")") {
+      const node = parseUnary();
+      if (node) items.push(node);
+    }
+    if (!items.length) return null;
+    return items.length === 1 ? items[0] : { type: "and", items };
+  };
+
+  const parseUnary = () => {
+    const t = tokens[pos++];
+    if (!t) return null;
+    if (t.type === "NOT") {
+      const inner = parseUnary();
+      return inner ? { type: "not", item: inner } : null;
+    }
+    if (t.type === "(") {
+      const inner = parseOr();
+      if (tokens[pos]?.type === ")") pos++;
+      return inner;
+    }
+    if (t.type === "term") {
+      const node = { type: "term", field: t.field, value: t.value.toLowerCase(), quoted: t.quoted };
+      return t.neg ? { type: "not", item: node } : node;
     }
+    return null; // stray ")"
+  };
+
+  let ast = null;
+  while (pos < tokens.length) {
+    const part = parseOr();
+    if (tokens[pos]?.type === ")") pos++;
+    if (part) ast = ast ? { type: "and", items: [ast, part] } : part;
   }
 
-  await IDB.put(APP.stores.ideas, idea);
-  APP.state.lastSavedAt = t;
-}
+  // Positive free-text terms drive ranking and highlighting.
+  const terms = [];
+  let scopesBucket = false;
+  const walk = (node, negated) => {
+    if (!node) return;
+    if (node.type === "not") return walk(node.item, !negated);
+    if (node.type === "and" || node.type === "or") return node.items.forEach(n => walk(n, negated));
+    if (node.field === "bucket") scopesBucket = true;
+    if (!negated && (node.field === "text" || node.field === "title") && node.value) terms.push(node.value);
+  };
+  walk(ast, false);
 
-function askDemoteDestination(activeIdea) {
-  return new Promise((resolve) => {
-    showDialog({
-      title: "Only one Active Project",
-      body: `
-        <div style="color:rgba(234,241,255,.92);line-height:1.5">
-          You already have an Active Project:
-          <div style="margin-top:10px;padding:10px;border:1px solid rgba(255,255,255,.10);border-radius:14px;background:rgba(255,255,255,.02)">
-            <b>${escapeHtml(activeIdea.title || "(Untitled)")}</b><br/>
-            <span style="color:rgba(142,160,181,.95);font-size:12px">Where should it be demoted?</span>
-          </div>
-        </div>
-      `,
-      actions: [
-        { label: "Demote to Parked", kind: "btn-primary", onClick: () => resolve("parked") },
-        { label: "Demote to Long-Term", kind: "btn-ghost", onClick: () => resolve("long_term") }
-      ]
-    });
-  });
+  return { ast, terms, scopesBucket };
 }
 
-function escapeHtml(str) {
-  return String(str || "").replace(/[&<>"']/g, m => ({
-    "&":"&amp;","<":"&lt;",">":"&gt;",'"':"&quot;","'":"&#039;"
-  }[m]));
+function parseAgeFilter(value) {
+  // "<30d" = within the last 30 days, ">2w" = older than 2 weeks, dates compare directly.
+  const m = /^([<>]=?)?(.+)$/.exec(value);
+  if (!m) return null;
+  const op = m[1] || "<";
+  const rest = m[2];
+  const units = { h: 3600e3, d: 864e5, w: 7*864e5, m: 30*864e5, y: 365*864e5 };
+  const dur = /^(\d+(?:\.\d+)?)([hdwmy])$/.exec(rest);
+  if (dur) {
+    const cutoff = now() - Number(dur[1]) * units[dur[2]];
+    return op.startsWith("<") ? (ts) => ts >= cutoff : (ts) => ts < cutoff;
+  }
+  const date = Date.parse(rest);
+  if (Number.isNaN(date)) return null;
+  return op.startsWith("<") ? (ts) => ts < date : (ts) => ts >= date;
 }
 
-// ---------- Form bindings ----------
-function bindForm() {
-  const map = [
-    ["title","title"],
-    ["bucket","bucket"],
-    ["ventureCategory","ventureCategory"],
-    ["status","status"],
-    ["priority","priority"],
-    ["nextAction","nextAction"],
-    ["description","description"],
-    ["keyNotes","keyNotes"]
-  ];
+function ideaHaystack(i) {
+  return [
+    i.title, i.description, i.keyNotes, i.nextAction,
+    (i.actions || []).map(a => a.text).join(" "),
+    (i.tags || []).join(" "),
+    (i.ventureCategory || ""),
+    (i.links || []).map(x => `${x.label} ${x.url}`).join(" ")
+  ].join(" ").toLowerCase();
+}
 
-  map.forEach(([id, key]) => {
-    const el = $("#" + id);
-    el.addEventListener("input", async () => {
-      const idea = currentIdea();
-      if (!idea) return;
-      idea[key] = el.value;
-      scheduleAutosave(idea);
-      renderIdeaList();
-      if (key === "bucket") {
-        // if moved out of current bucket, select stays but list changes
-        // keep selection and rerender
-      }
-    });
-    el.addEventListener("change", async () => {
-      const idea = currentIdea();
-      if (!idea) return;
-      idea[key] = el.value;
-      scheduleAutosave(idea);
-      renderIdeaList();
-    });
-  });
+function tagMatches(tag, wanted) {
+  const t = String(tag || "").toLowerCase();
+  return t === wanted || t.startsWith(wanted + "/");
+}
 
-  // Tag entry
-  APP.ui.tagInput.addEventListener("keydown", (e) => {
-    if (e.key === "Enter") {
-      e.preventDefault();
-      const val = normalizeTag(APP.ui.tagInput.value);
-      if (!val) return;
-      const idea = currentIdea();
-      if (!idea) return;
-      idea.tags = idea.tags || [];
-      if (!idea.tags.includes(val)) idea.tags.push(val);
-      APP.ui.tagInput.value = "";
-      scheduleAutosave(idea);
-      renderTags(idea.tags);
-      renderIdeaList();
+function matchTerm(node, i) {
+  const v = node.value;
+  switch (node.field) {
+    case "tag": return (i.tags || []).some(t => tagMatches(t, normalizeTag(v)));
+    case "venture": return (i.ventureCategory || "").toLowerCase().includes(v);
+    case "pri":
+    case "priority": return (i.priority || "") === ({ med: "medium", hi: "high", lo: "low" }[v] || v);
+    case "status": return (i.status || "") === v;
+    case "bucket": return v === "any" || v === "all" || i.bucket === (findBucketId(v) || v);
+    case "updated":
+    case "created": {
+      const test = parseAgeFilter(v);
+      return test ? test((node.field === "updated" ? i.updatedAt : i.createdAt) || 0) : false;
     }
-  });
+    case "has": {
+      if (v.startsWith("image")) return (i.imageIds || []).length > 0;
+      if (v.startsWith("link")) return (i.links || []).some(l => l.url);
+      if (v.startsWith("tag")) return (i.tags || []).length > 0;
+      if (v === "notes") return !!(i.keyNotes || "").trim();
+      if (v === "description") return !!(i.description || "").trim();
+      if (v === "venture") return !!(i.ventureCategory || "").trim() && i.ventureCategory !== "Other";
+      if (v === "next") return !!(i.nextAction || "").trim();
+      if (v.startsWith("action")) return (i.actions || []).some(a => !a.done);
+      if (v === "overdue") return (i.actions || []).some(a => isOverdue(a));
+      return false;
+    }
+    case "title": return (i.title || "").toLowerCase().includes(v);
+    default: return ideaHaystack(i).includes(v);
+  }
+}
 
-  // Add link
-  APP.ui.btnAddLink.addEventListener("click", () => {
-    const idea = currentIdea();
-    if (!idea) return;
-    idea.links = idea.links || [];
-    idea.links.push({ label:"", url:"" });
-    scheduleAutosave(idea);
-    renderLinks(idea.links);
-  });
+function matchQuery(node, i) {
+  if (node.type === "and") return node.items.every(n => matchQuery(n, i));
+  if (node.type === "or") return node.items.some(n => matchQuery(n, i));
+  if (node.type === "not") return !matchQuery(node.item, i);
+  return matchTerm(node, i);
+}
 
-  // Images picker
-  APP.ui.imagePicker.addEventListener("change", async (e) => {
-    const files = Array.from(e.target.files || []);
-    if (!files.length) return;
-    const idea = currentIdea();
-    if (!idea) return;
+function countOccurrences(hay, needle, cap=5) {
+  let n = 0, at = hay.indexOf(needle);
+  while (at >= 0 && n < cap) {
+    n++;
+    at = hay.indexOf(needle, at + needle.length);
+  }
+  return n;
+}
 
-    for (const f of files) {
-      const rec = {
-        id: uuid(),
-        ideaId: idea.id,
-        blob: f,
-        filename: f.name,
-        type: f.type,
-        createdAt: now()
-      };
-      await IDB.put(APP.stores.images, rec);
-      idea.imageIds = idea.imageIds || [];
-      idea.imageIds.push(rec.id);
-    }
+function scoreIdea(i, terms) {
+  const title = (i.title || "").toLowerCase();
+  const tags = (i.tags || []).join(" ").toLowerCase();
+  const venture = (i.ventureCategory || "").toLowerCase();
+  const body = `${i.description || ""} ${i.keyNotes || ""} ${i.nextAction || ""} ${(i.actions || []).map(a => a.text).join(" ")}`.toLowerCase();
+  let score = 0;
+  for (const t of terms) {
+    if (title === t) score += 20;
+    else if (title.startsWith(t)) score += 14;
+    else if (title.includes(t)) score += 10;
+    if (tags.includes(t)) score += 6;
+    if (venture.includes(t)) score += 4;
+    score += 2 * countOccurrences(body, t);
+  }
+  return score;
+}
 
-    await saveIdea(idea, { skipActiveRuleCheck: false });
-    await loadAllIdeas();
-    await renderIdeaDetail(currentIdea());
-    renderIdeaList();
+function escapeRegExp(str) {
+  return String(str).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Escapes text and wraps matches of the query terms in <mark>.
+function highlightText(text, terms) {
+  const src = String(text || "");
+  if (!terms.length || !src) return escapeHtml(src);
+  const re = new RegExp(terms.map(escapeRegExp).sort((a,b) => b.length - a.length).join("|"), "gi");
+  let out = "", last = 0, m;
+  while ((m = re.exec(src))) {
+    if (!m[0]) { re.lastIndex++; continue; }
+    out += escapeHtml(src.slice(last, m.index)) + `<mark>${escapeHtml(m[0])}</mark>`;
+    last = m.index + m[0].length;
+  }
+  return out + escapeHtml(src.slice(last));
+}
+
+// Picks the part of the text around the first match so highlights are visible.
+function matchSnippet(text, terms, n=160) {
+  const src = (text || "").trim();
+  if (!terms.length || src.length <= n) return clampText(src, n);
+  const lower = src.toLowerCase();
+  const hits = terms.map(t => lower.indexOf(t)).filter(x => x >= 0);
+  if (!hits.length) return clampText(src, n);
+  const start = Math.max(0, Math.min(...hits) - Math.floor(n / 3));
+  const piece = src.slice(start, start + n - 2);
+  return (start > 0 ? "…" : "") + piece + (start + piece.length < src.length ? "…" : "");
+}
+
+async function renderTrashCount() {
+  const entries = await IDB.getAll(APP.stores.trash);
+  APP.ui.countTrash.textContent = entries.length;
+}
+
+// What the list shows: the live search/filter/sort, scoped to the current bucket
+// unless the active smart view spans all buckets (bucket: null).
+function currentListSpec() {
+  const view = activeSmartView();
+  return {
+    search: APP.state.search,
+    filters: APP.state.filters,
+    sort: APP.state.sort,
+    bucket: view?.allBuckets ? null : APP.state.bucket
+  };
+}
+
+function applySearchFilterSort(ideas, spec=currentListSpec()) {
+  const q = parseQuery(spec.search);
+  const fV = spec.filters.venture;
+  const fP = spec.filters.priority;
+  const fT = (spec.filters.tag || "").trim().toLowerCase();
+
+  // A bucket: qualifier in the query replaces the bucket scope.
+  let out = (q.scopesBucket || !spec.bucket) ? ideas.slice() : ideas.filter(i => i.bucket === spec.bucket);
+
+  if (q.ast) out = out.filter(i => matchQuery(q.ast, i));
+
+  if (fV) out = out.filter(i => (i.ventureCategory || "") === fV);
+  if (fP) out = out.filter(i => i.priority === fP);
+  if (fT) out = out.filter(i => (i.tags || []).some(t => tagMatches(t, normalizeTag(fT))));
+
+  const sort = spec.sort;
+  const byChosen = (a,b) => {
+    if (sort === "updatedAt_desc") return (b.updatedAt||0) - (a.updatedAt||0);
+    if (sort === "createdAt_desc") return (b.createdAt||0) - (a.createdAt||0);
+    if (sort === "createdAt_asc") return (a.createdAt||0) - (b.createdAt||0);
+    if (sort === "priority_desc") return priorityRank(b.priority) - priorityRank(a.priority) || (b.updatedAt||0)-(a.updatedAt||0);
+    return (b.updatedAt||0)-(a.updatedAt||0);
+  };
+
+  // Free-text terms rank by relevance; the chosen sort breaks ties.
+  if (q.terms.length) {
+    const scores = new Map(out.map(i => [i.id, scoreIdea(i, q.terms)]));
+    out.sort((a,b) => scores.get(b.id) - scores.get(a.id) || byChosen(a,b));
+  } else {
+    out.sort(byChosen);
+  }
+
+  return out;
+}
+
+function renderIdeaList() {
+  const list = APP.ui.ideaList;
+  list.innerHTML = "";
+
+  const spec = currentListSpec();
+  const ideas = applySearchFilterSort(APP.state.ideas, spec);
+  const q = parseQuery(spec.search);
+
+  APP.ui.emptyState.style.display = ideas.length ? "none" : "block";
+
+  const visibleIds = ideas.map(i => i.id);
+  for (const id of APP.state.selection) if (!visibleIds.includes(id)) APP.state.selection.delete(id);
+  renderBulkBar();
+
+  for (const idea of ideas) {
+    const card = document.createElement("div");
+    card.className = "idea-card";
+    card.dataset.id = idea.id;
+    card.setAttribute("role","listitem");
+    if (idea.id === APP.state.selectedId) card.classList.add("selected");
+    if (APP.state.selection.has(idea.id)) card.classList.add("checked");
+
+    const check = document.createElement("input");
+    check.type = "checkbox";
+    check.className = "idea-check";
+    check.title = "Select for bulk edit";
+    check.checked = APP.state.selection.has(idea.id);
+    check.addEventListener("click", (e) => {
+      e.stopPropagation();
+      toggleSelection(idea.id, { range: e.shiftKey, visibleIds });
+    });
+
+    const top = document.createElement("div");
+    top.className = "idea-top";
+
+    const titleWrap = document.createElement("div");
+    titleWrap.style.flex = "1";
+    const title = document.createElement("div");
+    title.className = "idea-title";
+    title.innerHTML = highlightText(idea.title || "(Untitled)", q.terms);
+    const sub = document.createElement("div");
+    sub.className = "idea-sub";
+
+    const b1 = document.createElement("span");
+    b1.className = "badge";
+    b1.textContent = idea.ventureCategory || "Other";
+    const venture = ventureByName(idea.ventureCategory || "Other");
+    if (venture) {
+      b1.style.color = venture.color;
+      b1.style.borderColor = `${venture.color}66`;
+    }
+
+    const b2 = document.createElement("span");
+    b2.className = "badge";
+    b2.textContent = idea.status;
+
+    const pri = document.createElement("span");
+    pri.className = "badge " + (idea.priority === "high" ? "pri-high" : idea.priority === "medium" ? "pri-med" : "pri-low");
+    pri.textContent = `pri:${idea.priority}`;
+
+    const upd = document.createElement("span");
+    upd.className = "badge";
+    upd.textContent = `upd:${new Date(idea.updatedAt).toLocaleDateString()}`;
+
+    // Results from other buckets say where they live.
+    if ((q.scopesBucket || !spec.bucket) && idea.bucket !== APP.state.bucket) {
+      const bk = document.createElement("span");
+      bk.className = "badge";
+      bk.textContent = bucketName(idea.bucket);
+      sub.appendChild(bk);
+    }
+    sub.appendChild(b1);
+    sub.appendChild(b2);
+    sub.appendChild(pri);
+    sub.appendChild(upd);
+
+    if (isDueForReview(idea)) {
+      const rb = document.createElement("span");
+      rb.className = "badge review";
+      rb.title = "Due for review";
+      rb.textContent = "↻ review";
+      sub.appendChild(rb);
+    }
+
+    const progress = actionProgress(idea);
+    if (progress.total) {
+      const ab = document.createElement("span");
+      ab.className = "badge" + (progress.overdue ? " overdue" : "");
+      ab.title = progress.overdue ? `${progress.overdue} overdue action(s)` : "Actions done";
+      ab.textContent = `☑ ${progress.done}/${progress.total}`;
+      sub.appendChild(ab);
+    }
+
+    const focused = FOCUS.totals.get(idea.id);
+    if (focused) {
+      const fb = document.createElement("span");
+      fb.className = "badge";
+      fb.title = `${focused.count} focus session(s)`;
+      fb.textContent = `⏱ ${fmtDuration(focused.ms)}`;
+      sub.appendChild(fb);
+    }
+
+    titleWrap.appendChild(title);
+    titleWrap.appendChild(sub);
+
+    const right = document.createElement("div");
+    right.style.display = "flex";
+    right.style.gap = "8px";
+    right.style.alignItems = "center";
+
+    const act = document.createElement("span");
+    act.className = "badge" + (idea.bucket === "active" ? " active" : "");
+    act.textContent = idea.bucket === "active" ? "ACTIVE" : "";
+
+    if (idea.bucket === "active") right.appendChild(act);
+
+    top.appendChild(check);
+    top.appendChild(titleWrap);
+    top.appendChild(right);
+
+    const snippet = document.createElement("div");
+    snippet.className = "idea-snippet";
+    // Prefer key notes when only they contain the search terms.
+    const desc = idea.description || "";
+    const notesOnly = q.terms.length
+      && !q.terms.some(t => desc.toLowerCase().includes(t))
+      && q.terms.some(t => (idea.keyNotes || "").toLowerCase().includes(t));
+    const source = markdownToText(notesOnly ? idea.keyNotes : (desc || idea.keyNotes || ""));
+    snippet.innerHTML = highlightText(matchSnippet(source, q.terms, 160), q.terms) || "—";
+
+    card.appendChild(top);
+    card.appendChild(snippet);
+
+    // Shift-click picks a range, Ctrl/Cmd-click toggles one; a plain click opens the idea.
+    card.addEventListener("mousedown", (e) => { if (e.shiftKey) e.preventDefault(); });
+    card.addEventListener("click", (e) => {
+      if (e.shiftKey || e.ctrlKey || e.metaKey) toggleSelection(idea.id, { range: e.shiftKey, visibleIds });
+      else selectIdea(idea.id);
+    });
+
+    list.appendChild(card);
+  }
+}
+
+function ensureDetailOpenMobile(open=true) {
+  const isMobile = window.matchMedia("(max-width: 980px)").matches;
+  if (!isMobile) return;
+
+  if (open) {
+    APP.ui.detailPanel.classList.add("open");
+    APP.ui.drawerOverlay.classList.remove("hidden");
+  } else {
+    APP.ui.detailPanel.classList.remove("open");
+    APP.ui.drawerOverlay.classList.add("hidden");
+  }
+}
+
+// Inputs being typed into keep their value while the rest of the form follows the record.
+function setFieldValue(el, value, force) {
+  if (!force && el === document.activeElement) return;
+  if (el.value !== value) el.value = value;
+}
+
+async function renderIdeaDetail(idea, { force=false } = {}) {
+  const form = APP.ui.ideaForm;
+  const empty = APP.ui.detailEmpty;
+
+  if (!idea) {
+    form.classList.add("hidden");
+    empty.classList.remove("hidden");
+    APP.ui.btnPromote.disabled = true;
+    APP.ui.btnParkActive.disabled = true;
+    APP.ui.btnDelete.disabled = true;
+    APP.ui.btnHistory.disabled = true;
+    return;
+  }
+
+  empty.classList.add("hidden");
+  form.classList.remove("hidden");
+
+  APP.ui.btnDelete.disabled = false;
+  APP.ui.btnHistory.disabled = false;
+  APP.ui.btnPromote.disabled = false;
+  APP.ui.btnParkActive.disabled = false;
+
+  // Buttons based on bucket
+  APP.ui.btnPromote.style.display = (idea.bucket === "active") ? "none" : "inline-flex";
+  APP.ui.btnParkActive.style.display = (idea.bucket === "active") ? "inline-flex" : "none";
+
+  // A different idea replaces the whole form, focus or not.
+  const keep = !force && $("#ideaId").value === idea.id;
+  $("#ideaId").value = idea.id;
+  setFieldValue($("#title"), idea.title || "", !keep);
+  setFieldValue($("#bucket"), idea.bucket, !keep);
+  setFieldValue($("#ventureCategory"), idea.ventureCategory || "", !keep);
+  setFieldValue($("#status"), idea.status || "draft", !keep);
+  setFieldValue($("#priority"), idea.priority || "medium", !keep);
+  setFieldValue($("#nextAction"), idea.nextAction || "", !keep);
+  $("#revisitField").classList.toggle("hidden", !bucketRevisitDays(idea.bucket));
+  setFieldValue($("#revisitAt"), idea.revisitAt ? localDateKey(idea.revisitAt) : "", !keep);
+  $("#revisitHint").textContent = idea.snoozeCount ? `Snoozed ${idea.snoozeCount}×` : "";
+  setFieldValue($("#description"), idea.description || "", !keep);
+  setFieldValue($("#keyNotes"), idea.keyNotes || "", !keep);
+
+  $("#createdMeta").textContent = `Created: ${fmtDate(idea.createdAt)}`;
+  $("#updatedMeta").textContent = `Updated: ${fmtDate(idea.updatedAt)}`;
+  FOCUS.renderMeta(idea);
+
+  renderTags(idea.tags || []);
+  if (!keep || !APP.ui.linksList.contains(document.activeElement)) renderLinks(idea.links || []);
+  if (!keep || !APP.ui.actionsList.contains(document.activeElement)) renderActions(idea.actions || []);
+  renderRefs(idea);
+  REF_FIELDS.forEach(key => renderMarkdownPreview(key, idea));
+  await renderImages(idea);
+
+  // Ensure mobile drawer open when selecting
+  ensureDetailOpenMobile(true);
+}
+
+function renderTags(tags) {
+  const chips = APP.ui.tagChips;
+  chips.innerHTML = "";
+  for (const t of tags) {
+    const chip = document.createElement("div");
+    chip.className = "chip";
+    chip.innerHTML = `<span>${escapeHtml(t)}</span>`;
+    const x = document.createElement("button");
+    x.type = "button";
+    x.title = "Remove tag";
+    x.textContent = "✕";
+    x.addEventListener("click", () => {
+      const idea = currentIdea();
+      if (!idea) return;
+      idea.tags = (idea.tags || []).filter(z => z !== t);
+      scheduleAutosave(idea, ["tags"], `Remove tag “${t}”`);
+      renderTags(idea.tags);
+      renderIdeaList();
+    });
+    chip.appendChild(x);
+    chips.appendChild(chip);
+  }
+}
+
+function renderLinks(links) {
+  const list = APP.ui.linksList;
+  list.innerHTML = "";
+
+  links.forEach((l, idx) => {
+    const row = document.createElement("div");
+    row.className = "link-row";
+
+    const label = document.createElement("input");
+    label.type = "text";
+    label.placeholder = "Label";
+    label.value = l.label || "";
+
+    const url = document.createElement("input");
+    url.type = "url";
+    url.placeholder = "URL";
+    url.value = l.url || "";
+
+    const del = document.createElement("button");
+    del.type = "button";
+    del.className = "btn btn-ghost";
+    del.textContent = "Remove";
+
+    function onChange() {
+      const idea = currentIdea();
+      if (!idea) return;
+      idea.links = idea.links || [];
+      idea.links[idx] = { label: label.value.trim(), url: safeUrl(url.value) };
+      scheduleAutosave(idea, ["links"]);
+      renderIdeaList();
+    }
+
+    label.addEventListener("input", onChange);
+    url.addEventListener("input", onChange);
+
+    del.addEventListener("click", () => {
+      const idea = currentIdea();
+      if (!idea) return;
+      idea.links = (idea.links || []).filter((_, i) => i !== idx);
+      scheduleAutosave(idea, ["links"], "Remove link");
+      renderLinks(idea.links);
+    });
+
+    row.appendChild(label);
+    row.appendChild(url);
+    row.appendChild(del);
+    list.appendChild(row);
+  });
+}
+
+function renderActions(actions) {
+  const list = APP.ui.actionsList;
+  const { total, done } = actionProgress({ actions });
+  $("#actionsProgress").textContent = total ? `${done}/${total} done` : "";
+  list.innerHTML = "";
+
+  // Edits go to a fresh copy of the list, so the saved value is never the live array.
+  function update(fn, label="Edit", rerender=false) {
+    const idea = currentIdea();
+    if (!idea) return;
+    idea.actions = fn((idea.actions || []).map(a => ({ ...a })));
+    scheduleAutosave(idea, ["actions"], label);
+    renderIdeaList();
+    if (rerender) renderActions(idea.actions);
+  }
+
+  actions.forEach((a, idx) => {
+    const row = document.createElement("div");
+    row.className = "action-row" + (a.done ? " done" : "") + (isOverdue(a) ? " overdue" : "");
+
+    const check = document.createElement("input");
+    check.type = "checkbox";
+    check.checked = !!a.done;
+    check.title = a.doneAt ? `Done ${fmtDate(a.doneAt)}` : "Mark done";
+
+    const text = document.createElement("input");
+    text.type = "text";
+    text.placeholder = "Action";
+    text.value = a.text || "";
+
+    const due = document.createElement("input");
+    due.type = "date";
+    due.value = a.dueDate || "";
+    due.title = "Due date";
+
+    const up = document.createElement("button");
+    up.type = "button";
+    up.className = "btn btn-ghost";
+    up.textContent = "↑";
+    up.title = "Move up";
+    up.disabled = idx === 0;
+
+    const del = document.createElement("button");
+    del.type = "button";
+    del.className = "btn btn-ghost";
+    del.textContent = "Remove";
+
+    check.addEventListener("change", () => {
+      update(list => {
+        list[idx] = { ...list[idx], done: check.checked, doneAt: check.checked ? now() : null };
+        return list;
+      }, check.checked ? "Complete action" : "Reopen action", true);
+    });
+    text.addEventListener("input", () => {
+      update(list => {
+        list[idx] = { ...list[idx], text: text.value };
+        return list;
+      });
+    });
+    due.addEventListener("change", () => {
+      update(list => {
+        list[idx] = { ...list[idx], dueDate: due.value || null };
+        return list;
+      }, "Edit", true);
+    });
+    up.addEventListener("click", () => {
+      update(list => {
+        [list[idx - 1], list[idx]] = [list[idx], list[idx - 1]];
+        return list;
+      }, "Reorder actions", true);
+    });
+    del.addEventListener("click", () => {
+      update(list => list.filter((_, i) => i !== idx), "Remove action", true);
+    });
+
+    row.appendChild(check);
+    row.appendChild(text);
+    row.appendChild(due);
+    row.appendChild(up);
+    row.appendChild(del);
+    list.appendChild(row);
+  });
+}
+
+async function renderImages(idea) {
+  const grid = APP.ui.imageGrid;
+  grid.innerHTML = "";
+
+  const ids = idea.imageIds || [];
+  if (!ids.length) return;
+
+  for (const imageId of ids) {
+    const rec = await IDB.get(APP.stores.images, imageId);
+    if (!rec) continue;
+
+    const wrap = document.createElement("div");
+    wrap.className = "thumb";
+
+    const img = document.createElement("img");
+    const url = URL.createObjectURL(rec.blob);
+    img.src = url;
+    img.alt = rec.filename || "Image";
+
+    img.addEventListener("load", () => {
+      // cleanup happens when we rerender; keep it alive while displayed
+    });
+
+    img.addEventListener("click", () => {
+      showDialog({
+        title: rec.filename || "Image",
+        body: `<img src="${img.src}" style="max-width:100%;border-radius:14px;border:1px solid rgba(255,255,255,.12)" />`,
+        actions: [
+          { label: "Close", kind: "btn-primary", onClick: () => {} }
+        ]
+      });
+    });
+
+    const actions = document.createElement("div");
+    actions.className = "thumb-actions";
+
+    const openBtn = document.createElement("button");
+    openBtn.type = "button";
+    openBtn.textContent = "View";
+    openBtn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      img.click();
+    });
+
+    const delBtn = document.createElement("button");
+    delBtn.type = "button";
+    delBtn.textContent = "Delete";
+    delBtn.addEventListener("click", async (e) => {
+      e.stopPropagation();
+      const cur = currentIdea();
+      if (!cur) return;
+      // Remove from idea + delete record
+      cur.imageIds = (cur.imageIds || []).filter(x => x !== imageId);
+      await IDB.delete(APP.stores.images, imageId);
+      scheduleAutosave(cur, ["imageIds"], "Delete image");
+      await flushAutosave();
+    });
+
+    actions.appendChild(openBtn);
+    actions.appendChild(delBtn);
+
+    wrap.appendChild(img);
+    wrap.appendChild(actions);
+    grid.appendChild(wrap);
+  }
+}
+
+function currentIdea() {
+  const id = APP.state.selectedId;
+  if (!id) return null;
+  return APP.state.ideas.find(i => i.id === id) || null;
+}
+
+// ---------- App logic ----------
+async function loadAllIdeas() {
+  const ideas = await IDB.getAll(APP.stores.ideas);
+  // Upgrade records written by older versions and store them once upgraded.
+  const out = [];
+  for (const i of ideas) {
+    if (i.schemaVersion === IDEA_SCHEMA_VERSION) {
+      out.push(i);
+      continue;
+    }
+    const upgraded = migrateIdea(i);
+    await IDB.put(APP.stores.ideas, upgraded);
+    out.push(upgraded);
+  }
+  APP.state.ideas = out.map(SAVES.overlay);
+  BACKLINKS.rebuild();
+}
+
+async function refreshUI() {
+  setPanelTitle();
+  renderCounts(APP.state.ideas);
+  await renderTrashCount();
+  renderIdeaList();
+
+  const sel = currentIdea();
+  await renderIdeaDetail(sel);
+}
+
+async function selectIdea(id) {
+  APP.state.selectedId = id;
+  hideStaleBanner();
+  renderIdeaList();
+  const idea = currentIdea();
+  await renderIdeaDetail(idea);
+}
+
+async function createAndSelectIdea(partial={}) {
+  const idea = newIdea(partial);
+  await UNDO.run("New idea", () => saveIdea(idea, { skipWipCheck: false }), { focusId: idea.id });
+  APP.state.ideas.push(idea);
+  BACKLINKS.index(idea);
+  APP.state.selectedId = idea.id;
+  await refreshUI();
+}
+
+// Edits record which fields of which idea are dirty; runAutosave() hands the batch to
+// the save queue. Saves never use the object captured at edit time.
+function scheduleAutosave(idea, fields, label="Edit") {
+  SAVES.markDirty(idea, fields, label);
+  setSaveStatus("saving", "Saving…");
+  clearTimeout(APP.state.autosaveTimer);
+  APP.state.autosaveTimer = setTimeout(runAutosave, 350);
+}
+
+function runAutosave() {
+  clearTimeout(APP.state.autosaveTimer);
+  if (!SAVES.dirty.size) return SAVES.tail;
+  const batch = SAVES.dirty;
+  SAVES.dirty = new Map();
+
+  return SAVES.enqueue(async () => {
+    try {
+      for (const [id, entry] of batch) {
+        await saveDirtyFields(id, entry);
+        batch.delete(id);
+      }
+      SAVES.failed = false;
+    } catch (err) {
+      console.error("Save failed:", err);
+      SAVES.restore(batch);
+      SAVES.failed = true;
+    }
+
+    if (SAVES.failed) setSaveStatus("error", "Save failed — retry");
+    else if (SAVES.dirty.size) setSaveStatus("saving", "Saving…");
+    else setSaveStatus(navigator.onLine ? "ok" : "offline", navigator.onLine ? "Saved" : "Saved (offline)");
+
+    renderCounts(APP.state.ideas);
+    renderIdeaList();
+    await renderIdeaDetail(currentIdea());
+  });
+}
+
+// Patches the dirty fields onto the stored record, so whatever else changed meanwhile
+// (another tab, sync, an earlier save) is kept. Memory is patched in place.
+async function saveDirtyFields(id, { label, values }) {
+  const stored = await IDB.get(APP.stores.ideas, id);
+  if (!stored) return; // deleted meanwhile: don't bring it back
+  const next = { ...stored, ...structuredClone(values) };
+  // Plain edits to the same idea collapse into one undo step.
+  const mergeKey = label === "Edit" ? `edit:${id}` : null;
+  await UNDO.run(label, () => saveIdea(next, { skipWipCheck: false }), { focusId: id, mergeKey });
+
+  const idx = APP.state.ideas.findIndex(i => i.id === id);
+  if (idx >= 0) Object.assign(APP.state.ideas[idx], SAVES.overlay(next));
+}
+
+async function flushAutosave() {
+  await runAutosave();
+  await SAVES.tail;
+}
+
+// Entering a limited bucket follows the WIP rule (Active's limit of 1 is the one-Active rule):
+// a full bucket makes room first. Ideas already in the bucket are saved as they are. If the
+// prompt is dismissed the idea stays where it was (Parked for a new one) and the rest of the
+// edit is still saved.
+async function saveIdea(idea, { skipWipCheck=false } = {}) {
+  // Enforce required shape
+  const t = now();
+  if (!idea.createdAt) idea.createdAt = t;
+  idea.updatedAt = t;
+
+  const stored = await IDB.get(APP.stores.ideas, idea.id);
+  if (!skipWipCheck && bucketById(idea.bucket)?.limit && stored?.bucket !== idea.bucket) {
+    await writeIntoBuckets(new Map([[idea.bucket, [idea.id]]]), (declined) => {
+      if (declined.size) idea.bucket = stored?.bucket || "parked";
+      return ideaSaveOps(idea, stored?.bucket);
+    });
+  } else {
+    await IDB.write(await ideaSaveOps(idea, stored?.bucket));
+  }
+  APP.state.lastSavedAt = t;
+  return idea;
+}
+
+// The writes for saving idea (moved here from prevBucket): links, revisit date, history, the record.
+// resolve: how [[links]] find their targets (see refResolver) when APP.state.ideas isn't the vault yet.
+async function ideaSaveOps(idea, prevBucket, { resolve=resolveRef } = {}) {
+  syncRefs(idea, resolve);
+  await scheduleRevisit(idea, prevBucket);
+  return [...await revisionOps(idea), { store: APP.stores.ideas, put: idea }];
+}
+
+// saveIdea() for a batch: the ideas and their revisions in one transaction, no WIP check
+// (callers make room).
+async function saveIdeas(ideas) {
+  await IDB.write(await saveIdeasOps(ideas));
+  APP.state.lastSavedAt = now();
+}
+
+async function saveIdeasOps(ideas) {
+  const t = now();
+  const ops = [];
+  for (const idea of ideas) {
+    idea.updatedAt = t;
+    ops.push(...await ideaSaveOps(idea, (await IDB.get(APP.stores.ideas, idea.id))?.bucket));
+  }
+  return ops;
+}
+
+// Writes ideas into limited buckets once they fit. incoming: bucket -> ids of the ideas
+// entering it. Occupants are asked to move out first, outside any lock, so no tab waits on a
+// prompt; the buckets' tab locks then only cover the re-check and one transaction with the
+// moves and buildOps(declined). If the occupants changed meanwhile, ask again. declined holds
+// the buckets whose prompt was dismissed (or that can't take that many): their incoming
+// ideas must go elsewhere, which buildOps decides. Resolves to declined.
+async function writeIntoBuckets(incoming, buildOps) {
+  const buckets = [...incoming.keys()].sort();
+  const entering = new Set([...incoming.values()].flat());
+  const occupantsOf = async (bucket) => (await IDB.getAllByIndex(APP.stores.ideas, "bucket", bucket)).filter(i => !entering.has(i.id));
+  const stateOf = (ideas) => ideas.map(i => `${i.id}@${i.updatedAt}`).sort().join();
+
+  for (;;) {
+    const plans = [];
+    const declined = new Set();
+    for (const bucket of buckets) {
+      const occupants = await occupantsOf(bucket);
+      const moves = await planRoom(bucket, incoming.get(bucket).length, occupants, plans.flatMap(p => p.moves));
+      if (!moves) declined.add(bucket);
+      plans.push({ bucket, occupants, moves: moves || [] });
+    }
+
+    const moved = await withBucketLocks(buckets, async () => {
+      for (const p of plans) {
+        if (stateOf(await occupantsOf(p.bucket)) !== stateOf(p.occupants)) return null;
+      }
+      const ops = [];
+      const moved = [];
+      for (const p of plans) {
+        for (const { moveId, to } of p.moves) {
+          const idea = { ...p.occupants.find(i => i.id === moveId), bucket: to, updatedAt: now() };
+          ops.push(...await ideaSaveOps(idea, p.bucket));
+          moved.push(idea);
+        }
+      }
+      await IDB.write([...ops, ...await buildOps(declined)]);
+      return moved;
+    });
+    if (!moved) continue;
+
+    for (const idea of moved) {
+      const mem = APP.state.ideas.find(x => x.id === idea.id);
+      if (mem) Object.assign(mem, { bucket: idea.bucket, updatedAt: idea.updatedAt, revisitAt: idea.revisitAt, snoozeCount: idea.snoozeCount });
+    }
+    return declined;
+  }
+}
+
+// Which occupants leave so incomingCount more ideas fit, asked one at a time; null if dismissed
+// or if they can't fit at all. planned: moves already decided for other buckets.
+async function planRoom(bucket, incomingCount, occupants, planned=[]) {
+  const limit = bucketById(bucket)?.limit || 0;
+  if (incomingCount > limit) return null;
+  const moves = [];
+  let others = occupants;
+  while (others.length + incomingCount > limit) {
+    const choice = await askWipDestination(bucket, others, [...planned, ...moves]);
+    if (!choice) return null;
+    moves.push(choice);
+    others = others.filter(i => i.id !== choice.moveId);
+  }
+  return moves;
+}
+
+// Which idea leaves a full bucket, and where to. One occupant (a limit of 1) is simply named;
+// otherwise the least recently updated is preselected. Full buckets (counting the moves
+// already planned) aren't offered. Resolves null when dismissed.
+function askWipDestination(bucket, occupants, planned=[]) {
+  const b = bucketById(bucket);
+  const counts = {};
+  for (const i of APP.state.ideas) counts[i.bucket] = (counts[i.bucket] || 0) + 1;
+  for (const m of planned) counts[m.to] = (counts[m.to] || 0) + 1;
+  const targets = APP.state.buckets.filter(t => t.id !== bucket && (!t.limit || (counts[t.id] || 0) < t.limit));
+  const sorted = occupants.slice().sort((x, y) => (x.updatedAt || 0) - (y.updatedAt || 0));
+
+  return new Promise((resolve) => {
+    showDialog({
+      title: b.limit === 1 ? `Only one ${b.name}` : `${b.name} is full`,
+      body: `
+        <div style="color:rgba(234,241,255,.92);line-height:1.5">
+          ${b.limit === 1 ? `${escapeHtml(b.name)} already holds:` : `${escapeHtml(b.name)} already holds its limit of ${b.limit}. Pick one to move out:`}
+          <div style="margin-top:10px;padding:10px;border:1px solid rgba(255,255,255,.10);border-radius:14px;background:rgba(255,255,255,.02)">
+            ${sorted.length === 1
+              ? `<b>${escapeHtml(sorted[0].title || "(Untitled)")}</b><br/>`
+              : `<select id="wipMoveId">${sorted.map(i => `<option value="${escapeHtml(i.id)}">${escapeHtml(i.title || "(Untitled)")} — updated ${fmtDate(i.updatedAt)}</option>`).join("")}</select>`}
+            <span style="color:rgba(142,160,181,.95);font-size:12px">Where should it move?</span>
+          </div>
+        </div>
+      `,
+      actions: targets.map((t, n) => ({
+        label: `Move to ${t.name}`,
+        kind: n === 0 ? "btn-primary" : "btn-ghost",
+        onClick: () => resolve({ moveId: $("#wipMoveId")?.value || sorted[0].id, to: t.id })
+      })),
+      onDismiss: () => resolve(null)
+    });
+  });
+}
+
+function escapeHtml(str) {
+  return String(str || "").replace(/[&<>"']/g, m => ({
+    "&":"&amp;","<":"&lt;",">":"&gt;",'"':"&quot;","'":"&#039;"
+  }[m]));
+}
+
+// ---------- Idea references ----------
+// [[Idea title]] in description or keyNotes links to another idea. The label is kept as
+// typed; refs maps it to the target's id when it is written (or picked from autocomplete),
+// so renaming the target doesn't break the link. Labels without a stored id fall back to
+// a title match.
+const REF_FIELDS = ["description", "keyNotes"];
+const REF_PATTERN = /\[\[([^\[\]\n]+?)\]\]/g;
+
+function refLabels(idea) {
+  const labels = new Set();
+  for (const key of REF_FIELDS) {
+    for (const m of String(idea[key] || "").matchAll(REF_PATTERN)) labels.add(m[1].trim());
+  }
+  return [...labels].filter(Boolean);
+}
+
+function titleKey(title) {
+  return String(title || "").trim().toLowerCase();
+}
+
+function findIdeaByTitle(title, exceptId=null) {
+  const t = titleKey(title);
+  return APP.state.ideas.find(i => i.id !== exceptId && titleKey(i.title) === t) || null;
+}
+
+function resolveRef(idea, label) {
+  const id = idea.refs?.[label];
+  return (id && APP.state.ideas.find(i => i.id === id)) || findIdeaByTitle(label, idea.id);
+}
+
+// resolveRef() over any list of ideas, with lookups by id and title built once.
+function refResolver(ideas) {
+  const byId = new Map(ideas.map(i => [i.id, i]));
+  const byTitle = new Map();
+  for (const i of ideas) {
+    const t = titleKey(i.title);
+    if (!byTitle.has(t)) byTitle.set(t, []);
+    byTitle.get(t).push(i);
+  }
+  return (idea, label) => {
+    const id = idea.refs?.[label];
+    return (id && byId.get(id)) || (byTitle.get(titleKey(label)) || []).find(i => i.id !== idea.id) || null;
+  };
+}
+
+// Rebuilds idea.refs from the text; true when it changed.
+function syncRefs(idea, resolve=resolveRef) {
+  const next = {};
+  for (const label of refLabels(idea)) {
+    const target = resolve(idea, label);
+    if (target) next[label] = target.id;
+  }
+  if (stableStringify(next) === stableStringify(idea.refs || {})) return false;
+  idea.refs = next;
+  return true;
+}
+
+// Which ideas link to which: target id -> ids of the ideas linking to it. Rebuilt with the
+// idea list (loadAllIdeas) and updated per idea as its text changes, so the refs panel
+// doesn't rescan every idea on each keystroke.
+const BACKLINKS = {
+  to: new Map(),
+  from: new Map(),
+
+  rebuild() {
+    BACKLINKS.to = new Map();
+    BACKLINKS.from = new Map();
+    const resolve = refResolver(APP.state.ideas);
+    for (const idea of APP.state.ideas) BACKLINKS.index(idea, resolve);
+  },
+
+  index(idea, resolve=resolveRef) {
+    for (const id of BACKLINKS.from.get(idea.id) || []) BACKLINKS.to.get(id)?.delete(idea.id);
+    const targets = new Set(refLabels(idea).map(label => resolve(idea, label)?.id).filter(id => id && id !== idea.id));
+    BACKLINKS.from.set(idea.id, targets);
+    for (const id of targets) {
+      if (!BACKLINKS.to.has(id)) BACKLINKS.to.set(id, new Set());
+      BACKLINKS.to.get(id).add(idea.id);
+    }
+  }
+};
+
+function backlinksOf(id) {
+  const sources = BACKLINKS.to.get(id);
+  return sources?.size ? APP.state.ideas.filter(i => sources.has(i.id)) : [];
+}
+
+// Opens an idea wherever it lives: switches to its bucket and selects it.
+async function jumpToIdea(id) {
+  const idea = APP.state.ideas.find(i => i.id === id);
+  if (!idea) {
+    showToast("That idea no longer exists.");
+    return;
+  }
+  hideView();
+  activateNavBucket(idea.bucket);
+  setPanelTitle();
+  await selectIdea(id);
+  ensureDetailOpenMobile(true);
+}
+
+function renderRefs(idea) {
+  const outgoing = refLabels(idea).map(label => ({ label, target: resolveRef(idea, label) }));
+  const incoming = backlinksOf(idea.id);
+
+  const list = (items) => items.length ? items.join("") : `<div class="muted small">None</div>`;
+  $("#refsPanel").innerHTML = `
+    <div class="muted small">Links to</div>
+    ${list(outgoing.map(({ label, target }) => target
+      ? `<button type="button" class="ref-link" data-id="${escapeHtml(target.id)}">${escapeHtml(target.title || "(Untitled)")}${target.title !== label ? ` <span class="muted small">[[${escapeHtml(label)}]]</span>` : ""}</button>`
+      : `<span class="ref-link missing" title="No idea with this title">[[${escapeHtml(label)}]]</span>`))}
+    <div class="muted small" style="margin-top:8px">Backlinks</div>
+    ${list(incoming.map(i => `<button type="button" class="ref-link" data-id="${escapeHtml(i.id)}">${escapeHtml(i.title || "(Untitled)")} <span class="muted small">${escapeHtml(bucketName(i.bucket))}</span></button>`))}
+  `;
+  $$("#refsPanel .ref-link[data-id]").forEach(btn => {
+    btn.addEventListener("click", async () => {
+      await flushAutosave();
+      await jumpToIdea(btn.getAttribute("data-id"));
+    });
+  });
+}
+
+// Edit / Preview toggle on description and keyNotes.
+function renderMarkdownPreview(key, idea) {
+  const on = !!APP.state.mdPreview[key];
+  const preview = $(`#${key}Preview`);
+  $("#" + key).classList.toggle("hidden", on);
+  preview.classList.toggle("hidden", !on);
+  $(`.md-toggle[data-md="${key}"]`).textContent = on ? "Edit" : "Preview";
+  if (on) preview.innerHTML = renderMarkdown(idea?.[key], { idea }) || `<p class="muted">Nothing here yet.</p>`;
+}
+
+function bindMarkdownPreview() {
+  for (const key of REF_FIELDS) {
+    const preview = $(`#${key}Preview`);
+    bindMarkdownRefs(preview);
+    const toggle = async () => {
+      APP.state.mdPreview[key] = !APP.state.mdPreview[key];
+      renderMarkdownPreview(key, currentIdea());
+      if (!APP.state.mdPreview[key]) $("#" + key).focus();
+    };
+    $(`.md-toggle[data-md="${key}"]`).addEventListener("click", toggle);
+    preview.addEventListener("dblclick", toggle);
+  }
+}
+
+// Typing "[[" in a reference field offers matching titles; Enter / Tab picks, Esc closes.
+function bindRefAutocomplete(el) {
+  const box = document.createElement("div");
+  box.className = "ref-suggest hidden";
+  el.insertAdjacentElement("afterend", box);
+  let matches = [], active = 0, start = -1;
+
+  function close() {
+    box.classList.add("hidden");
+    matches = [];
+  }
+
+  function pick(target) {
+    const idea = currentIdea();
+    if (!idea || start < 0) return;
+    const label = target.title || "(Untitled)";
+    const caret = el.selectionStart;
+    const after = el.value.slice(caret).replace(/^[^\[\]\n]*\]\]/, "");
+    el.value = `${el.value.slice(0, start)}[[${label}]]${after}`;
+    const pos = start + label.length + 4;
+    el.setSelectionRange(pos, pos);
+    idea.refs = { ...(idea.refs || {}), [label]: target.id };
+    scheduleAutosave(idea, ["refs"]);
+    close();
+    el.dispatchEvent(new Event("input"));
+  }
+
+  function render() {
+    box.innerHTML = "";
+    matches.forEach((m, idx) => {
+      const opt = document.createElement("button");
+      opt.type = "button";
+      opt.className = "ref-option" + (idx === active ? " active" : "");
+      opt.innerHTML = `${escapeHtml(m.title || "(Untitled)")} <span class="muted small">${escapeHtml(bucketName(m.bucket))}</span>`;
+      opt.addEventListener("mousedown", (e) => {
+        e.preventDefault(); // keep focus in the textarea
+        pick(m);
+      });
+      box.appendChild(opt);
+    });
+    box.classList.toggle("hidden", !matches.length);
+  }
+
+  el.addEventListener("input", () => {
+    const before = el.value.slice(0, el.selectionStart);
+    const open = /\[\[([^\[\]\n]*)$/.exec(before);
+    if (!open) return close();
+    start = open.index;
+    const q = open[1].trim().toLowerCase();
+    const selfId = APP.state.selectedId;
+    matches = APP.state.ideas
+      .filter(i => i.id !== selfId && (i.title || "").toLowerCase().includes(q))
+      .sort((a, b) => Number(!(a.title || "").toLowerCase().startsWith(q)) - Number(!(b.title || "").toLowerCase().startsWith(q)) || b.updatedAt - a.updatedAt)
+      .slice(0, 8);
+    active = 0;
+    render();
+  });
+
+  el.addEventListener("keydown", (e) => {
+    if (!matches.length) return;
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      active = (active + (e.key === "ArrowDown" ? 1 : matches.length - 1)) % matches.length;
+      render();
+    } else if (e.key === "Enter" || e.key === "Tab") {
+      e.preventDefault();
+      pick(matches[active]);
+    } else if (e.key === "Escape") {
+      e.stopPropagation();
+      close();
+    }
+  });
+
+  el.addEventListener("blur", close);
+}
+
+// ---------- Form bindings ----------
+function bindForm() {
+  const map = [
+    ["title","title"],
+    ["bucket","bucket"],
+    ["ventureCategory","ventureCategory"],
+    ["status","status"],
+    ["priority","priority"],
+    ["nextAction","nextAction"],
+    ["description","description"],
+    ["keyNotes","keyNotes"]
+  ];
+
+  map.forEach(([id, key]) => {
+    const el = $("#" + id);
+    el.addEventListener("input", async () => {
+      const idea = currentIdea();
+      if (!idea) return;
+      idea[key] = el.value;
+      scheduleAutosave(idea, REF_FIELDS.includes(key) && syncRefs(idea) ? [key, "refs"] : [key]);
+      renderIdeaList();
+      // A new title can change which [[Title]] links (those without a stored id) land here.
+      if (key === "title") BACKLINKS.rebuild();
+      if (REF_FIELDS.includes(key)) {
+        BACKLINKS.index(idea);
+        renderRefs(idea);
+      }
+      if (key === "bucket") {
+        // if moved out of current bucket, select stays but list changes
+        // keep selection and rerender
+      }
+    });
+    el.addEventListener("change", async () => {
+      const idea = currentIdea();
+      if (!idea) return;
+      idea[key] = el.value;
+      scheduleAutosave(idea, REF_FIELDS.includes(key) && syncRefs(idea) ? [key, "refs"] : [key]);
+      renderIdeaList();
+    });
+  });
+  REF_FIELDS.forEach(id => bindRefAutocomplete($("#" + id)));
+  bindMarkdownPreview();
+
+  // Tag entry
+  APP.ui.tagInput.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      const val = normalizeTag(APP.ui.tagInput.value);
+      if (!val) return;
+      const idea = currentIdea();
+      if (!idea) return;
+      idea.tags = idea.tags || [];
+      if (!idea.tags.includes(val)) idea.tags.push(val);
+      APP.ui.tagInput.value = "";
+      scheduleAutosave(idea, ["tags"]);
+      renderTags(idea.tags);
+      renderIdeaList();
+    }
+  });
+
+  // Add link
+  APP.ui.btnAddLink.addEventListener("click", () => {
+    const idea = currentIdea();
+    if (!idea) return;
+    idea.links = idea.links || [];
+    idea.links.push({ label:"", url:"" });
+    scheduleAutosave(idea, ["links"]);
+    renderLinks(idea.links);
+  });
+
+  // Revisit date: "" clears it, so the idea never resurfaces on its own.
+  $("#revisitAt").addEventListener("change", (e) => {
+    const idea = currentIdea();
+    if (!idea) return;
+    const [y, m, d] = e.target.value.split("-").map(Number);
+    idea.revisitAt = e.target.value ? new Date(y, m - 1, d).getTime() : null;
+    scheduleAutosave(idea, ["revisitAt"]);
+  });
+
+  // Add action
+  APP.ui.btnAddAction.addEventListener("click", () => {
+    const idea = currentIdea();
+    if (!idea) return;
+    idea.actions = [...(idea.actions || []), newAction()];
+    scheduleAutosave(idea, ["actions"]);
+    renderActions(idea.actions);
+    APP.ui.actionsList.querySelector(".action-row:last-child input[type='text']")?.focus();
+  });
+
+  // Images picker
+  APP.ui.imagePicker.addEventListener("change", async (e) => {
+    const files = Array.from(e.target.files || []);
+    if (!files.length) return;
+    const idea = currentIdea();
+    if (!idea) return;
+
+    for (const f of files) {
+      const rec = {
+        id: uuid(),
+        ideaId: idea.id,
+        blob: f,
+        filename: f.name,
+        type: f.type,
+        createdAt: now()
+      };
+      await IDB.put(APP.stores.images, rec);
+      idea.imageIds = idea.imageIds || [];
+      idea.imageIds.push(rec.id);
+    }
+
+    scheduleAutosave(idea, ["imageIds"], files.length === 1 ? "Add image" : "Add images");
+    await flushAutosave();
 
     // reset picker so re-adding same file works
     APP.ui.imagePicker.value = "";
   });
 
-  // Promote to Active
-  APP.ui.btnPromote.addEventListener("click", async () => {
-    const idea = currentIdea();
-    if (!idea) return;
-    idea.bucket = "active";
-    await saveIdea(idea, { skipActiveRuleCheck: false });
+  // Promote to Active
+  APP.ui.btnPromote.addEventListener("click", async () => {
+    const idea = currentIdea();
+    if (!idea) return;
+    await flushAutosave();
+    idea.bucket = "active";
+    await SAVES.enqueue(() => UNDO.run("Promote to Active", () => saveIdea(idea, { skipWipCheck: false }), { focusId: idea.id }));
+    await loadAllIdeas();
+    // idea.bucket is back where it was if the WIP prompt was dismissed.
+    APP.state.bucket = idea.bucket;
+    activateNavBucket(idea.bucket);
+    APP.state.selectedId = idea.id;
+    await refreshUI();
+  });
+
+  // Park it (from Active)
+  APP.ui.btnParkActive.addEventListener("click", async () => {
+    const idea = currentIdea();
+    if (!idea) return;
+    await flushAutosave();
+    idea.bucket = "parked";
+    await SAVES.enqueue(() => UNDO.run("Park it", () => saveIdea(idea, { skipWipCheck: true }), { focusId: idea.id }));
+    await loadAllIdeas();
+    APP.state.bucket = "parked";
+    activateNavBucket("parked");
+    await refreshUI();
+  });
+
+  // History
+  APP.ui.btnHistory.addEventListener("click", async () => {
+    const idea = currentIdea();
+    if (!idea) return;
+    await showHistory(idea.id);
+  });
+
+  // Delete
+  APP.ui.btnDelete.addEventListener("click", async () => {
+    const idea = currentIdea();
+    if (!idea) return;
+
+    const days = await getTrashRetentionDays();
+    showDialog({
+      title: "Move to Trash?",
+      body: `<div style="color:rgba(234,241,255,.92);line-height:1.5">
+        <b>${escapeHtml(idea.title || "(Untitled)")}</b> and its images move to the Trash.
+        <div style="margin-top:10px" class="muted small">You can restore it from Trash for ${days} day(s) before it is purged.</div>
+      </div>`,
+      actions: [
+        { label: "Cancel", kind: "btn-ghost", onClick: () => {} },
+        { label: "Move to Trash", kind: "btn-danger", onClick: async () => {
+          await flushAutosave();
+          await UNDO.run("Move to Trash", () => moveIdeaToTrash(idea.id), { focusId: idea.id });
+          APP.state.selectedId = null;
+          await loadAllIdeas();
+          await refreshUI();
+          ensureDetailOpenMobile(false);
+        }}
+      ]
+    });
+  });
+}
+
+// ---------- Navigation / List controls ----------
+function activateNavBucket(bucket) {
+  APP.state.view = null;
+  APP.state.bucket = bucket;
+  APP.state.smartViewId = null;
+  $$(".nav-item").forEach(b => b.classList.remove("active"));
+  const btn = $(`.nav-item[data-bucket="${bucket}"]`);
+  if (btn) btn.classList.add("active");
+  // Clear view actives
+  $$(".nav-item[data-view]").forEach(b => b.classList.remove("active"));
+  setPanelTitle();
+}
+
+function activateNavView(view) {
+  APP.state.view = view;
+  $$(".nav-item").forEach(b => b.classList.remove("active"));
+  const btn = $(`.nav-item[data-view="${view}"]`);
+  if (btn) btn.classList.add("active");
+}
+
+function bindNav() {
+  // bucket buttons (re-rendered with the counts)
+  APP.ui.bucketList.addEventListener("click", async (e) => {
+    const btn = e.target.closest(".nav-item[data-bucket]");
+    if (!btn) return;
+    activateNavBucket(btn.getAttribute("data-bucket"));
+    await refreshUI();
+    ensureDetailOpenMobile(false);
+  });
+  APP.ui.btnManageBuckets.addEventListener("click", () => {
+    activateNavView("buckets");
+    showBucketManager();
+  });
+
+  // view buttons
+  $$(".nav-item[data-view]").forEach(btn => {
+    btn.addEventListener("click", async () => {
+      const v = btn.getAttribute("data-view");
+      activateNavView(v);
+      if (v === "daily") {
+        showDailySweep();
+      } else if (v === "actions") {
+        showNextActions();
+      } else if (v === "review") {
+        showReviewQueue();
+      } else if (v === "graph") {
+        showGraph();
+      } else if (v === "ventures") {
+        showVentureManager();
+      } else if (v === "tags") {
+        showTagManager();
+      } else if (v === "export") {
+        showExportImport();
+      } else if (v === "trash") {
+        showTrash();
+      } else if (v === "settings") {
+        showSettings();
+      }
+    });
+  });
+
+  // Smart views
+  APP.ui.btnSaveSmartView.addEventListener("click", () => promptSaveSmartView());
+  APP.ui.btnManageSmartViews.addEventListener("click", () => {
+    activateNavView("smartviews");
+    showSmartViewManager();
+  });
+
+  // Search + filters + sort
+  APP.ui.searchInput.addEventListener("input", () => {
+    APP.state.search = APP.ui.searchInput.value;
+    renderIdeaList();
+  });
+  APP.ui.btnClearSearch.addEventListener("click", () => {
+    APP.ui.searchInput.value = "";
+    APP.state.search = "";
+    renderIdeaList();
+  });
+
+  APP.ui.filterVenture.addEventListener("change", () => {
+    APP.state.filters.venture = APP.ui.filterVenture.value;
+    renderIdeaList();
+  });
+  APP.ui.filterPriority.addEventListener("change", () => {
+    APP.state.filters.priority = APP.ui.filterPriority.value;
+    renderIdeaList();
+  });
+  APP.ui.filterTag.addEventListener("input", () => {
+    APP.state.filters.tag = APP.ui.filterTag.value;
+    renderIdeaList();
+  });
+  APP.ui.sortSelect.addEventListener("change", () => {
+    APP.state.sort = APP.ui.sortSelect.value;
+    renderIdeaList();
+  });
+
+  // Quick dump
+  APP.ui.btnQuickDumpToggle.addEventListener("click", () => {
+    APP.ui.quickDump.classList.toggle("hidden");
+    if (!APP.ui.quickDump.classList.contains("hidden")) {
+      APP.ui.qdTitle.focus();
+    }
+  });
+
+  APP.ui.btnQuickAdd.addEventListener("click", async () => {
+    const title = APP.ui.qdTitle.value.trim();
+    const notes = APP.ui.qdNotes.value.trim();
+    const bucket = APP.ui.qdBucket.value;
+
+    if (!title && !notes) return;
+
+    const idea = newIdea({
+      title: title || "(Quick dump)",
+      keyNotes: notes,
+      bucket: bucket || "parked",
+      ventureCategory: "Other",
+      status: "draft",
+      priority: "medium",
+      nextAction: "",
+      inbox: true
+    });
+
+    await UNDO.run("Quick Dump", () => saveIdea(idea, { skipWipCheck: false }), { focusId: idea.id });
+    await loadAllIdeas();
+
+    APP.ui.qdTitle.value = "";
+    APP.ui.qdNotes.value = "";
+
+    // Switch to target bucket and select it
+    activateNavBucket(idea.bucket);
+    APP.state.selectedId = idea.id;
+    await refreshUI();
+  });
+
+  // New idea buttons
+  APP.ui.btnNewIdea.addEventListener("click", async () => {
+    await createAndSelectIdea({ bucket: "parked", title: "New idea", ventureCategory: "Other" });
+  });
+  APP.ui.btnEmptyNew.addEventListener("click", async () => {
+    await createAndSelectIdea({ bucket: "parked", title: "New idea", ventureCategory: "Other" });
+  });
+
+  // Focus timer
+  APP.ui.btnFocus.addEventListener("click", () => showFocus());
+
+  // Help
+  APP.ui.btnHelp.addEventListener("click", () => {
+    APP.ui.helpOverlay.classList.remove("hidden");
+  });
+  APP.ui.btnHelpClose.addEventListener("click", () => {
+    APP.ui.helpOverlay.classList.add("hidden");
+  });
+  APP.ui.helpOverlay.addEventListener("click", (e) => {
+    if (e.target === APP.ui.helpOverlay) APP.ui.helpOverlay.classList.add("hidden");
+  });
+
+  // Drawer overlay closes detail on mobile
+  APP.ui.drawerOverlay.addEventListener("click", () => ensureDetailOpenMobile(false));
+
+  // View overlay close
+  APP.ui.btnViewClose.addEventListener("click", () => {
+    hideView();
+  });
+  APP.ui.viewOverlay.addEventListener("click", (e) => {
+    if (e.target === APP.ui.viewOverlay) hideView();
+  });
+
+  // Dialog close by clicking backdrop
+  APP.ui.dialogOverlay.addEventListener("click", (e) => {
+    if (e.target === APP.ui.dialogOverlay) dismissDialog();
+  });
+
+  // Keyboard shortcuts
+  document.addEventListener("keydown", async (e) => {
+    // Triage mode owns single keys while its view is up (but not while typing or in a dialog).
+    if (APP.state.view === "triage" && !APP.ui.viewOverlay.classList.contains("hidden") &&
+        APP.ui.dialogOverlay.classList.contains("hidden") && !e.ctrlKey && !e.metaKey && !e.altKey) {
+      const tag = (document.activeElement?.tagName || "").toLowerCase();
+      const command = ["input","textarea","select"].includes(tag) ? null : TRIAGE.command(e.key);
+      if (command) {
+        e.preventDefault();
+        await command();
+        return;
+      }
+    }
+
+    if ((e.ctrlKey || e.metaKey) && !e.altKey && (e.key.toLowerCase() === "z" || e.key.toLowerCase() === "y")) {
+      // Text fields keep their native undo.
+      const tag = (document.activeElement?.tagName || "").toLowerCase();
+      if (["input","textarea"].includes(tag)) return;
+      e.preventDefault();
+      const redo = e.key.toLowerCase() === "y" || e.shiftKey;
+      if (redo) await UNDO.redo();
+      else await UNDO.undo();
+      return;
+    }
+
+    if (e.key.toLowerCase() === "n" && !e.metaKey && !e.ctrlKey && !e.altKey) {
+      // avoid when typing in inputs, and while a view (triage included) or dialog is up
+      const tag = (document.activeElement?.tagName || "").toLowerCase();
+      if (["input","textarea","select"].includes(tag)) return;
+      if (!APP.ui.viewOverlay.classList.contains("hidden") || !APP.ui.dialogOverlay.classList.contains("hidden")) return;
+      await createAndSelectIdea({ bucket: "parked", title: "New idea", ventureCategory: "Other" });
+    }
+    if (e.key === "Escape") {
+      // close overlays
+      APP.ui.helpOverlay.classList.add("hidden");
+      dismissDialog();
+      hideView();
+      ensureDetailOpenMobile(false);
+    }
+  });
+}
+
+// ---------- Multi-select / bulk edits ----------
+// APP.state.selection holds the ids ticked in the idea list (checkbox, Ctrl/Cmd-click,
+// Shift-click for a range). It only covers cards on screen: renderIdeaList drops the rest.
+function selectedIdeas() {
+  return APP.state.ideas.filter(i => APP.state.selection.has(i.id));
+}
+
+function toggleSelection(id, { range=false, visibleIds=[] } = {}) {
+  const sel = APP.state.selection;
+  const anchor = APP.state.selectionAnchor || APP.state.selectedId;
+  if (range && visibleIds.includes(anchor)) {
+    const [from, to] = [visibleIds.indexOf(anchor), visibleIds.indexOf(id)].sort((a, b) => a - b);
+    for (const x of visibleIds.slice(from, to + 1)) sel.add(x);
+  } else if (sel.has(id)) {
+    sel.delete(id);
+  } else {
+    sel.add(id);
+  }
+  APP.state.selectionAnchor = id;
+  renderIdeaList();
+}
+
+function clearSelection() {
+  APP.state.selection.clear();
+  APP.state.selectionAnchor = null;
+  renderIdeaList();
+}
+
+function renderBulkBar() {
+  const n = APP.state.selection.size;
+  APP.ui.bulkBar.classList.toggle("hidden", !n);
+  APP.ui.bulkCount.textContent = `${n} selected`;
+
+  const select = APP.ui.bulkBucket;
+  const html = `<option value="">Move to…</option>`
+    + APP.state.buckets.map(b => `<option value="${escapeHtml(b.id)}">${escapeHtml(b.name)}${b.limit ? ` (max ${b.limit})` : ""}</option>`).join("");
+  if (select.dataset.options !== html) {
+    select.innerHTML = html;
+    select.dataset.options = html;
+  }
+}
+
+async function afterBulkEdit() {
+  await loadAllIdeas();
+  await refreshUI();
+  refreshOpenView();
+}
+
+// Applies `edit` to copies of the selected ideas and saves the ones it changed:
+// one transaction, one undo step.
+async function bulkEdit(label, edit) {
+  await flushAutosave();
+  const before = selectedIdeas();
+  const changed = before
+    .map(i => {
+      const next = cloneIdea(i);
+      edit(next);
+      return next;
+    })
+    .filter((next, n) => changedFields(before[n], next).length);
+  if (!changed.length) {
+    showToast("Nothing to change");
+    return;
+  }
+  await SAVES.enqueue(() => UNDO.run(`${label} (${changed.length})`, () => saveIdeas(changed)));
+  await afterBulkEdit();
+}
+
+// Moving into a limited bucket follows the WIP rule: if the selection doesn't fit next to
+// what's already there, occupants are asked to move out first (as for a single save).
+async function bulkMove(to) {
+  const b = bucketById(to);
+  if (!b) return;
+  await flushAutosave();
+  const moving = selectedIdeas().filter(i => i.bucket !== to).map(cloneIdea);
+  if (!moving.length) {
+    showToast(`Already in ${b.name}`);
+    return;
+  }
+  if (b.limit && moving.length > b.limit) {
+    showToast(`${b.name} holds at most ${b.limit} idea(s) — select fewer.`);
+    return;
+  }
+  for (const idea of moving) idea.bucket = to;
+
+  const write = async () => {
+    if (!b.limit) return saveIdeas(moving).then(() => true);
+    const declined = await writeIntoBuckets(new Map([[to, moving.map(i => i.id)]]), (declined) => declined.size ? [] : saveIdeasOps(moving));
+    return !declined.size;
+  };
+  const label = `Move to ${b.name} (${moving.length})`;
+  if (!await SAVES.enqueue(() => UNDO.run(label, write))) showToast("Nothing moved");
+  await afterBulkEdit();
+}
+
+async function bulkDelete() {
+  const ideas = selectedIdeas();
+  if (!ideas.length) return;
+  const days = await getTrashRetentionDays();
+  showDialog({
+    title: `Move ${ideas.length} idea(s) to Trash?`,
+    body: `<div style="color:rgba(234,241,255,.92);line-height:1.5">
+      ${ideas.slice(0, 8).map(i => `<div>• ${escapeHtml(i.title || "(Untitled)")}</div>`).join("")}
+      ${ideas.length > 8 ? `<div class="muted small">…and ${ideas.length - 8} more</div>` : ""}
+      <div style="margin-top:10px" class="muted small">You can restore them from Trash for ${days} day(s) before they are purged.</div>
+    </div>`,
+    actions: [
+      { label: "Cancel", kind: "btn-ghost", onClick: () => {} },
+      { label: "Move to Trash", kind: "btn-danger", onClick: async () => {
+        await flushAutosave();
+        const ids = ideas.map(i => i.id);
+        await SAVES.enqueue(() => UNDO.run(`Move to Trash (${ids.length})`, () => moveIdeasToTrash(ids)));
+        if (ids.includes(APP.state.selectedId)) {
+          APP.state.selectedId = null;
+          ensureDetailOpenMobile(false);
+        }
+        APP.state.selection.clear();
+        await afterBulkEdit();
+      }}
+    ]
+  });
+}
+
+function bulkExport() {
+  const ideas = selectedIdeas();
+  if (!ideas.length) return;
+  const stamp = new Date().toISOString().slice(0,10);
+  showDialog({
+    title: `Export ${ideas.length} idea(s)`,
+    body: `<div style="color:rgba(234,241,255,.92);line-height:1.5">
+      JSON imports back into a vault (ideas only, like Light Export). The Markdown vault includes images.
+    </div>`,
+    actions: [
+      { label: "JSON", kind: "btn-primary", onClick: () => {
+        downloadJson({
+          meta: { app:"Idea Vault", version: BUNDLE_VERSION, exportedAt: now(), includeImages:false },
+          ideas,
+          images: []
+        }, `idea-vault-selection-${stamp}.json`);
+      }},
+      { label: "Markdown (ZIP)", kind: "btn-ghost", onClick: async () => {
+        try {
+          downloadBlob(await buildMarkdownExport(ideas), `idea-vault-selection-${stamp}.zip`);
+        } catch (err) {
+          showToast("Markdown export failed: " + (err?.message || String(err)));
+        }
+      }},
+      { label: "CSV", kind: "btn-ghost", onClick: () => {
+        const csv = "\uFEFF" + ideasToCsv(ideas); // BOM so spreadsheet apps detect UTF-8
+        downloadBlob(new Blob([csv], { type: "text/csv" }), `idea-vault-selection-${stamp}.csv`);
+      }}
+    ]
+  });
+}
+
+function bindBulkBar() {
+  const ui = APP.ui;
+  ui.btnBulkAll.addEventListener("click", () => {
+    for (const card of ui.ideaList.querySelectorAll(".idea-card")) APP.state.selection.add(card.dataset.id);
+    renderIdeaList();
+  });
+  ui.btnBulkClear.addEventListener("click", clearSelection);
+
+  ui.bulkBucket.addEventListener("change", async () => {
+    const to = ui.bulkBucket.value;
+    ui.bulkBucket.value = "";
+    if (to) await bulkMove(to);
+  });
+  ui.bulkPriority.addEventListener("change", async () => {
+    const value = ui.bulkPriority.value;
+    ui.bulkPriority.value = "";
+    if (value) await bulkEdit("Set priority", idea => { idea.priority = value; });
+  });
+  ui.bulkStatus.addEventListener("change", async () => {
+    const value = ui.bulkStatus.value;
+    ui.bulkStatus.value = "";
+    if (value) await bulkEdit("Set status", idea => { idea.status = value; });
+  });
+
+  ui.btnBulkVenture.addEventListener("click", async () => {
+    const name = ui.bulkVenture.value.trim();
+    if (!name) return;
+    // Match the registry's spelling when the name differs only in case.
+    const value = APP.state.ventures.find(v => v.name.toLowerCase() === name.toLowerCase())?.name || name;
+    ui.bulkVenture.value = "";
+    await bulkEdit("Set venture", idea => { idea.ventureCategory = value; });
+  });
+
+  const tagAction = (add) => async () => {
+    const tag = normalizeTag(ui.bulkTag.value);
+    if (!tag) return;
+    ui.bulkTag.value = "";
+    if (add) {
+      await bulkEdit("Add tag", idea => {
+        if (!(idea.tags || []).includes(tag)) idea.tags = [...(idea.tags || []), tag];
+      });
+    } else {
+      await bulkEdit("Remove tag", idea => {
+        idea.tags = (idea.tags || []).filter(t => normalizeTag(t) !== tag);
+      });
+    }
+  };
+  ui.btnBulkTagAdd.addEventListener("click", tagAction(true));
+  ui.btnBulkTagRemove.addEventListener("click", tagAction(false));
+
+  ui.btnBulkExport.addEventListener("click", bulkExport);
+  ui.btnBulkDelete.addEventListener("click", bulkDelete);
+}
+
+// ---------- Bucket nav / manager ----------
+function renderBuckets(allIdeas) {
+  const counts = {};
+  for (const i of allIdeas) counts[i.bucket] = (counts[i.bucket] || 0) + 1;
+  const unknown = Object.keys(counts).filter(id => !bucketById(id)).map(id => normalizeBucket({ id }));
+  const list = APP.ui.bucketList;
+  list.innerHTML = "";
+
+  for (const b of [...APP.state.buckets, ...unknown]) {
+    const n = counts[b.id] || 0;
+    const btn = document.createElement("button");
+    btn.className = "nav-item";
+    btn.setAttribute("data-bucket", b.id);
+    if (b.id === APP.state.bucket && !APP.state.view && !APP.state.smartViewId) btn.classList.add("active");
+
+    const dot = document.createElement("span");
+    dot.className = "nav-dot";
+    dot.style.background = b.color;
+    const name = document.createElement("span");
+    name.className = "nav-label";
+    name.textContent = b.name;
+    const count = document.createElement("span");
+    count.className = "count" + (b.limit && n > b.limit ? " over" : "");
+    count.textContent = b.limit ? `${n}/${b.limit}` : n;
+    if (b.limit) count.title = `WIP limit: ${b.limit}`;
+
+    btn.appendChild(dot);
+    btn.appendChild(name);
+    btn.appendChild(count);
+    list.appendChild(btn);
+  }
+
+  renderBucketOptions($("#bucket"), [...APP.state.buckets, ...unknown]);
+  renderBucketOptions(APP.ui.qdBucket, APP.state.buckets);
+}
+
+// Rebuilt only when the buckets changed, so an open select keeps its value.
+function renderBucketOptions(select, buckets) {
+  const html = buckets.map(b => `<option value="${escapeHtml(b.id)}">${escapeHtml(b.name)}</option>`).join("");
+  if (select.dataset.options === html) return;
+  const value = select.value || "parked";
+  select.innerHTML = html;
+  select.dataset.options = html;
+  select.value = buckets.some(b => b.id === value) ? value : "parked";
+}
+
+function showBucketManager() {
+  const buckets = APP.state.buckets;
+  const counts = {};
+  for (const i of APP.state.ideas) counts[i.bucket] = (counts[i.bucket] || 0) + 1;
+
+  const wrap = document.createElement("div");
+  wrap.innerHTML = `
+    <div class="muted">Rename, colour, reorder or add buckets. A <b>WIP limit</b> caps how many ideas a bucket holds (0 = no limit): moving one more in asks which idea makes room. Ideas moved into a bucket with <b>revisit</b> days come up in Review after that many days (0 = never).</div>
+    <div style="margin-top:12px;display:flex;flex-direction:column;gap:10px" id="bucketRows"></div>
+    <div style="margin-top:12px"><button class="btn btn-primary" id="btnAddBucket">＋ Add bucket</button></div>
+  `;
+  const list = wrap.querySelector("#bucketRows");
+
+  buckets.forEach((b, idx) => {
+    const n = counts[b.id] || 0;
+    const row = document.createElement("div");
+    row.style.border = "1px solid rgba(255,255,255,.10)";
+    row.style.borderRadius = "14px";
+    row.style.padding = "12px";
+    row.style.background = "rgba(255,255,255,.02)";
+    row.innerHTML = `
+      <div style="display:grid;grid-template-columns:auto 1fr auto;gap:10px;align-items:center">
+        <input type="color" data-f="color" value="${escapeHtml(b.color)}" title="Colour" class="bucket-color" />
+        <input type="text" data-f="name" value="${escapeHtml(b.name)}" />
+        <div style="display:flex;gap:6px;flex-wrap:wrap;justify-content:flex-end">
+          <button class="btn btn-ghost btn-icon" data-act="up" title="Move up" ${idx === 0 ? "disabled" : ""}>↑</button>
+          <button class="btn btn-ghost btn-icon" data-act="down" title="Move down" ${idx === buckets.length - 1 ? "disabled" : ""}>↓</button>
+          <button class="btn btn-danger" data-act="delete" ${BUILTIN_BUCKETS.has(b.id) ? `disabled title="Built-in bucket"` : ""}>Delete</button>
+        </div>
+      </div>
+      <div style="display:flex;gap:14px;flex-wrap:wrap;align-items:center;margin-top:8px">
+        <label style="display:flex;align-items:center;gap:10px;margin:0">
+          <span class="muted small">WIP limit</span>
+          <input type="number" data-f="limit" min="0" max="999" value="${b.limit}" style="width:80px" ${b.id === "parked" ? `disabled title="Parked takes the overflow of full buckets"` : ""} />
+        </label>
+        <label style="display:flex;align-items:center;gap:10px;margin:0">
+          <span class="muted small">Revisit after</span>
+          <input type="number" data-f="revisitDays" min="0" max="${APP.revisitMaxDays}" value="${b.revisitDays}" style="width:80px" />
+          <span class="muted small">day(s)</span>
+        </label>
+        <span class="muted small">${n} idea(s)${b.limit && n > b.limit ? ` · <b class="overdue-text">over the limit</b>` : ""}</span>
+      </div>
+    `;
+
+    row.querySelector('[data-f="name"]').addEventListener("change", async (e) => {
+      b.name = e.target.value.trim() || b.name;
+      e.target.value = b.name;
+      await saveBuckets();
+    });
+    row.querySelector('[data-f="color"]').addEventListener("change", async (e) => {
+      b.color = e.target.value;
+      await saveBuckets();
+    });
+    row.querySelectorAll('input[type="number"]').forEach(input => {
+      input.addEventListener("change", async () => {
+        const key = input.getAttribute("data-f");
+        const value = Math.round(Number(input.value));
+        if (!Number.isFinite(value) || value < 0 || value > Number(input.max)) {
+          input.value = b[key];
+          return;
+        }
+        b[key] = value;
+        await saveBuckets();
+        showBucketManager();
+      });
+    });
+    row.querySelector('[data-act="up"]').addEventListener("click", async () => {
+      buckets.splice(idx - 1, 0, buckets.splice(idx, 1)[0]);
+      await saveBuckets();
+      showBucketManager();
+    });
+    row.querySelector('[data-act="down"]').addEventListener("click", async () => {
+      buckets.splice(idx + 1, 0, buckets.splice(idx, 1)[0]);
+      await saveBuckets();
+      showBucketManager();
+    });
+    row.querySelector('[data-act="delete"]').addEventListener("click", () => {
+      const remove = async () => {
+        await flushAutosave();
+        await withWipLocks(async () => {
+          const ops = [];
+          for (const idea of await IDB.getAllByIndex(APP.stores.ideas, "bucket", b.id)) {
+            ops.push(...await moveToBucketOps(idea, "parked"));
+          }
+          await IDB.write(ops);
+        });
+        buckets.splice(buckets.indexOf(b), 1);
+        if (APP.state.bucket === b.id) activateNavBucket("parked");
+        await saveBuckets();
+        await loadAllIdeas();
+        await refreshUI();
+        showBucketManager();
+      };
+      if (!n) return remove();
+      showDialog({
+        title: "Delete bucket?",
+        body: `<div style="color:rgba(234,241,255,.92);line-height:1.5">
+          <b>${escapeHtml(b.name)}</b> holds ${n} idea(s). They move to <b>${escapeHtml(bucketName("parked"))}</b>.
+        </div>`,
+        actions: [
+          { label: "Cancel", kind: "btn-ghost", onClick: () => {} },
+          { label: "Delete bucket", kind: "btn-danger", onClick: remove }
+        ]
+      });
+    });
+
+    list.appendChild(row);
+  });
+
+  wrap.querySelector("#btnAddBucket").addEventListener("click", async () => {
+    buckets.push(normalizeBucket({ id: uuid(), name: "New bucket", color: "#b48cff" }));
+    await saveBuckets();
+    showBucketManager();
+    const names = $$('#bucketRows [data-f="name"]');
+    names[names.length - 1]?.select();
+  });
+
+  showView("Buckets", wrap);
+}
+
+// ---------- Ventures ----------
+// Stored in settings as "ventures": [{ name, color, archived }], kept in list order. Ideas
+// still file their venture as free text (ventureCategory); the registry feeds the form's
+// suggestions, the venture filter and badge colours. Renaming or merging rewrites the
+// matching ideas in one undoable step. Archived ventures stop being suggested.
+const DEFAULT_VENTURES = [
+  { name: "Forge & Fable Games", color: "#ff78c8" },
+  { name: "BluPrints", color: "#6fb6ff" },
+  { name: "OakNoggin", color: "#ffd36f" },
+  { name: "Apps", color: "#b48cff" },
+  { name: "Content", color: "#ff9f6f" },
+  { name: "Other", color: "#8ea0b5" }
+];
+const VENTURE_PALETTE = ["#ff78c8", "#6fb6ff", "#ffd36f", "#b48cff", "#ff9f6f", "#19ff43", "#6fe3ff"];
+
+async function loadVentures() {
+  const ventures = await IDB.getSetting("ventures", null);
+  APP.state.ventures = (Array.isArray(ventures) ? ventures : DEFAULT_VENTURES).map(v => ({
+    name: String(v.name || "").trim(),
+    color: /^#[0-9a-f]{6}$/i.test(v.color) ? v.color : "#8ea0b5",
+    archived: !!v.archived
+  })).filter(v => v.name);
+}
+
+async function saveVentures() {
+  await IDB.setSetting("ventures", APP.state.ventures);
+  renderVentureOptions(APP.state.ideas);
+  renderIdeaList();
+}
+
+function ventureByName(name) {
+  return APP.state.ventures.find(v => v.name === name) || null;
+}
+
+// The registry entry a new or changed name would collide with: names are unique regardless
+// of case, so "apps" finds "Apps".
+function findVenture(name) {
+  const key = String(name || "").trim().toLowerCase();
+  return APP.state.ventures.find(v => v.name.toLowerCase() === key) || null;
+}
+
+// Venture values in the data that aren't in the registry (typos, imports), with counts.
+function unlistedVentures(ideas) {
+  const counts = new Map();
+  for (const i of ideas) {
+    const name = i.ventureCategory || "";
+    if (name && !ventureByName(name)) counts.set(name, (counts.get(name) || 0) + 1);
+  }
+  return [...counts].sort((a, b) => a[0].localeCompare(b[0]));
+}
+
+// The form's suggestions and the filter options; rebuilt only when they changed, so an open
+// select keeps its value.
+function renderVentureOptions(allIdeas) {
+  const list = APP.state.ventures.filter(v => !v.archived).map(v => `<option value="${escapeHtml(v.name)}"></option>`).join("");
+  if (APP.ui.ventureList.dataset.options !== list) {
+    APP.ui.ventureList.innerHTML = list;
+    APP.ui.ventureList.dataset.options = list;
+  }
+
+  const used = new Set(allIdeas.map(i => i.ventureCategory || ""));
+  const filter = [
+    `<option value="">All ventures</option>`,
+    ...APP.state.ventures
+      .filter(v => !v.archived || used.has(v.name))
+      .map(v => `<option value="${escapeHtml(v.name)}">${escapeHtml(v.name)}${v.archived ? " (archived)" : ""}</option>`),
+    ...unlistedVentures(allIdeas).map(([name]) => `<option value="${escapeHtml(name)}">${escapeHtml(name)} (unlisted)</option>`)
+  ].join("");
+  const select = APP.ui.filterVenture;
+  if (select.dataset.options !== filter) {
+    select.innerHTML = filter;
+    select.dataset.options = filter;
+    select.value = APP.state.filters.venture;
+  }
+}
+
+// Files every idea under one of fromNames as `to` instead, in one write and one undo step.
+async function rewriteVentures(fromNames, to, label) {
+  await flushAutosave();
+  const from = new Set(fromNames);
+  const hits = (await IDB.getAll(APP.stores.ideas)).filter(i => from.has(i.ventureCategory || ""));
+  for (const idea of hits) idea.ventureCategory = to;
+  await UNDO.run(label, () => saveIdeas(hits));
+  if (from.has(APP.state.filters.venture)) APP.state.filters.venture = to;
+  await loadAllIdeas();
+  await refreshUI();
+  return hits.length;
+}
+
+// Rename onto an existing name (in any case) is a merge: the old entry goes, its ideas join
+// the other. The registry and the ideas change in one undo step.
+async function renameVenture(venture, to) {
+  const target = findVenture(to);
+  const merge = !!target && target !== venture;
+  if (merge) to = target.name;
+  const label = merge ? "Merge venture" : "Rename venture";
+  await flushAutosave();
+  return UNDO.run(label, async () => {
+    if (merge) APP.state.ventures.splice(APP.state.ventures.indexOf(venture), 1);
+    const from = venture.name;
+    venture.name = to;
+    await saveVentures();
+    return rewriteVentures([from], to, label);
+  });
+}
+
+function showVentureManager() {
+  const ventures = APP.state.ventures;
+  const counts = new Map();
+  for (const i of APP.state.ideas) counts.set(i.ventureCategory || "", (counts.get(i.ventureCategory || "") || 0) + 1);
+  const unlisted = unlistedVentures(APP.state.ideas);
+  const mergeOptions = (except) => ventures
+    .filter(v => v.name !== except)
+    .map(v => `<option value="${escapeHtml(v.name)}">${escapeHtml(v.name)}</option>`).join("");
+
+  const wrap = document.createElement("div");
+  wrap.innerHTML = `
+    <div class="muted">Renaming or merging a venture updates every idea filed under it (one undo step). Archived ventures are no longer suggested but keep their ideas.</div>
+    <div style="margin-top:12px;display:flex;gap:8px">
+      <input type="text" id="newVenture" placeholder="New venture…" />
+      <button class="btn btn-primary" id="btnAddVenture">Add</button>
+    </div>
+    <div style="margin-top:12px;display:flex;flex-direction:column;gap:10px" id="ventureRows"></div>
+    ${unlisted.length ? `
+      <div style="font-weight:900;margin-top:16px">Not in the list</div>
+      <div class="muted small" style="margin-top:4px">Found in ideas: add them, or merge a typo into the venture it meant.</div>
+      <div style="margin-top:10px;display:flex;flex-direction:column;gap:10px" id="unlistedRows"></div>
+    ` : ""}
+  `;
+
+  const addVenture = async (name, color) => {
+    name = name.trim();
+    if (!name) return;
+    if (findVenture(name)) {
+      showToast(`“${name}” is already in the list.`);
+      return;
+    }
+    ventures.push({ name, color: color || VENTURE_PALETTE[ventures.length % VENTURE_PALETTE.length], archived: false });
+    await saveVentures();
+    showVentureManager();
+  };
+  wrap.querySelector("#btnAddVenture").addEventListener("click", () => addVenture(wrap.querySelector("#newVenture").value));
+  wrap.querySelector("#newVenture").addEventListener("keydown", (e) => {
+    if (e.key === "Enter") addVenture(e.target.value);
+  });
+
+  const list = wrap.querySelector("#ventureRows");
+  if (!ventures.length) list.innerHTML = `<div class="muted small">No ventures yet.</div>`;
+
+  ventures.forEach((v, idx) => {
+    const row = document.createElement("div");
+    row.style.border = "1px solid rgba(255,255,255,.10)";
+    row.style.borderRadius = "14px";
+    row.style.padding = "12px";
+    row.style.background = "rgba(255,255,255,.02)";
+    if (v.archived) row.style.opacity = ".6";
+    row.innerHTML = `
+      <div style="display:grid;grid-template-columns:auto 1fr auto;gap:10px;align-items:center">
+        <input type="color" data-f="color" value="${escapeHtml(v.color)}" title="Colour" class="bucket-color" />
+        <input type="text" data-f="name" value="${escapeHtml(v.name)}" />
+        <div style="display:flex;gap:6px;flex-wrap:wrap;justify-content:flex-end">
+          <button class="btn btn-ghost btn-icon" data-act="up" title="Move up" ${idx === 0 ? "disabled" : ""}>↑</button>
+          <button class="btn btn-ghost btn-icon" data-act="down" title="Move down" ${idx === ventures.length - 1 ? "disabled" : ""}>↓</button>
+          <button class="btn btn-ghost" data-act="archive">${v.archived ? "Unarchive" : "Archive"}</button>
+        </div>
+      </div>
+      <div style="display:flex;gap:10px;flex-wrap:wrap;align-items:center;margin-top:8px">
+        <span class="muted small">${counts.get(v.name) || 0} idea(s)${v.archived ? " · archived" : ""}</span>
+        ${ventures.length > 1 ? `
+          <select data-f="merge" style="width:auto"><option value="">Merge into…</option>${mergeOptions(v.name)}</select>
+        ` : ""}
+      </div>
+    `;
+
+    row.querySelector('[data-f="name"]').addEventListener("change", async (e) => {
+      const to = e.target.value.trim();
+      if (!to || to === v.name) {
+        e.target.value = v.name;
+        return;
+      }
+      const target = findVenture(to);
+      if (!target || target === v) {
+        await renameVenture(v, to);
+        showVentureManager();
+        return;
+      }
+      showDialog({
+        title: "Merge ventures?",
+        body: `<div style="color:rgba(234,241,255,.92);line-height:1.5">
+          <b>${escapeHtml(target.name)}</b> already exists. Merge <b>${escapeHtml(v.name)}</b> into it? Its ${counts.get(v.name) || 0} idea(s) move over.
+        </div>`,
+        actions: [
+          { label: "Cancel", kind: "btn-ghost", onClick: () => { e.target.value = v.name; } },
+          { label: "Merge", kind: "btn-primary", onClick: async () => {
+            await renameVenture(v, to);
+            showVentureManager();
+          }}
+        ]
+      });
+    });
+    row.querySelector('[data-f="merge"]')?.addEventListener("change", (e) => {
+      const to = e.target.value;
+      if (!to) return;
+      showDialog({
+        title: "Merge ventures?",
+        body: `<div style="color:rgba(234,241,255,.92);line-height:1.5">
+          Merge <b>${escapeHtml(v.name)}</b> into <b>${escapeHtml(to)}</b>? Its ${counts.get(v.name) || 0} idea(s) move over and <b>${escapeHtml(v.name)}</b> leaves the list.
+        </div>`,
+        actions: [
+          { label: "Cancel", kind: "btn-ghost", onClick: () => { e.target.value = ""; } },
+          { label: "Merge", kind: "btn-primary", onClick: async () => {
+            await renameVenture(v, to);
+            showVentureManager();
+          }}
+        ]
+      });
+    });
+    row.querySelector('[data-f="color"]').addEventListener("change", async (e) => {
+      v.color = e.target.value;
+      await saveVentures();
+    });
+    row.querySelector('[data-act="archive"]').addEventListener("click", async () => {
+      v.archived = !v.archived;
+      await saveVentures();
+      showVentureManager();
+    });
+    row.querySelector('[data-act="up"]').addEventListener("click", async () => {
+      ventures.splice(idx - 1, 0, ventures.splice(idx, 1)[0]);
+      await saveVentures();
+      showVentureManager();
+    });
+    row.querySelector('[data-act="down"]').addEventListener("click", async () => {
+      ventures.splice(idx + 1, 0, ventures.splice(idx, 1)[0]);
+      await saveVentures();
+      showVentureManager();
+    });
+
+    list.appendChild(row);
+  });
+
+  const unlistedEl = wrap.querySelector("#unlistedRows");
+  for (const [name, n] of unlisted) {
+    const row = document.createElement("div");
+    row.className = "history-row";
+    row.innerHTML = `
+      <div style="display:flex;gap:10px;flex-wrap:wrap;align-items:center;justify-content:space-between">
+        <div><b>${escapeHtml(name)}</b> <span class="muted small">${n} idea(s)</span></div>
+        <div style="display:flex;gap:6px;flex-wrap:wrap">
+          ${ventures.length ? `<select data-f="merge" style="width:auto"><option value="">Merge into…</option>${mergeOptions(name)}</select>` : ""}
+          <button class="btn btn-ghost" data-act="add">Add to list</button>
+        </div>
+      </div>
+    `;
+    row.querySelector('[data-act="add"]').addEventListener("click", () => addVenture(name));
+    row.querySelector('[data-f="merge"]')?.addEventListener("change", async (e) => {
+      if (!e.target.value) return;
+      await rewriteVentures([name], e.target.value, "Merge venture");
+      showVentureManager();
+    });
+    unlistedEl.appendChild(row);
+  }
+
+  showView("Ventures", wrap);
+}
+
+// ---------- Tags ----------
+// Tags live on the ideas; the Tags view and the suggestions are built from them. "a/b" nests
+// b under a: filtering for a parent includes its children, and renaming a parent takes its
+// children along. Vault-wide edits rewrite the ideas in one undoable step.
+function tagCounts(ideas) {
+  const counts = new Map();
+  for (const i of ideas) {
+    for (const t of new Set(i.tags || [])) counts.set(t, (counts.get(t) || 0) + 1);
+  }
+  return counts;
+}
+
+// Most used first; shared by the tag field and the tag filter.
+function renderTagOptions(allIdeas) {
+  const tags = [...tagCounts(allIdeas)].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+  const html = tags.map(([t]) => `<option value="${escapeHtml(t)}"></option>`).join("");
+  if (APP.ui.tagList.dataset.options === html) return;
+  APP.ui.tagList.innerHTML = html;
+  APP.ui.tagList.dataset.options = html;
+}
+
+// mapTag returns the tag's replacement, or null to drop it.
+async function rewriteTags(mapTag, label) {
+  await flushAutosave();
+  const changed = [];
+  for (const idea of await IDB.getAll(APP.stores.ideas)) {
+    const tags = [...new Set((idea.tags || []).map(mapTag).filter(Boolean))];
+    if (stableStringify(tags) !== stableStringify(idea.tags || [])) changed.push([idea, tags]);
+  }
+  for (const [idea, tags] of changed) idea.tags = tags;
+  if (changed.length) await UNDO.run(label, () => saveIdeas(changed.map(([idea]) => idea)));
+  await loadAllIdeas();
+  await refreshUI();
+  return changed.length;
+}
+
+// Renaming onto a tag that exists merges the two.
+async function renameTag(from, to) {
+  const n = await rewriteTags(t => t === from ? to : t.startsWith(from + "/") ? to + t.slice(from.length) : t, "Rename tag");
+  if (tagMatches(APP.state.filters.tag, from)) {
+    APP.state.filters.tag = to + APP.state.filters.tag.slice(from.length);
+    syncListControls();
+    renderIdeaList();
+  }
+  return n;
+}
+
+function showTagManager() {
+  const counts = tagCounts(APP.state.ideas);
+  // Parents only used through their children ("games" for "games/rpg") get a row too.
+  const all = new Set();
+  for (const t of counts.keys()) {
+    const parts = t.split("/");
+    parts.forEach((_, n) => all.add(parts.slice(0, n + 1).join("/")));
+  }
+  const tags = [...all].sort();
+  const withChildren = (tag) => APP.state.ideas.filter(i => (i.tags || []).some(t => tagMatches(t, tag.toLowerCase()))).length;
+
+  const wrap = document.createElement("div");
+  wrap.innerHTML = `
+    <div class="muted">Every tag in the vault (${counts.size}). Click one to list its ideas. Edit a name to rename it everywhere: renaming onto an existing tag merges them, and <b>a/b</b> nests b under a.</div>
+    <div style="margin-top:12px;display:flex;flex-direction:column;gap:8px" id="tagRows"></div>
+  `;
+  const list = wrap.querySelector("#tagRows");
+  if (!tags.length) list.innerHTML = `<div class="muted small">No tags yet. Add them in an idea’s Tags field.</div>`;
+
+  for (const tag of tags) {
+    const own = counts.get(tag) || 0;
+    const total = withChildren(tag);
+    const depth = tag.split("/").length - 1;
+    const row = document.createElement("div");
+    row.className = "tag-manage-row";
+    row.style.marginLeft = `${depth * 18}px`;
+    row.innerHTML = `
+      <a href="#" data-act="open" class="chip">#${escapeHtml(tag)}</a>
+      <span class="muted small">${own} idea(s)${total !== own ? ` · ${total} with subtags` : ""}</span>
+      <input type="text" data-f="name" value="${escapeHtml(tag)}" list="tagList" title="Rename or merge" />
+      <button class="btn btn-danger" data-act="delete" ${own ? "" : "disabled"}>Delete</button>
+    `;
+
+    row.querySelector('[data-act="open"]').addEventListener("click", async (e) => {
+      e.preventDefault();
+      hideView();
+      activateNavBucket(APP.state.bucket);
+      APP.state.search = `tag:${tag} bucket:any`;
+      APP.state.filters.tag = "";
+      syncListControls();
+      await refreshUI();
+    });
+    row.querySelector('[data-f="name"]').addEventListener("change", async (e) => {
+      const to = normalizeTag(e.target.value);
+      if (!to || to === tag) {
+        e.target.value = tag;
+        return;
+      }
+      if (!all.has(to)) {
+        await renameTag(tag, to);
+        showTagManager();
+        return;
+      }
+      showDialog({
+        title: "Merge tags?",
+        body: `<div style="color:rgba(234,241,255,.92);line-height:1.5">
+          <b>#${escapeHtml(to)}</b> already exists. Merge <b>#${escapeHtml(tag)}</b> into it? ${total} idea(s) are retagged.
+        </div>`,
+        actions: [
+          { label: "Cancel", kind: "btn-ghost", onClick: () => { e.target.value = tag; } },
+          { label: "Merge", kind: "btn-primary", onClick: async () => {
+            await renameTag(tag, to);
+            showTagManager();
+          }}
+        ]
+      });
+    });
+    row.querySelector('[data-act="delete"]').addEventListener("click", () => {
+      showDialog({
+        title: "Delete tag?",
+        body: `<div style="color:rgba(234,241,255,.92);line-height:1.5">
+          Remove <b>#${escapeHtml(tag)}</b> from ${own} idea(s)?${total !== own ? " Its subtags stay." : ""}
+        </div>`,
+        actions: [
+          { label: "Cancel", kind: "btn-ghost", onClick: () => {} },
+          { label: "Delete tag", kind: "btn-danger", onClick: async () => {
+            await rewriteTags(t => t === tag ? null : t, "Delete tag");
+            showTagManager();
+          }}
+        ]
+      });
+    });
+
+    list.appendChild(row);
+  }
+
+  showView("Tags", wrap);
+}
+
+// ---------- Smart Views ----------
+// Stored in settings as "smartViews": [{ id, name, search, filters, sort, allBuckets, bucket }],
+// kept in sidebar order.
+async function loadSmartViews() {
+  APP.state.smartViews = await IDB.getSetting("smartViews", []);
+}
+
+async function saveSmartViews() {
+  await IDB.setSetting("smartViews", APP.state.smartViews);
+  renderSmartViews(APP.state.ideas);
+}
+
+function activeSmartView() {
+  const id = APP.state.smartViewId;
+  return id ? APP.state.smartViews.find(v => v.id === id) || null : null;
+}
+
+function smartViewSpec(view) {
+  return {
+    search: view.search || "",
+    filters: { venture: "", priority: "", tag: "", ...(view.filters || {}) },
+    sort: view.sort || "updatedAt_desc",
+    bucket: view.allBuckets ? null : view.bucket
+  };
+}
+
+function renderSmartViews(allIdeas) {
+  const list = APP.ui.smartViewList;
+  list.innerHTML = "";
+  APP.ui.btnManageSmartViews.classList.toggle("hidden", !APP.state.smartViews.length);
+
+  for (const view of APP.state.smartViews) {
+    const btn = document.createElement("button");
+    btn.className = "nav-item";
+    btn.setAttribute("data-smart-view", view.id);
+    if (view.id === APP.state.smartViewId && !APP.state.view) btn.classList.add("active");
+    btn.title = [view.search, view.allBuckets ? "all buckets" : bucketName(view.bucket)].filter(Boolean).join(" · ");
+
+    const dot = document.createElement("span");
+    dot.className = "nav-dot dot-smart";
+    const name = document.createElement("span");
+    name.className = "nav-label";
+    name.textContent = view.name;
+    const count = document.createElement("span");
+    count.className = "count";
+    count.textContent = applySearchFilterSort(allIdeas, smartViewSpec(view)).length;
+
+    btn.appendChild(dot);
+    btn.appendChild(name);
+    btn.appendChild(count);
+    btn.addEventListener("click", async () => {
+      await applySmartView(view.id);
+      ensureDetailOpenMobile(false);
+    });
+    list.appendChild(btn);
+  }
+}
+
+function syncListControls() {
+  APP.ui.searchInput.value = APP.state.search;
+  APP.ui.filterVenture.value = APP.state.filters.venture;
+  APP.ui.filterPriority.value = APP.state.filters.priority;
+  APP.ui.filterTag.value = APP.state.filters.tag;
+  APP.ui.sortSelect.value = APP.state.sort;
+}
+
+async function applySmartView(id) {
+  const view = APP.state.smartViews.find(v => v.id === id);
+  if (!view) return;
+  const spec = smartViewSpec(view);
+
+  if (view.bucket) activateNavBucket(view.bucket);
+  APP.state.smartViewId = view.id;
+  APP.state.search = spec.search;
+  APP.state.filters = { ...spec.filters };
+  APP.state.sort = spec.sort;
+  syncListControls();
+
+  $$(".nav-item").forEach(b => b.classList.remove("active"));
+  await refreshUI();
+}
+
+function promptSaveSmartView() {
+  const current = activeSmartView();
+  showDialog({
+    title: "Save Smart View",
+    body: `
+      <div class="muted small" style="margin-bottom:10px">
+        Saves the current search, filters and sort${APP.state.search ? ` (<b>${escapeHtml(APP.state.search)}</b>)` : ""}.
+      </div>
+      <div class="field">
+        <label for="svName">Name</label>
+        <input id="svName" type="text" value="${escapeHtml(current?.name || "")}" placeholder="e.g. High-priority games" />
+      </div>
+      <label style="display:flex;align-items:center;gap:10px;margin:0">
+        <input type="checkbox" id="svAllBuckets" ${current?.allBuckets ? "checked" : ""} />
+        <span class="muted">Search all buckets (not only ${escapeHtml(bucketName(APP.state.bucket))})</span>
+      </label>
+    `,
+    actions: [
+      { label: "Cancel", kind: "btn-ghost", onClick: () => {} },
+      { label: "Save", kind: "btn-primary", onClick: async () => {
+        const name = $("#svName").value.trim() || APP.state.search.trim() || "Smart View";
+        const view = {
+          id: uuid(),
+          name,
+          search: APP.state.search,
+          filters: { ...APP.state.filters },
+          sort: APP.state.sort,
+          allBuckets: $("#svAllBuckets").checked,
+          bucket: APP.state.bucket
+        };
+        APP.state.smartViews.push(view);
+        await saveSmartViews();
+        await applySmartView(view.id);
+      }}
+    ]
+  });
+  setTimeout(() => $("#svName")?.focus(), 0);
+}
+
+function showSmartViewManager() {
+  const views = APP.state.smartViews;
+  const wrap = document.createElement("div");
+  wrap.innerHTML = `
+    <div class="muted">Rename, reorder or delete saved views. “Use current” replaces a view’s search, filters and sort with what the list shows now.</div>
+    <div style="margin-top:12px;display:flex;flex-direction:column;gap:10px" id="svList"></div>
+  `;
+  const list = wrap.querySelector("#svList");
+
+  if (!views.length) {
+    list.innerHTML = `<div class="muted small">No smart views yet. Use “＋ Save view” in the sidebar.</div>`;
+  }
+
+  views.forEach((view, idx) => {
+    const row = document.createElement("div");
+    row.style.border = "1px solid rgba(255,255,255,.10)";
+    row.style.borderRadius = "14px";
+    row.style.padding = "12px";
+    row.style.background = "rgba(255,255,255,.02)";
+    row.innerHTML = `
+      <div style="display:grid;grid-template-columns:1fr auto;gap:10px;align-items:center">
+        <input type="text" data-f="name" value="${escapeHtml(view.name)}" />
+        <div style="display:flex;gap:6px;flex-wrap:wrap;justify-content:flex-end">
+          <button class="btn btn-ghost btn-icon" data-act="up" title="Move up" ${idx === 0 ? "disabled" : ""}>↑</button>
+          <button class="btn btn-ghost btn-icon" data-act="down" title="Move down" ${idx === views.length - 1 ? "disabled" : ""}>↓</button>
+          <button class="btn btn-ghost" data-act="current">Use current</button>
+          <button class="btn btn-danger" data-act="delete">Delete</button>
+        </div>
+      </div>
+      <div class="muted small" style="margin-top:8px">
+        ${escapeHtml(view.search || "(no search)")} · sort: ${escapeHtml(view.sort)}
+        ${[view.filters?.venture, view.filters?.priority, view.filters?.tag].filter(Boolean).map(f => ` · ${escapeHtml(f)}`).join("")}
+      </div>
+      <label style="display:flex;align-items:center;gap:10px;margin:8px 0 0">
+        <input type="checkbox" data-f="allBuckets" ${view.allBuckets ? "checked" : ""} />
+        <span class="muted small">All buckets${view.bucket ? ` (otherwise: ${escapeHtml(bucketName(view.bucket))})` : ""}</span>
+      </label>
+    `;
+
+    row.querySelector('[data-f="name"]').addEventListener("change", async (e) => {
+      view.name = e.target.value.trim() || view.name;
+      await saveSmartViews();
+      setPanelTitle();
+    });
+    row.querySelector('[data-f="allBuckets"]').addEventListener("change", async (e) => {
+      view.allBuckets = e.target.checked;
+      await saveSmartViews();
+      if (view.id === APP.state.smartViewId) await refreshUI();
+    });
+    row.querySelector('[data-act="up"]').addEventListener("click", async () => {
+      views.splice(idx - 1, 0, views.splice(idx, 1)[0]);
+      await saveSmartViews();
+      showSmartViewManager();
+    });
+    row.querySelector('[data-act="down"]').addEventListener("click", async () => {
+      views.splice(idx + 1, 0, views.splice(idx, 1)[0]);
+      await saveSmartViews();
+      showSmartViewManager();
+    });
+    row.querySelector('[data-act="current"]').addEventListener("click", async () => {
+      view.search = APP.state.search;
+      view.filters = { ...APP.state.filters };
+      view.sort = APP.state.sort;
+      view.bucket = APP.state.bucket;
+      await saveSmartViews();
+      showSmartViewManager();
+    });
+    row.querySelector('[data-act="delete"]').addEventListener("click", async () => {
+      views.splice(idx, 1);
+      if (APP.state.smartViewId === view.id) {
+        APP.state.smartViewId = null;
+        await refreshUI();
+      }
+      await saveSmartViews();
+      showSmartViewManager();
+    });
+
+    list.appendChild(row);
+  });
+
+  showView("Smart Views", wrap);
+}
+
+// ---------- Daily Sweep ----------
+async function showDailySweep() {
+  const { start, end } = todayBounds();
+  const sparkDays = await getTriageSparkDays();
+  const waiting = await triageCandidates();
+  const session = await IDB.getSetting(TRIAGE_SETTING, null);
+  const updatedToday = APP.state.ideas
+    .filter(i => i.updatedAt >= start && i.updatedAt < end)
+    .sort((a,b) => b.updatedAt - a.updatedAt);
+
+  const wrap = document.createElement("div");
+  wrap.innerHTML = `
+    <div class="triage-start">
+      <div>
+        <div style="font-weight:900">Triage</div>
+        <div class="muted small" style="margin-top:4px">
+          ${session ? `Sweep in progress: ${Math.min(session.index, session.queue.length)} of ${session.queue.length} done.` : `${waiting.length} item(s) waiting: new Quick Dumps, ideas without tags or venture, and Sparks older than`}
+          ${session ? "" : `<input type="number" id="triageSparkDays" min="1" max="3650" value="${sparkDays}" style="width:70px;height:30px;display:inline-block" /> day(s).`}
+        </div>
+      </div>
+      <button class="btn btn-primary" id="btnTriage" ${session || waiting.length ? "" : "disabled"}>${session ? "Resume triage" : "Start triage"}</button>
+    </div>
+    <div class="muted" style="margin-top:14px">Ideas updated today (${updatedToday.length}). Quick re-bucket them to keep the vault clean.</div>
+    <div style="margin-top:12px;display:flex;flex-direction:column;gap:10px"></div>
+  `;
+  const list = wrap.querySelector("div[style*='flex-direction']");
+
+  wrap.querySelector("#triageSparkDays")?.addEventListener("change", async (e) => {
+    const days = Math.round(Number(e.target.value));
+    if (!days || days < 1) {
+      e.target.value = sparkDays;
+      return;
+    }
+    await IDB.setSetting("triageSparkDays", days);
+    showDailySweep();
+  });
+  wrap.querySelector("#btnTriage").addEventListener("click", async () => {
+    if (!session) await TRIAGE.begin();
+    activateNavView("triage");
+    showTriage();
+  });
+
+  for (const i of updatedToday) {
+    const row = document.createElement("div");
+    row.style.border = "1px solid rgba(255,255,255,.10)";
+    row.style.borderRadius = "14px";
+    row.style.padding = "12px";
+    row.style.background = "rgba(255,255,255,.02)";
+
+    row.innerHTML = `
+      <div style="display:flex;align-items:flex-start;justify-content:space-between;gap:10px">
+        <div>
+          <div style="font-weight:900">${escapeHtml(i.title || "(Untitled)")}</div>
+          <div style="margin-top:6px;color:rgba(142,160,181,.95);font-size:12px">
+            Bucket: <b>${escapeHtml(bucketName(i.bucket))}</b> · Updated: ${fmtDate(i.updatedAt)}
+          </div>
+        </div>
+        <div style="display:flex;gap:8px;flex-wrap:wrap;justify-content:flex-end">
+          ${APP.state.buckets.map(b => `<button class="btn btn-ghost" data-act="${escapeHtml(b.id)}">${escapeHtml(b.name)}</button>`).join("")}
+        </div>
+      </div>
+      <div class="md-body md-clamp" style="margin-top:10px">${renderMarkdown(i.description || i.keyNotes, { idea: i }) || "—"}</div>
+    `;
+    bindMarkdownRefs(row);
+
+    row.querySelectorAll("button[data-act]").forEach(btn => {
+      btn.addEventListener("click", async () => {
+        const to = btn.getAttribute("data-act");
+        const idea = APP.state.ideas.find(x => x.id === i.id);
+        if (!idea) return;
+        idea.bucket = to;
+        await UNDO.run("Move bucket", () => saveIdea(idea, { skipWipCheck: false }), { focusId: idea.id });
+        await loadAllIdeas();
+        showDailySweep(); // refresh view
+        renderCounts(APP.state.ideas);
+        renderIdeaList();
+      });
+    });
+
+    list.appendChild(row);
+  }
+
+  showView("Daily Sweep", wrap);
+}
+
+// ---------- Triage ----------
+// A sweep walks a fixed queue of ideas one at a time. The session lives in settings, so a
+// sweep closed halfway (or a reload) resumes where it stopped:
+//   { startedAt, queue:[ideaId], index, counts:{ bucket, priority, tag, keep, snooze, delete, skip } }
+// Handled ideas get triagedAt (and lose the Quick Dump inbox flag); snoozed ones are kept
+// out of new queues until the date in the "triageSnoozes" setting ({ ideaId: until }).
+const TRIAGE_SETTING = "triageSession";
+
+const TRIAGE_PRIORITY_KEYS = { h: "high", m: "medium", l: "low" };
+
+async function getTriageSparkDays() {
+  return Number(await IDB.getSetting("triageSparkDays", APP.triageSparkDays)) || APP.triageSparkDays;
+}
+
+function triageReasons(idea, sparkCutoff) {
+  const reasons = [];
+  if (idea.inbox) reasons.push("New Quick Dump");
+  if (idea.bucket === "sparks" && idea.createdAt < sparkCutoff && !(idea.triagedAt > sparkCutoff)) reasons.push("Old Spark");
+  if (!idea.triagedAt && idea.bucket !== "active") {
+    if (!(idea.tags || []).length) reasons.push("No tags");
+    if (!idea.ventureCategory || idea.ventureCategory === "Other") reasons.push("No venture");
+  }
+  return reasons;
+}
+
+async function triageCandidates() {
+  const sparkCutoff = now() - (await getTriageSparkDays())*864e5;
+  const snoozes = await IDB.getSetting("triageSnoozes", {});
+  const rank = (i) => i.inbox ? 0 : (i.bucket === "sparks" ? 1 : 2);
+  return APP.state.ideas
+    .filter(i => !(snoozes[i.id] > now()) && triageReasons(i, sparkCutoff).length)
+    .sort((a, b) => rank(a) - rank(b) || a.createdAt - b.createdAt);
+}
+
+const TRIAGE = {
+  busy: false,
+
+  async begin() {
+    const queue = (await triageCandidates()).map(i => i.id);
+    const session = {
+      startedAt: now(),
+      queue,
+      index: 0,
+      counts: { bucket: 0, priority: 0, tag: 0, keep: 0, snooze: 0, delete: 0, skip: 0 }
+    };
+    await IDB.setSetting(TRIAGE_SETTING, session);
+    return session;
+  },
+
+  async session() {
+    return IDB.getSetting(TRIAGE_SETTING, null);
+  },
+
+  // Current idea, stepping over queue entries deleted since the sweep began.
+  async current() {
+    const session = await TRIAGE.session();
+    if (!session) return { session: null, idea: null };
+    let idea = null;
+    while (session.index < session.queue.length) {
+      idea = APP.state.ideas.find(i => i.id === session.queue[session.index]) || null;
+      if (idea) break;
+      session.index++;
+    }
+    return { session, idea };
+  },
+
+  async record(session, kind, advance) {
+    session.counts[kind] = (session.counts[kind] || 0) + 1;
+    if (advance) session.index++;
+    await IDB.setSetting(TRIAGE_SETTING, session);
+  },
+
+  // Runs one triage action on the current idea and re-renders the view. Keys and clicks that
+  // arrive while an action is still running are ignored, so one press acts on one idea.
+  async act(kind, value) {
+    if (TRIAGE.busy) return;
+    TRIAGE.busy = true;
+    try {
+      await TRIAGE.step(kind, value);
+    } catch (err) {
+      console.error("Triage action failed:", err);
+      showToast("Triage action failed: " + (err?.message || String(err)));
+    } finally {
+      TRIAGE.busy = false;
+    }
+  },
+
+  async step(kind, value) {
+    const { session, idea } = await TRIAGE.current();
+    if (!session || !idea) return;
+    await flushAutosave();
+
+    const mark = () => {
+      idea.inbox = false;
+      idea.triagedAt = now();
+    };
+    if (kind === "skip") {
+      await TRIAGE.record(session, "skip", true);
+    } else if (kind === "snooze") {
+      const snoozes = await IDB.getSetting("triageSnoozes", {});
+      const t = now();
+      for (const [id, until] of Object.entries(snoozes)) if (until <= t) delete snoozes[id];
+      snoozes[idea.id] = t + APP.triageSnoozeDays*864e5;
+      await IDB.setSetting("triageSnoozes", snoozes);
+      await TRIAGE.record(session, "snooze", true);
+    } else if (kind === "delete") {
+      await UNDO.run("Move to Trash", () => moveIdeaToTrash(idea.id), { focusId: idea.id });
+      if (APP.state.selectedId === idea.id) APP.state.selectedId = null;
+      await TRIAGE.record(session, "delete", true);
+    } else {
+      const label = { bucket: "Move bucket", priority: "Set priority", tag: "Add tag", keep: "Triage" }[kind];
+      if (kind === "bucket") idea.bucket = value;
+      if (kind === "priority") idea.priority = value;
+      if (kind === "tag") {
+        const tag = normalizeTag(value);
+        if (!tag) return;
+        idea.tags = (idea.tags || []).includes(tag) ? idea.tags : [...(idea.tags || []), tag];
+      }
+      mark();
+      await UNDO.run(label, () => saveIdea(idea, { skipWipCheck: false }), { focusId: idea.id });
+      // A dismissed WIP prompt leaves the idea where it was: nothing to count, stay on it.
+      if (kind === "bucket" && idea.bucket !== value) {
+        await showTriage();
+        return;
+      }
+      // Re-bucketing or keeping moves on; priority and tags can be stacked on the same idea.
+      await TRIAGE.record(session, kind, kind === "bucket" || kind === "keep");
+    }
+
     await loadAllIdeas();
-    APP.state.bucket = "active";
-    activateNavBucket("active");
-    APP.state.selectedId = idea.id;
-    await refreshUI();
+    renderCounts(APP.state.ideas);
+    renderIdeaList();
+    await showTriage();
+  },
+
+  async finish() {
+    await IDB.setSetting(TRIAGE_SETTING, null);
+    activateNavView("daily");
+    await showDailySweep();
+  },
+
+  // Single-key commands while the triage view is open; null for keys it doesn't use.
+  command(rawKey) {
+    const key = rawKey.toLowerCase();
+    // 1-9 pick buckets in sidebar order.
+    const bucket = /^[1-9]$/.test(key) ? APP.state.buckets[Number(key) - 1] : null;
+    if (bucket) return () => TRIAGE.act("bucket", bucket.id);
+    if (TRIAGE_PRIORITY_KEYS[key]) return () => TRIAGE.act("priority", TRIAGE_PRIORITY_KEYS[key]);
+    if (key === "t") return () => $("#triageTag")?.focus();
+    if (key === "s") return () => TRIAGE.act("snooze");
+    if (key === "d" || key === "delete") return () => TRIAGE.act("delete");
+    if (key === "k") return () => TRIAGE.act("keep");
+    if (key === "j" || key === "arrowright") return () => TRIAGE.act("skip");
+    return null;
+  }
+};
+
+const TRIAGE_COUNT_LABELS = [
+  ["bucket", "Re-bucketed"],
+  ["priority", "Priority set"],
+  ["tag", "Tags added"],
+  ["keep", "Kept as is"],
+  ["snooze", "Snoozed"],
+  ["delete", "Moved to Trash"],
+  ["skip", "Skipped"]
+];
+
+async function showTriage() {
+  APP.state.view = "triage";
+  const { session, idea } = await TRIAGE.current();
+  const wrap = document.createElement("div");
+
+  if (!session) {
+    await showDailySweep();
+    return;
+  }
+
+  if (!idea) {
+    const mins = Math.max(1, Math.round((now() - session.startedAt) / 60000));
+    wrap.innerHTML = `
+      <div style="display:flex;flex-direction:column;gap:12px">
+        <div style="font-weight:900;font-size:18px">Sweep done</div>
+        <div class="muted">${session.queue.length} item(s) in ${mins} minute(s).</div>
+        <div class="triage-summary">
+          ${TRIAGE_COUNT_LABELS.map(([k, label]) => `<div><b>${session.counts[k] || 0}</b><span class="muted small">${label}</span></div>`).join("")}
+        </div>
+        <div><button class="btn btn-primary" id="btnTriageFinish">Finish</button></div>
+      </div>
+    `;
+    wrap.querySelector("#btnTriageFinish").addEventListener("click", () => TRIAGE.finish());
+    showView("Triage", wrap);
+    return;
+  }
+
+  const sparkCutoff = now() - (await getTriageSparkDays())*864e5;
+  const reasons = triageReasons(idea, sparkCutoff);
+  wrap.innerHTML = `
+    <div style="display:flex;flex-direction:column;gap:12px">
+      <div style="display:flex;align-items:center;justify-content:space-between;gap:10px">
+        <div class="muted small">${session.index + 1} of ${session.queue.length}${reasons.length ? ` · ${escapeHtml(reasons.join(", "))}` : ""}</div>
+        <button class="btn btn-ghost" id="btnTriageEnd">End sweep</button>
+      </div>
+      <div class="triage-card">
+        <div style="font-weight:900;font-size:18px">${escapeHtml(idea.title || "(Untitled)")}</div>
+        <div style="margin-top:6px;color:rgba(142,160,181,.95);font-size:12px">
+          Bucket: <b>${escapeHtml(bucketName(idea.bucket))}</b> · Priority: <b>${escapeHtml(idea.priority)}</b> · Venture: ${escapeHtml(idea.ventureCategory || "—")} · Created ${fmtDate(idea.createdAt)}
+        </div>
+        <div class="chips" style="margin-top:8px">${(idea.tags || []).map(t => `<span class="chip">#${escapeHtml(t)}</span>`).join("")}</div>
+        <div class="md-body md-clamp" style="margin-top:10px">${renderMarkdown(idea.description || idea.keyNotes, { idea }) || "—"}</div>
+      </div>
+      <input id="triageTag" type="text" placeholder="Add a tag and press Enter (t)" />
+      <div class="triage-keys">
+        ${APP.state.buckets.slice(0, 9).map((b, n) => `<button class="btn btn-ghost" data-bucket="${escapeHtml(b.id)}"><kbd>${n + 1}</kbd> ${escapeHtml(b.name)}</button>`).join("")}
+        <button class="btn btn-ghost" data-priority="high"><kbd>H</kbd> High</button>
+        <button class="btn btn-ghost" data-priority="medium"><kbd>M</kbd> Medium</button>
+        <button class="btn btn-ghost" data-priority="low"><kbd>L</kbd> Low</button>
+        <button class="btn btn-ghost" data-act="keep"><kbd>K</kbd> Keep</button>
+        <button class="btn btn-ghost" data-act="snooze"><kbd>S</kbd> Snooze ${APP.triageSnoozeDays}d</button>
+        <button class="btn btn-ghost" data-act="skip"><kbd>J</kbd> Skip</button>
+        <button class="btn btn-danger" data-act="delete"><kbd>D</kbd> Delete</button>
+      </div>
+    </div>
+  `;
+
+  bindMarkdownRefs(wrap.querySelector(".triage-card"));
+  wrap.querySelectorAll("[data-bucket]").forEach(b => b.addEventListener("click", () => TRIAGE.act("bucket", b.getAttribute("data-bucket"))));
+  wrap.querySelectorAll("[data-priority]").forEach(b => b.addEventListener("click", () => TRIAGE.act("priority", b.getAttribute("data-priority"))));
+  wrap.querySelectorAll("[data-act]").forEach(b => b.addEventListener("click", () => TRIAGE.act(b.getAttribute("data-act"))));
+  wrap.querySelector("#btnTriageEnd").addEventListener("click", async () => {
+    session.index = session.queue.length;
+    await IDB.setSetting(TRIAGE_SETTING, session);
+    await showTriage();
   });
 
-  // Park it (from Active)
-  APP.ui.btnParkActive.addEventListener("click", async () => {
-    const idea = currentIdea();
+  const tagInput = wrap.querySelector("#triageTag");
+  tagInput.addEventListener("keydown", async (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      await TRIAGE.act("tag", tagInput.value);
+      $("#triageTag")?.focus();
+    } else if (e.key === "Escape") {
+      e.stopPropagation();
+      tagInput.blur();
+    }
+  });
+
+  showView("Triage", wrap);
+}
+
+// Open actions from every idea, soonest due first; undated ones after, in checklist order.
+function showNextActions() {
+  const today = localDateKey();
+  const rows = [];
+  for (const idea of APP.state.ideas) {
+    (idea.actions || []).forEach((a, order) => {
+      if (!a.done && (a.text || "").trim()) rows.push({ idea, action: a, order });
+    });
+  }
+  rows.sort((x, y) =>
+    (x.action.dueDate || "9999").localeCompare(y.action.dueDate || "9999") ||
+    bucketRank(x.idea.bucket) - bucketRank(y.idea.bucket) ||
+    x.order - y.order
+  );
+  const overdue = rows.filter(r => isOverdue(r.action, today)).length;
+
+  const wrap = document.createElement("div");
+  wrap.innerHTML = `
+    <div class="muted">Open actions across the vault (${rows.length})${overdue ? ` · <b class="overdue-text">${overdue} overdue</b>` : ""}. Tick one off here or open its idea.</div>
+    <div style="margin-top:12px;display:flex;flex-direction:column;gap:8px"></div>
+  `;
+  const list = wrap.querySelector("div[style*='flex-direction']");
+  if (!rows.length) list.innerHTML = `<div class="muted small">Nothing open. Add actions from an idea's checklist.</div>`;
+
+  for (const { idea, action } of rows) {
+    const late = isOverdue(action, today);
+    const row = document.createElement("div");
+    row.className = "next-action-row" + (late ? " overdue" : "");
+    row.innerHTML = `
+      <input type="checkbox" title="Mark done" />
+      <div style="flex:1;min-width:0">
+        <div>${escapeHtml(action.text)}</div>
+        <div class="muted small" style="margin-top:4px">
+          <a href="#" data-act="open">${escapeHtml(idea.title || "(Untitled)")}</a> · ${escapeHtml(bucketName(idea.bucket))}
+        </div>
+      </div>
+      <div class="small ${late ? "overdue-text" : "muted"}" style="white-space:nowrap">${action.dueDate ? `${late ? "Overdue · " : ""}${escapeHtml(action.dueDate)}` : "No date"}</div>
+    `;
+
+    row.querySelector('input[type="checkbox"]').addEventListener("change", async () => {
+      const cur = APP.state.ideas.find(x => x.id === idea.id);
+      if (!cur) return;
+      cur.actions = (cur.actions || []).map(a => a.id === action.id ? { ...a, done: true, doneAt: now() } : a);
+      scheduleAutosave(cur, ["actions"], "Complete action");
+      await flushAutosave();
+      showNextActions();
+    });
+    row.querySelector('[data-act="open"]').addEventListener("click", async (e) => {
+      e.preventDefault();
+      await jumpToIdea(idea.id);
+    });
+
+    list.appendChild(row);
+  }
+
+  showView("Next Actions", wrap);
+}
+
+// ---------- Resurfacing ----------
+// Ideas in a bucket with revisit days (Parked and Long-Term by default) carry revisitAt
+// (start of the day they come up again) and snoozeCount. Entering such a bucket schedules
+// the first review; each snooze doubles the wait. revisitAt null means "never": the user
+// cleared the date.
+function revisitInterval(baseDays, snoozeCount) {
+  return Math.min(baseDays * 2 ** snoozeCount, APP.revisitMaxDays);
+}
+
+async function scheduleRevisit(idea, prevBucket) {
+  const days = bucketRevisitDays(idea.bucket);
+  if (!days) {
+    idea.revisitAt = null;
+    idea.snoozeCount = 0;
+  } else if (prevBucket !== idea.bucket || idea.revisitAt === undefined) {
+    idea.revisitAt = startOfDay(now() + days*864e5);
+    idea.snoozeCount = 0;
+  }
+}
+
+function isDueForReview(idea, at=now()) {
+  return !!bucketRevisitDays(idea.bucket) && !!idea.revisitAt && idea.revisitAt <= at;
+}
+
+function dueForReview(ideas) {
+  const at = now();
+  return ideas.filter(i => isDueForReview(i, at)).sort((a, b) => a.revisitAt - b.revisitAt);
+}
+
+async function showReviewQueue() {
+  const due = dueForReview(APP.state.ideas);
+
+  const wrap = document.createElement("div");
+  wrap.innerHTML = `
+    <div class="muted">Ideas due for another look (${due.length}). Snooze to see one again later (the wait doubles each time) or move it on.</div>
+    <div style="margin-top:12px;display:flex;flex-direction:column;gap:10px"></div>
+  `;
+  const list = wrap.querySelector("div[style*='flex-direction']");
+  if (!due.length) list.innerHTML = `<div class="muted small">Nothing due. Ideas resurface here on their “Revisit on” date.</div>`;
+
+  for (const i of due) {
+    const snoozeDays = revisitInterval(bucketRevisitDays(i.bucket), (i.snoozeCount || 0) + 1);
+    const row = document.createElement("div");
+    row.style.border = "1px solid rgba(255,255,255,.10)";
+    row.style.borderRadius = "14px";
+    row.style.padding = "12px";
+    row.style.background = "rgba(255,255,255,.02)";
+
+    row.innerHTML = `
+      <div style="display:flex;align-items:flex-start;justify-content:space-between;gap:10px">
+        <div>
+          <div style="font-weight:900"><a href="#" data-act="open">${escapeHtml(i.title || "(Untitled)")}</a></div>
+          <div style="margin-top:6px;color:rgba(142,160,181,.95);font-size:12px">
+            Bucket: <b>${escapeHtml(bucketName(i.bucket))}</b> · Due: ${escapeHtml(localDateKey(i.revisitAt))}${i.snoozeCount ? ` · Snoozed ${i.snoozeCount}×` : ""}
+          </div>
+        </div>
+        <div style="display:flex;gap:8px;flex-wrap:wrap;justify-content:flex-end">
+          <button class="btn btn-primary" data-act="snooze" title="Revisit again in ${snoozeDays} day(s)">Snooze ${snoozeDays}d</button>
+          ${APP.state.buckets.filter(b => b.id !== i.bucket).map(b => `<button class="btn btn-ghost" data-act="${escapeHtml(b.id)}">${escapeHtml(b.name)}</button>`).join("")}
+        </div>
+      </div>
+      <div class="md-body md-clamp" style="margin-top:10px">${renderMarkdown(i.description || i.keyNotes, { idea: i }) || "—"}</div>
+    `;
+    bindMarkdownRefs(row);
+
+    row.querySelector('[data-act="open"]').addEventListener("click", async (e) => {
+      e.preventDefault();
+      await jumpToIdea(i.id);
+    });
+
+    row.querySelectorAll("button[data-act]").forEach(btn => {
+      btn.addEventListener("click", async () => {
+        const act = btn.getAttribute("data-act");
+        const idea = APP.state.ideas.find(x => x.id === i.id);
+        if (!idea) return;
+        await flushAutosave();
+        if (act === "snooze") {
+          idea.snoozeCount = (idea.snoozeCount || 0) + 1;
+          idea.revisitAt = startOfDay(now() + snoozeDays*864e5);
+          await UNDO.run("Snooze", () => saveIdea(idea, { skipWipCheck: false }), { focusId: idea.id });
+        } else {
+          idea.bucket = act;
+          await UNDO.run("Move bucket", () => saveIdea(idea, { skipWipCheck: false }), { focusId: idea.id });
+        }
+        await loadAllIdeas();
+        showReviewQueue(); // refresh view
+        renderCounts(APP.state.ideas);
+        renderIdeaList();
+      });
+    });
+
+    list.appendChild(row);
+  }
+
+  showView("Review", wrap);
+}
+
+// Local reminder through the service worker's showNotification, at most once a day.
+// Nothing leaves the device: the check runs while the app is open.
+const REVISIT = {
+  timer: null,
+
+  async start() {
+    clearInterval(REVISIT.timer);
+    REVISIT.timer = setInterval(() => REVISIT.notify().catch(err => console.warn("Review reminder failed:", err)), APP.revisitCheckMs);
+    await REVISIT.notify().catch(err => console.warn("Review reminder failed:", err));
+  },
+
+  async notify() {
+    if (!("Notification" in window) || Notification.permission !== "granted") return;
+    if (!(await IDB.getSetting("revisitNotify", false))) return;
+    const today = localDateKey();
+    if ((await IDB.getSetting("revisitNotifiedOn", "")) === today) return;
+    const due = dueForReview(APP.state.ideas);
+    if (!due.length) return;
+
+    const reg = await navigator.serviceWorker?.getRegistration();
+    if (!reg) return;
+    await IDB.setSetting("revisitNotifiedOn", today);
+    await reg.showNotification("Idea Vault", {
+      body: due.length === 1 ? `“${due[0].title || "(Untitled)"}” is due for review.` : `${due.length} ideas are due for review.`,
+      tag: "idea-vault-review",
+      icon: "./icons/icon.svg",
+      data: { view: "review" }
+    });
+  }
+};
+
+// The service worker's notificationclick asks an open tab to show a view (or opens ?view=).
+function openViewFromRequest(view) {
+  if (view !== "review") return;
+  activateNavView("review");
+  showReviewQueue();
+}
+
+// ---------- Focus sessions ----------
+// Sessions: { id, ideaId, mode:"pomodoro"|"free", plannedMs, startedAt, endedAt, note }.
+// The running one is simply the session without endedAt, so it survives reloads and
+// closed tabs: a pomodoro that ran out meanwhile is closed at its planned end on load.
+const FOCUS = {
+  running: null,
+  totals: new Map(), // ideaId -> { ms, count } over finished sessions
+  ticker: null,
+
+  elapsed(session) {
+    return (session.endedAt || now()) - session.startedAt;
+  },
+
+  async load() {
+    const sessions = await IDB.getAll(APP.stores.sessions);
+    let running = sessions.filter(s => !s.endedAt).sort((a, b) => b.startedAt - a.startedAt)[0] || null;
+    if (running && running.plannedMs && FOCUS.elapsed(running) >= running.plannedMs) {
+      await FOCUS.finish(running, running.startedAt + running.plannedMs);
+      return FOCUS.load();
+    }
+
+    FOCUS.totals = new Map();
+    for (const s of sessions) {
+      if (!s.endedAt) continue;
+      const t = FOCUS.totals.get(s.ideaId) || { ms: 0, count: 0 };
+      t.ms += s.endedAt - s.startedAt;
+      t.count++;
+      FOCUS.totals.set(s.ideaId, t);
+    }
+    FOCUS.running = running;
+    FOCUS.startTicker();
+    FOCUS.render();
+  },
+
+  // One running session across tabs: the check and the write share a Web Lock.
+  async start({ mode, minutes }) {
+    await withTabLock("focus", async () => {
+      const open = (await IDB.getAll(APP.stores.sessions)).find(s => !s.endedAt);
+      if (open) return;
+      const active = await getActiveIdea();
+      if (!active) throw new Error("There is no Active project to focus on.");
+      await IDB.put(APP.stores.sessions, {
+        id: uuid(),
+        ideaId: active.id,
+        mode,
+        plannedMs: mode === "pomodoro" ? minutes*60*1000 : 0,
+        startedAt: now(),
+        endedAt: null,
+        note: ""
+      });
+    });
+    await FOCUS.load();
+  },
+
+  // Ends a session (if no other tab got there first) at endedAt.
+  async finish(session, endedAt=now(), note=null) {
+    const cur = await IDB.get(APP.stores.sessions, session.id);
+    if (!cur || cur.endedAt) return null;
+    const done = { ...cur, endedAt, note: note ?? cur.note };
+    await IDB.put(APP.stores.sessions, done);
+    return done;
+  },
+
+  async stop(note="") {
+    if (!FOCUS.running) return;
+    await FOCUS.finish(FOCUS.running, now(), note);
+    await FOCUS.load();
+  },
+
+  startTicker() {
+    clearInterval(FOCUS.ticker);
+    FOCUS.ticker = FOCUS.running ? setInterval(FOCUS.tick, 1000) : null;
+  },
+
+  async tick() {
+    const s = FOCUS.running;
+    if (!s) return;
+    if (s.plannedMs && FOCUS.elapsed(s) >= s.plannedMs) {
+      const done = await FOCUS.finish(s, s.startedAt + s.plannedMs);
+      await FOCUS.load();
+      if (done) promptSessionNote(done, "Focus session done");
+      return;
+    }
+    FOCUS.render();
+  },
+
+  render() {
+    const s = FOCUS.running;
+    const btn = APP.ui.btnFocus;
+    btn.classList.toggle("running", !!s);
+    $("#focusLabel").textContent = s
+      ? fmtClock(s.plannedMs ? s.plannedMs - FOCUS.elapsed(s) : FOCUS.elapsed(s))
+      : "Focus";
+    btn.title = s ? (s.plannedMs ? "Pomodoro running (time left)" : "Focus session running") : "Focus on the Active project";
+    FOCUS.renderMeta(currentIdea());
+  },
+
+  renderMeta(idea) {
+    const el = $("#focusMeta");
     if (!idea) return;
-    idea.bucket = "parked";
-    await saveIdea(idea, { skipActiveRuleCheck: true });
-    await loadAllIdeas();
-    APP.state.bucket = "parked";
-    activateNavBucket("parked");
-    await refreshUI();
+    const t = FOCUS.totals.get(idea.id);
+    const live = FOCUS.running?.ideaId === idea.id ? " · session running" : "";
+    el.textContent = t || live
+      ? `Focused: ${fmtDuration(t?.ms || 0)} in ${t?.count || 0} session(s)${live}`
+      : "Focused: —";
+  }
+};
+
+// Optional log note for a finished session.
+function promptSessionNote(session, title="Session logged") {
+  const body = document.createElement("div");
+  body.innerHTML = `
+    <div class="muted small" style="margin-bottom:10px">${escapeHtml(fmtDuration(FOCUS.elapsed(session)))} on <b>${escapeHtml(APP.state.ideas.find(i => i.id === session.ideaId)?.title || "(Untitled)")}</b>. What got done?</div>
+    <textarea rows="3" data-f="note" placeholder="Optional log note">${escapeHtml(session.note || "")}</textarea>
+  `;
+  showDialog({
+    title,
+    body,
+    actions: [
+      { label: "Skip", kind: "btn-ghost", onClick: () => {} },
+      { label: "Save note", kind: "btn-primary", onClick: async () => {
+        const note = body.querySelector('[data-f="note"]').value.trim();
+        const cur = await IDB.get(APP.stores.sessions, session.id);
+        if (cur) await IDB.put(APP.stores.sessions, { ...cur, note });
+        refreshOpenView();
+      }}
+    ]
+  });
+}
+
+async function showFocus() {
+  APP.state.view = "focus";
+  const active = await getActiveIdea();
+  const running = FOCUS.running;
+  const subject = running ? APP.state.ideas.find(i => i.id === running.ideaId) : active;
+  const sessions = subject
+    ? (await IDB.getAllByIndex(APP.stores.sessions, "ideaId", subject.id)).filter(s => s.endedAt).sort((a, b) => b.startedAt - a.startedAt)
+    : [];
+  const total = sessions.reduce((sum, s) => sum + (s.endedAt - s.startedAt), 0);
+
+  const wrap = document.createElement("div");
+  wrap.innerHTML = `
+    <div style="display:flex;flex-direction:column;gap:12px">
+      ${subject ? `
+        <div>
+          <div class="muted small">${running ? "Focusing on" : "Active project"}</div>
+          <div style="font-weight:900;font-size:18px">${escapeHtml(subject.title || "(Untitled)")}</div>
+        </div>
+      ` : `<div class="muted">Promote an idea to Active first: focus sessions belong to the Active project.</div>`}
+
+      ${running ? `
+        <div class="focus-clock" id="focusClock">${fmtClock(running.plannedMs ? running.plannedMs - FOCUS.elapsed(running) : FOCUS.elapsed(running))}</div>
+        <div class="muted small">${running.plannedMs ? `Pomodoro of ${fmtDuration(running.plannedMs)}` : "Free-running"} · started ${fmtDate(running.startedAt)}</div>
+        <textarea id="focusNote" rows="2" placeholder="Log note (optional)"></textarea>
+        <div><button class="btn btn-primary" id="btnFocusStop">Stop and log</button></div>
+      ` : subject ? `
+        <div style="display:flex;gap:10px;align-items:center;flex-wrap:wrap">
+          <select id="focusMode" style="width:auto">
+            <option value="pomodoro">Pomodoro</option>
+            <option value="free">Free-running</option>
+          </select>
+          <label id="focusMinutesWrap" style="display:flex;align-items:center;gap:8px;margin:0">
+            <input type="number" id="focusMinutes" min="1" max="240" value="${APP.focusMinutes}" style="width:80px" />
+            <span class="muted">min</span>
+          </label>
+          <button class="btn btn-primary" id="btnFocusStart">Start</button>
+        </div>
+      ` : ""}
+
+      ${subject ? `
+        <div>
+          <div style="font-weight:900;margin-bottom:8px">Sessions · ${fmtDuration(total)} total</div>
+          <div id="focusSessions" style="display:flex;flex-direction:column;gap:8px"></div>
+        </div>
+      ` : ""}
+    </div>
+  `;
+
+  const list = wrap.querySelector("#focusSessions");
+  if (list && !sessions.length) list.innerHTML = `<div class="muted small">No sessions yet.</div>`;
+  for (const s of sessions) {
+    const row = document.createElement("div");
+    row.className = "focus-row";
+    row.innerHTML = `
+      <div>
+        <div><b>${fmtDuration(s.endedAt - s.startedAt)}</b> <span class="muted small">${fmtDate(s.startedAt)}${s.mode === "pomodoro" ? " · pomodoro" : ""}</span></div>
+        ${s.note ? `<div class="small" style="margin-top:4px;white-space:pre-wrap">${escapeHtml(s.note)}</div>` : ""}
+      </div>
+      <div style="display:flex;gap:6px">
+        <button class="btn btn-ghost" data-act="note">Note</button>
+        <button class="btn btn-ghost" data-act="delete">Delete</button>
+      </div>
+    `;
+    row.querySelector('[data-act="note"]').addEventListener("click", () => promptSessionNote(s, "Session note"));
+    row.querySelector('[data-act="delete"]').addEventListener("click", async () => {
+      await IDB.delete(APP.stores.sessions, s.id);
+      await FOCUS.load();
+      renderIdeaList();
+      await showFocus();
+    });
+    list.appendChild(row);
+  }
+
+  wrap.querySelector("#focusMode")?.addEventListener("change", (e) => {
+    wrap.querySelector("#focusMinutesWrap").classList.toggle("hidden", e.target.value !== "pomodoro");
   });
 
-  // Delete
-  APP.ui.btnDelete.addEventListener("click", async () => {
-    const idea = currentIdea();
-    if (!idea) return;
+  wrap.querySelector("#btnFocusStart")?.addEventListener("click", async () => {
+    const mode = wrap.querySelector("#focusMode").value;
+    const minutes = Math.max(1, Math.round(Number(wrap.querySelector("#focusMinutes").value)) || APP.focusMinutes);
+    try {
+      await FOCUS.start({ mode, minutes });
+    } catch (err) {
+      showToast(err?.message || String(err));
+    }
+    await showFocus();
+  });
 
-    showDialog({
-      title: "Delete idea?",
-      body: `<div style="color:rgba(234,241,255,.92);line-height:1.5">
-        This will delete the idea <b>${escapeHtml(idea.title || "(Untitled)")}</b> and all attached images.
-      </div>`,
-      actions: [
-        { label: "Cancel", kind: "btn-ghost", onClick: () => {} },
-        { label: "Delete", kind: "btn-danger", onClick: async () => {
-          await deleteIdeaAndImages(idea.id);
-          APP.state.selectedId = null;
-          await loadAllIdeas();
-          await refreshUI();
-          ensureDetailOpenMobile(false);
-        }}
-      ]
-    });
+  wrap.querySelector("#btnFocusStop")?.addEventListener("click", async () => {
+    await FOCUS.stop(wrap.querySelector("#focusNote").value.trim());
+    renderIdeaList();
+    await showFocus();
   });
+
+  showView("Focus", wrap);
 }
 
-// ---------- Navigation / List controls ----------
-function activateNavBucket(bucket) {
-  APP.state.view = null;
-  APP.state.bucket = bucket;
-  $$(".nav-item").forEach(b => b.classList.remove("active"));
-  const btn = $(`.nav-item[data-bucket="${bucket}"]`);
-  if (btn) btn.classList.add("active");
-  // Clear view actives
-  $$(".nav-item[data-view]").forEach(b => b.classList.remove("active"));
-  setPanelTitle();
+// ---------- Idea graph ----------
+// Ideas as nodes; edges from [[references]] (strongest), shared tags and a shared venture.
+// Laid out with a small force simulation and drawn on a canvas, no libraries. Nodes take
+// their bucket's colour.
+const GRAPH_EDGE_WEIGHTS = { ref: 1, tag: 0.5, venture: 0.25 };
+// Larger tag / venture groups are chained rather than fully connected, so one popular
+// tag doesn't pull the whole vault into a single ball.
+const GRAPH_GROUP_LIMIT = 12;
+
+function buildIdeaGraph(ideas, { venture="", tag="" } = {}) {
+  const picked = ideas.filter(i =>
+    (!venture || i.ventureCategory === venture) &&
+    (!tag || (i.tags || []).some(t => tagMatches(t, tag)))
+  );
+  const index = new Map(picked.map((idea, n) => [idea.id, n]));
+  // Start on a sunflower spiral: spread out, deterministic, no overlaps.
+  const nodes = picked.map((idea, n) => ({
+    idea,
+    x: 14 * Math.sqrt(n + 1) * Math.cos(n * 2.4),
+    y: 14 * Math.sqrt(n + 1) * Math.sin(n * 2.4),
+    vx: 0,
+    vy: 0,
+    degree: 0
+  }));
+
+  const edges = new Map();
+  const link = (a, b, kind) => {
+    if (a === b) return;
+    const key = a < b ? `${a}|${b}` : `${b}|${a}`;
+    const e = edges.get(key) || { a: Math.min(a, b), b: Math.max(a, b), weight: 0, kinds: new Set() };
+    e.weight += GRAPH_EDGE_WEIGHTS[kind];
+    e.kinds.add(kind);
+    edges.set(key, e);
+  };
+  const linkGroup = (members, kind) => {
+    if (members.length > GRAPH_GROUP_LIMIT) {
+      members.forEach((m, k) => { if (k) link(members[k - 1], m, kind); });
+      return;
+    }
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) link(members[i], members[j], kind);
+    }
+  };
+
+  const byTag = new Map(), byVenture = new Map();
+  for (const idea of picked) {
+    const n = index.get(idea.id);
+    for (const label of refLabels(idea)) {
+      const target = resolveRef(idea, label);
+      if (target && index.has(target.id)) link(n, index.get(target.id), "ref");
+    }
+    for (const t of new Set(idea.tags || [])) byTag.set(t, [...(byTag.get(t) || []), n]);
+    const v = idea.ventureCategory;
+    if (v && v !== "Other") byVenture.set(v, [...(byVenture.get(v) || []), n]);
+  }
+  byTag.forEach(members => linkGroup(members, "tag"));
+  byVenture.forEach(members => linkGroup(members, "venture"));
+
+  const list = [...edges.values()];
+  for (const e of list) {
+    nodes[e.a].degree++;
+    nodes[e.b].degree++;
+  }
+  return { nodes, edges: list };
 }
 
-function activateNavView(view) {
-  APP.state.view = view;
-  $$(".nav-item").forEach(b => b.classList.remove("active"));
-  const btn = $(`.nav-item[data-view="${view}"]`);
-  if (btn) btn.classList.add("active");
+// One step of the simulation; alpha cools from 1 towards 0.
+function stepIdeaGraph({ nodes, edges }, alpha) {
+  for (let i = 0; i < nodes.length; i++) {
+    const a = nodes[i];
+    for (let j = i + 1; j < nodes.length; j++) {
+      const b = nodes[j];
+      const dx = b.x - a.x, dy = b.y - a.y;
+      const d2 = Math.max(dx*dx + dy*dy, 1);
+      const f = 1200 * alpha / d2;
+      const d = Math.sqrt(d2);
+      a.vx -= dx / d * f; a.vy -= dy / d * f;
+      b.vx += dx / d * f; b.vy += dy / d * f;
+    }
+  }
+  for (const e of edges) {
+    const a = nodes[e.a], b = nodes[e.b];
+    const dx = b.x - a.x, dy = b.y - a.y;
+    const d = Math.sqrt(dx*dx + dy*dy) || 1;
+    const f = (d - 50) * 0.05 * Math.min(e.weight, 2) * alpha;
+    a.vx += dx / d * f; a.vy += dy / d * f;
+    b.vx -= dx / d * f; b.vy -= dy / d * f;
+  }
+  for (const n of nodes) {
+    n.vx -= n.x * 0.01 * alpha;
+    n.vy -= n.y * 0.01 * alpha;
+    n.vx *= 0.8;
+    n.vy *= 0.8;
+    n.x += n.vx;
+    n.y += n.vy;
+  }
 }
 
-function bindNav() {
-  // bucket buttons
-  $$(".nav-item[data-bucket]").forEach(btn => {
-    btn.addEventListener("click", async () => {
-      const b = btn.getAttribute("data-bucket");
-      activateNavBucket(b);
-      await refreshUI();
-      ensureDetailOpenMobile(false);
-    });
+// Groups of 2+ Sparks joined by references or shared tags: candidates to merge.
+function sparkClusters(graph) {
+  const parent = graph.nodes.map((_, n) => n);
+  const find = (n) => parent[n] === n ? n : (parent[n] = find(parent[n]));
+  for (const e of graph.edges) {
+    if (!e.kinds.has("ref") && !e.kinds.has("tag")) continue;
+    if (graph.nodes[e.a].idea.bucket !== "sparks" || graph.nodes[e.b].idea.bucket !== "sparks") continue;
+    parent[find(e.a)] = find(e.b);
+  }
+  const groups = new Map();
+  graph.nodes.forEach((node, n) => {
+    if (node.idea.bucket !== "sparks") return;
+    groups.set(find(n), [...(groups.get(find(n)) || []), node.idea]);
   });
+  return [...groups.values()].filter(g => g.length > 1).sort((a, b) => b.length - a.length);
+}
 
-  // view buttons
-  $$(".nav-item[data-view]").forEach(btn => {
-    btn.addEventListener("click", async () => {
-      const v = btn.getAttribute("data-view");
-      activateNavView(v);
-      if (v === "daily") {
-        showDailySweep();
-      } else if (v === "export") {
-        showExportImport();
-      } else if (v === "settings") {
-        showSettings();
-      }
+function nodeRadius(node) {
+  return 5 + Math.min(node.degree, 10) * 0.7;
+}
+
+function showGraph({ venture="", tag="" } = {}) {
+  APP.state.view = "graph";
+  const ideas = APP.state.ideas;
+  const ventures = [...new Set(ideas.map(i => i.ventureCategory).filter(Boolean))].sort();
+  const tags = [...new Set(ideas.flatMap(i => i.tags || []))].sort();
+  const graph = buildIdeaGraph(ideas, { venture, tag });
+  const clusters = sparkClusters(graph);
+
+  const wrap = document.createElement("div");
+  wrap.innerHTML = `
+    <div style="display:flex;flex-direction:column;gap:10px">
+      <div style="display:flex;gap:8px;flex-wrap:wrap;align-items:center">
+        <select id="graphVenture" style="width:auto">
+          <option value="">All ventures</option>
+          ${ventures.map(v => `<option ${v === venture ? "selected" : ""}>${escapeHtml(v)}</option>`).join("")}
+        </select>
+        <select id="graphTag" style="width:auto">
+          <option value="">All tags</option>
+          ${tags.map(t => `<option value="${escapeHtml(t)}" ${t === tag ? "selected" : ""}>#${escapeHtml(t)}</option>`).join("")}
+        </select>
+        <button class="btn btn-ghost" id="graphZoomOut" title="Zoom out">−</button>
+        <button class="btn btn-ghost" id="graphZoomIn" title="Zoom in">＋</button>
+        <button class="btn btn-ghost" id="graphFit">Fit</button>
+        <span class="muted small">${graph.nodes.length} idea(s) · ${graph.edges.length} link(s)</span>
+      </div>
+      <div class="graph-legend small">
+        ${APP.state.buckets.map(b => `<span><i style="background:${escapeHtml(b.color)}"></i>${escapeHtml(b.name)}</span>`).join("")}
+        <span class="muted">Solid: [[link]] · faint: shared tag · dashed: same venture</span>
+      </div>
+      <canvas class="graph-canvas" id="graphCanvas"></canvas>
+      ${clusters.length ? `
+        <div>
+          <div style="font-weight:900;margin-bottom:6px">Spark clusters</div>
+          <div class="muted small" style="margin-bottom:6px">Sparks tied together by links or tags. Worth merging into one idea?</div>
+          <div id="graphClusters" style="display:flex;flex-direction:column;gap:6px"></div>
+        </div>
+      ` : ""}
+    </div>
+  `;
+
+  wrap.querySelector("#graphVenture").addEventListener("change", (e) => showGraph({ venture: e.target.value, tag }));
+  wrap.querySelector("#graphTag").addEventListener("change", (e) => showGraph({ venture, tag: e.target.value }));
+
+  const clusterList = wrap.querySelector("#graphClusters");
+  for (const group of clusters.slice(0, 8)) {
+    const row = document.createElement("div");
+    row.className = "small";
+    group.forEach((idea, k) => {
+      if (k) row.appendChild(document.createTextNode(" · "));
+      const a = document.createElement("a");
+      a.href = "#";
+      a.textContent = idea.title || "(Untitled)";
+      a.addEventListener("click", (e) => {
+        e.preventDefault();
+        jumpToIdea(idea.id);
+      });
+      row.appendChild(a);
     });
-  });
+    clusterList.appendChild(row);
+  }
 
-  // Search + filters + sort
-  APP.ui.searchInput.addEventListener("input", () => {
-    APP.state.search = APP.ui.searchInput.value;
-    renderIdeaList();
-  });
-  APP.ui.btnClearSearch.addEventListener("click", () => {
-    APP.ui.searchInput.value = "";
-    APP.state.search = "";
-    renderIdeaList();
-  });
+  const canvas = wrap.querySelector("#graphCanvas");
+  const ctx = canvas.getContext?.("2d");
+  const cam = { scale: 1, x: 0, y: 0 };
+  let alpha = 1, hover = null, drag = null, fitted = false, queued = false;
 
-  APP.ui.filterVenture.addEventListener("change", () => {
-    APP.state.filters.venture = APP.ui.filterVenture.value;
-    renderIdeaList();
-  });
-  APP.ui.filterPriority.addEventListener("change", () => {
-    APP.state.filters.priority = APP.ui.filterPriority.value;
-    renderIdeaList();
-  });
-  APP.ui.filterTag.addEventListener("input", () => {
-    APP.state.filters.tag = APP.ui.filterTag.value;
-    renderIdeaList();
-  });
-  APP.ui.sortSelect.addEventListener("change", () => {
-    APP.state.sort = APP.ui.sortSelect.value;
-    renderIdeaList();
-  });
+  function toWorld(px, py) {
+    return { x: (px - canvas.clientWidth/2 - cam.x) / cam.scale, y: (py - canvas.clientHeight/2 - cam.y) / cam.scale };
+  }
 
-  // Quick dump
-  APP.ui.btnQuickDumpToggle.addEventListener("click", () => {
-    APP.ui.quickDump.classList.toggle("hidden");
-    if (!APP.ui.quickDump.classList.contains("hidden")) {
-      APP.ui.qdTitle.focus();
+  function nodeAt(px, py) {
+    const p = toWorld(px, py);
+    let best = null, bestD = Infinity;
+    for (const n of graph.nodes) {
+      const d = Math.hypot(n.x - p.x, n.y - p.y);
+      if (d < Math.max(nodeRadius(n) + 3, 8 / cam.scale) && d < bestD) {
+        best = n;
+        bestD = d;
+      }
     }
-  });
-
-  APP.ui.btnQuickAdd.addEventListener("click", async () => {
-    const title = APP.ui.qdTitle.value.trim();
-    const notes = APP.ui.qdNotes.value.trim();
-    const bucket = APP.ui.qdBucket.value;
+    return best;
+  }
 
-    if (!title && !notes) return;
+  function fit() {
+    if (!graph.nodes.length) return;
+    const xs = graph.nodes.map(n => n.x), ys = graph.nodes.map(n => n.y);
+    const w = Math.max(...xs) - Math.min(...xs) + 80, h = Math.max(...ys) - Math.min(...ys) + 80;
+    cam.scale = Math.min(2, Math.max(0.2, Math.min(canvas.clientWidth / w, canvas.clientHeight / h)));
+    cam.x = -(Math.max(...xs) + Math.min(...xs)) / 2 * cam.scale;
+    cam.y = -(Math.max(...ys) + Math.min(...ys)) / 2 * cam.scale;
+  }
 
-    const idea = newIdea({
-      title: title || "(Quick dump)",
-      keyNotes: notes,
-      bucket: bucket || "parked",
-      ventureCategory: "Other",
-      status: "draft",
-      priority: "medium",
-      nextAction: ""
-    });
+  function zoom(factor, px=canvas.clientWidth/2, py=canvas.clientHeight/2) {
+    const before = toWorld(px, py);
+    cam.scale = Math.min(4, Math.max(0.2, cam.scale * factor));
+    cam.x = px - canvas.clientWidth/2 - before.x * cam.scale;
+    cam.y = py - canvas.clientHeight/2 - before.y * cam.scale;
+  }
 
-    await saveIdea(idea, { skipActiveRuleCheck: false });
-    await loadAllIdeas();
+  function draw() {
+    const dpr = window.devicePixelRatio || 1;
+    const w = canvas.clientWidth, h = canvas.clientHeight;
+    if (canvas.width !== Math.round(w * dpr) || canvas.height !== Math.round(h * dpr)) {
+      canvas.width = Math.round(w * dpr);
+      canvas.height = Math.round(h * dpr);
+    }
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, w, h);
+    ctx.translate(w/2 + cam.x, h/2 + cam.y);
+    ctx.scale(cam.scale, cam.scale);
+
+    for (const e of graph.edges) {
+      const a = graph.nodes[e.a], b = graph.nodes[e.b];
+      const ref = e.kinds.has("ref");
+      const near = hover && (a === hover || b === hover);
+      ctx.strokeStyle = ref ? `rgba(234,241,255,${near ? .9 : .55})` : `rgba(234,241,255,${near ? .45 : (e.kinds.has("tag") ? .16 : .1)})`;
+      ctx.lineWidth = (ref ? 1.6 : 1) / cam.scale;
+      ctx.setLineDash(!ref && !e.kinds.has("tag") ? [4 / cam.scale, 4 / cam.scale] : []);
+      ctx.beginPath();
+      ctx.moveTo(a.x, a.y);
+      ctx.lineTo(b.x, b.y);
+      ctx.stroke();
+    }
+    ctx.setLineDash([]);
+
+    const showAll = graph.nodes.length <= 40 || cam.scale > 1.4;
+    ctx.font = `${12 / cam.scale}px ${getComputedStyle(document.body).fontFamily}`;
+    for (const n of graph.nodes) {
+      const r = nodeRadius(n);
+      ctx.fillStyle = (bucketById(n.idea.bucket) || bucketById("parked")).color;
+      ctx.beginPath();
+      ctx.arc(n.x, n.y, r, 0, Math.PI * 2);
+      ctx.fill();
+      if (n.idea.id === APP.state.selectedId || n === hover) {
+        ctx.strokeStyle = "rgba(255,255,255,.9)";
+        ctx.lineWidth = 2 / cam.scale;
+        ctx.stroke();
+      }
+      if (showAll || n === hover) {
+        ctx.fillStyle = n === hover ? "rgba(234,241,255,1)" : "rgba(234,241,255,.75)";
+        ctx.fillText(clampText(n.idea.title || "(Untitled)", 28), n.x + r + 4 / cam.scale, n.y + 4 / cam.scale);
+      }
+    }
+  }
 
-    APP.ui.qdTitle.value = "";
-    APP.ui.qdNotes.value = "";
+  const visible = () => canvas.isConnected && !APP.ui.viewOverlay.classList.contains("hidden");
 
-    // Switch to target bucket and select it
-    activateNavBucket(idea.bucket);
-    APP.state.selectedId = idea.id;
-    await refreshUI();
-  });
+  // Animates while the layout settles, then stops; afterwards only redraw() paints.
+  function frame() {
+    if (!visible()) return;
+    stepIdeaGraph(graph, alpha);
+    alpha *= 0.97;
+    if (!fitted && alpha < 0.3) {
+      fit();
+      fitted = true;
+    }
+    draw();
+    if (alpha > 0.02) requestAnimationFrame(frame);
+  }
 
-  // New idea buttons
-  APP.ui.btnNewIdea.addEventListener("click", async () => {
-    await createAndSelectIdea({ bucket: "parked", title: "New idea", ventureCategory: "Other" });
-  });
-  APP.ui.btnEmptyNew.addEventListener("click", async () => {
-    await createAndSelectIdea({ bucket: "parked", title: "New idea", ventureCategory: "Other" });
-  });
+  // One repaint on the next frame (pointer, wheel and zoom changes), unless the layout is still running.
+  function redraw() {
+    if (queued || alpha > 0.02) return;
+    queued = true;
+    requestAnimationFrame(() => {
+      queued = false;
+      if (visible()) draw();
+    });
+  }
 
-  // Help
-  APP.ui.btnHelp.addEventListener("click", () => {
-    APP.ui.helpOverlay.classList.remove("hidden");
-  });
-  APP.ui.btnHelpClose.addEventListener("click", () => {
-    APP.ui.helpOverlay.classList.add("hidden");
-  });
-  APP.ui.helpOverlay.addEventListener("click", (e) => {
-    if (e.target === APP.ui.helpOverlay) APP.ui.helpOverlay.classList.add("hidden");
-  });
+  if (ctx) {
+    canvas.addEventListener("wheel", (e) => {
+      e.preventDefault();
+      zoom(Math.exp(-e.deltaY * 0.0015), e.offsetX, e.offsetY);
+      redraw();
+    }, { passive: false });
 
-  // Drawer overlay closes detail on mobile
-  APP.ui.drawerOverlay.addEventListener("click", () => ensureDetailOpenMobile(false));
+    canvas.addEventListener("pointerdown", (e) => {
+      canvas.setPointerCapture(e.pointerId);
+      drag = { x: e.offsetX, y: e.offsetY, camX: cam.x, camY: cam.y, moved: false, node: nodeAt(e.offsetX, e.offsetY) };
+    });
+    canvas.addEventListener("pointermove", (e) => {
+      if (drag) {
+        const dx = e.offsetX - drag.x, dy = e.offsetY - drag.y;
+        if (Math.abs(dx) + Math.abs(dy) > 4) drag.moved = true;
+        cam.x = drag.camX + dx;
+        cam.y = drag.camY + dy;
+        redraw();
+        return;
+      }
+      const next = nodeAt(e.offsetX, e.offsetY);
+      if (next === hover) return;
+      hover = next;
+      canvas.style.cursor = hover ? "pointer" : "grab";
+      canvas.title = hover ? `${hover.idea.title || "(Untitled)"} · ${bucketName(hover.idea.bucket)}` : "";
+      redraw();
+    });
+    canvas.addEventListener("pointerup", async () => {
+      const d = drag;
+      drag = null;
+      if (d && !d.moved && d.node) {
+        await flushAutosave();
+        await jumpToIdea(d.node.idea.id);
+      }
+    });
 
-  // View overlay close
-  APP.ui.btnViewClose.addEventListener("click", () => {
-    hideView();
-  });
-  APP.ui.viewOverlay.addEventListener("click", (e) => {
-    if (e.target === APP.ui.viewOverlay) hideView();
-  });
+    wrap.querySelector("#graphZoomIn").addEventListener("click", () => { zoom(1.25); redraw(); });
+    wrap.querySelector("#graphZoomOut").addEventListener("click", () => { zoom(0.8); redraw(); });
+    wrap.querySelector("#graphFit").addEventListener("click", () => { fit(); redraw(); });
+  }
 
-  // Dialog close by clicking backdrop
-  APP.ui.dialogOverlay.addEventListener("click", (e) => {
-    if (e.target === APP.ui.dialogOverlay) hideDialog();
-  });
+  showView("Idea Graph", wrap);
+  if (ctx) requestAnimationFrame(frame);
+  else canvas.replaceWith(Object.assign(document.createElement("div"), { className: "muted", textContent: "This browser can’t draw the graph (no canvas support)." }));
+}
 
-  // Keyboard shortcuts
-  document.addEventListener("keydown", async (e) => {
-    if (e.key.toLowerCase() === "n" && !e.metaKey && !e.ctrlKey && !e.altKey) {
-      // avoid when typing in inputs
-      const tag = (document.activeElement?.tagName || "").toLowerCase();
-      if (["input","textarea","select"].includes(tag)) return;
-      await createAndSelectIdea({ bucket: "parked", title: "New idea", ventureCategory: "Other" });
-    }
-    if (e.key === "Escape") {
-      // close overlays
-      APP.ui.helpOverlay.classList.add("hidden");
-      hideDialog();
-      hideView();
-      ensureDetailOpenMobile(false);
-    }
-  });
+// ---------- History ----------
+function fieldValueText(key, value) {
+  if (key === "links") return (value || []).map(l => `${l.label || ""} ${l.url || ""}`.trim()).join("\n");
+  if (key === "actions") return (value || []).map(a => `[${a.done ? "x" : " "}] ${a.text || ""}${a.dueDate ? ` (due ${a.dueDate})` : ""}`).join("\n");
+  if (key === "imageIds") return `${(value || []).length} image(s)`;
+  if (key === "revisitAt") return value ? localDateKey(value) : "—";
+  if (key === "bucket") return bucketName(value);
+  if (Array.isArray(value)) return value.join(", ");
+  if (value && typeof value === "object") return JSON.stringify(value);
+  return String(value ?? "");
 }
 
-// ---------- Daily Sweep ----------
-function showDailySweep() {
-  const { start, end } = todayBounds();
-  const updatedToday = APP.state.ideas
-    .filter(i => i.updatedAt >= start && i.updatedAt < end)
-    .sort((a,b) => b.updatedAt - a.updatedAt);
+function renderFieldDiff(key, before, after) {
+  const a = fieldValueText(key, before);
+  const b = fieldValueText(key, after);
+  const label = escapeHtml(FIELD_LABELS[key] || key);
+
+  if (!a.includes("\n") && !b.includes("\n") && a.length + b.length < 160) {
+    return `<div class="diff-field">
+      <div class="diff-label">${label}</div>
+      <div class="diff-inline"><span class="diff-del">${escapeHtml(a) || "—"}</span> → <span class="diff-add">${escapeHtml(b) || "—"}</span></div>
+    </div>`;
+  }
 
+  const lines = diffLines(a, b)
+    .filter(d => d.op !== "same")
+    .map(d => `<div class="diff-${d.op}">${d.op === "add" ? "+" : "−"} ${escapeHtml(d.text) || "&nbsp;"}</div>`)
+    .join("");
+  return `<div class="diff-field"><div class="diff-label">${label}</div><div class="diff-lines">${lines}</div></div>`;
+}
+
+async function showHistory(ideaId) {
+  const revs = await getRevisions(ideaId);
+  const idea = APP.state.ideas.find(i => i.id === ideaId);
   const wrap = document.createElement("div");
+
   wrap.innerHTML = `
-    <div class="muted">Ideas updated today (${updatedToday.length}). Quick re-bucket them to keep the vault clean.</div>
-    <div style="margin-top:12px;display:flex;flex-direction:column;gap:10px"></div>
+    <div class="muted">
+      ${revs.length} saved version(s). Rapid autosaves are grouped into one version. Restoring creates a new version, so nothing is lost.
+    </div>
+    <div class="history-list" style="margin-top:12px"></div>
   `;
-  const list = wrap.querySelector("div[style*='flex-direction']");
+  const list = wrap.querySelector(".history-list");
 
-  for (const i of updatedToday) {
+  if (!revs.length) {
+    list.innerHTML = `<div class="muted small">No history yet. Versions are recorded as you edit.</div>`;
+  }
+
+  revs.forEach((rev, idx) => {
+    const older = revs[idx + 1];
     const row = document.createElement("div");
-    row.style.border = "1px solid rgba(255,255,255,.10)";
-    row.style.borderRadius = "14px";
-    row.style.padding = "12px";
-    row.style.background = "rgba(255,255,255,.02)";
+    row.className = "history-row";
+
+    const fields = older ? changedFields(older.snapshot, rev.snapshot) : [];
+    const diffHtml = older
+      ? (fields.map(k => renderFieldDiff(k, older.snapshot[k], rev.snapshot[k])).join("") || `<div class="muted small">No content changes.</div>`)
+      : `<div class="muted small">Oldest kept version.</div>`;
 
     row.innerHTML = `
       <div style="display:flex;align-items:flex-start;justify-content:space-between;gap:10px">
         <div>
-          <div style="font-weight:900">${escapeHtml(i.title || "(Untitled)")}</div>
-          <div style="margin-top:6px;color:rgba(142,160,181,.95);font-size:12px">
-            Bucket: <b>${escapeHtml(i.bucket)}</b> · Updated: ${fmtDate(i.updatedAt)}
-          </div>
-        </div>
-        <div style="display:flex;gap:8px;flex-wrap:wrap;justify-content:flex-end">
-          <button class="btn btn-ghost" data-act="active">Active</button>
-          <button class="btn btn-ghost" data-act="parked">Parked</button>
-          <button class="btn btn-ghost" data-act="long_term">Long-Term</button>
-          <button class="btn btn-ghost" data-act="sparks">Sparks</button>
+          <div style="font-weight:900">${fmtDate(rev.updatedAt || rev.createdAt)} ${idx === 0 ? `<span class="badge active">current</span>` : ""}</div>
+          <div class="muted small" style="margin-top:4px">${escapeHtml(rev.snapshot.title || "(Untitled)")} · ${escapeHtml(bucketName(rev.snapshot.bucket))}</div>
         </div>
+        ${idx === 0 ? "" : `<button class="btn btn-ghost" data-restore>Restore</button>`}
       </div>
-      <div style="margin-top:10px;color:rgba(234,241,255,.92)">${escapeHtml(clampText(i.description || i.keyNotes || "—", 220))}</div>
+      <div style="margin-top:10px">${diffHtml}</div>
     `;
 
-    row.querySelectorAll("button[data-act]").forEach(btn => {
-      btn.addEventListener("click", async () => {
-        const to = btn.getAttribute("data-act");
-        const idea = APP.state.ideas.find(x => x.id === i.id);
-        if (!idea) return;
-        idea.bucket = to;
-        await saveIdea(idea, { skipActiveRuleCheck: false });
-        await loadAllIdeas();
-        showDailySweep(); // refresh view
-        renderCounts(APP.state.ideas);
-        renderIdeaList();
-      });
+    row.querySelector("[data-restore]")?.addEventListener("click", async () => {
+      await restoreRevision(rev);
+      await showHistory(ideaId);
     });
 
     list.appendChild(row);
+  });
+
+  showView(`History — ${idea?.title || revs[0]?.snapshot?.title || "(Untitled)"}`, wrap);
+}
+
+async function restoreRevision(rev) {
+  // Let a pending autosave land first so it can't overwrite the restored version.
+  await flushAutosave();
+
+  const cur = await IDB.get(APP.stores.ideas, rev.ideaId);
+  const snap = cloneIdea(rev.snapshot);
+  const restored = { ...(cur || {}), ...migrateIdea(snap), id: rev.ideaId, createdAt: cur?.createdAt || snap.createdAt };
+
+  // Images deleted since this version can't come back; drop dangling ids.
+  const imageIds = [];
+  for (const imageId of restored.imageIds || []) {
+    if (await IDB.get(APP.stores.images, imageId)) imageIds.push(imageId);
   }
+  restored.imageIds = imageIds;
 
-  showView("Daily Sweep", wrap);
+  await UNDO.run("Restore version", () => saveIdea(restored, { skipWipCheck: false }), { focusId: restored.id });
+  await loadAllIdeas();
+  activateNavBucket(restored.bucket);
+  APP.state.selectedId = restored.id;
+  await refreshUI();
+  setSaveStatus("ok", "Restored");
 }
 
 // ---------- Export / Import ----------
@@ -1106,7 +5649,7 @@ async function getExportBundle({ includeImages=true, hardLimitBytes=25*1024*1024
     bundle: {
       meta: {
         app: "Idea Vault",
-        version: 1,
+        version: BUNDLE_VERSION,
         exportedAt: now(),
         includeImages
       },
@@ -1138,6 +5681,10 @@ function dataUrlToBlob(dataUrl) {
 
 function downloadJson(obj, filename) {
   const blob = new Blob([JSON.stringify(obj, null, 2)], { type:"application/json" });
+  downloadBlob(blob, filename);
+}
+
+function downloadBlob(blob, filename) {
   const url = URL.createObjectURL(blob);
   const a = document.createElement("a");
   a.href = url;
@@ -1148,6 +5695,1007 @@ function downloadJson(obj, filename) {
   setTimeout(() => URL.revokeObjectURL(url), 1500);
 }
 
+// ---------- ZIP ----------
+// Minimal zero-dependency ZIP support. The writer stores entries uncompressed (images are
+// already compressed, JSON is small); the reader also inflates "deflate" entries where the
+// browser has DecompressionStream. No ZIP64, so a single archive tops out at 4GB.
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n=0;n<256;n++) {
+    let c = n;
+    for (let k=0;k<8;k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes, crc=0) {
+  let c = crc ^ 0xFFFFFFFF;
+  for (let i=0;i<bytes.length;i++) c = CRC32_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+function dosDateTime(ts) {
+  const d = new Date(ts || now());
+  const time = (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2);
+  const date = ((Math.max(1980, d.getFullYear()) - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate();
+  return { time, date };
+}
+
+const ZIP = {
+  // entries: [{ name, data: Blob | Uint8Array | string, mtime? }] -> Blob (application/zip)
+  async write(entries) {
+    const enc = new TextEncoder();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+      const name = enc.encode(entry.name);
+      const blob = entry.data instanceof Blob ? entry.data : new Blob([entry.data]);
+      const bytes = new Uint8Array(await blob.arrayBuffer());
+      const crc = crc32(bytes);
+      const { time, date } = dosDateTime(entry.mtime);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true);        // version needed
+      local.setUint16(6, 0x0800, true);    // UTF-8 names
+      local.setUint16(8, 0, true);         // stored
+      local.setUint16(10, time, true);
+      local.setUint16(12, date, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, bytes.length, true);
+      local.setUint32(22, bytes.length, true);
+      local.setUint16(26, name.length, true);
+      local.setUint16(28, 0, true);
+
+      const cd = new DataView(new ArrayBuffer(46));
+      cd.setUint32(0, 0x02014b50, true);
+      cd.setUint16(4, 20, true);           // version made by
+      cd.setUint16(6, 20, true);
+      cd.setUint16(8, 0x0800, true);
+      cd.setUint16(10, 0, true);
+      cd.setUint16(12, time, true);
+      cd.setUint16(14, date, true);
+      cd.setUint32(16, crc, true);
+      cd.setUint32(20, bytes.length, true);
+      cd.setUint32(24, bytes.length, true);
+      cd.setUint16(28, name.length, true);
+      cd.setUint32(42, offset, true);      // local header offset (other fields stay 0)
+
+      parts.push(local.buffer, name, blob);
+      central.push(cd.buffer, name);
+      offset += 30 + name.length + bytes.length;
+      if (offset > 0xFFFFFFFF) throw new Error("Archive larger than 4GB is not supported.");
+    }
+
+    const cdSize = central.reduce((n, p) => n + p.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, cdSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...central, end.buffer], { type: "application/zip" });
+  },
+
+  // -> [{ name, size, blob(): Promise<Blob> }]; entry data is sliced lazily from the file.
+  async read(file) {
+    const tailLen = Math.min(file.size, 22 + 0xFFFF);
+    const tail = new DataView(await file.slice(file.size - tailLen).arrayBuffer());
+    let eocd = -1;
+    for (let i=tailLen-22;i>=0;i--) {
+      if (tail.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+    }
+    if (eocd < 0) throw new Error("Not a ZIP archive.");
+
+    const count = tail.getUint16(eocd + 10, true);
+    const cdSize = tail.getUint32(eocd + 12, true);
+    const cdOffset = tail.getUint32(eocd + 16, true);
+    const cd = new DataView(await file.slice(cdOffset, cdOffset + cdSize).arrayBuffer());
+    const dec = new TextDecoder();
+    const entries = [];
+
+    let p = 0;
+    for (let n=0;n<count;n++) {
+      if (cd.getUint32(p, true) !== 0x02014b50) throw new Error("Corrupt ZIP central directory.");
+      const method = cd.getUint16(p + 10, true);
+      const compSize = cd.getUint32(p + 20, true);
+      const size = cd.getUint32(p + 24, true);
+      const nameLen = cd.getUint16(p + 28, true);
+      const extraLen = cd.getUint16(p + 30, true);
+      const commentLen = cd.getUint16(p + 32, true);
+      const localOffset = cd.getUint32(p + 42, true);
+      const name = dec.decode(new Uint8Array(cd.buffer, cd.byteOffset + p + 46, nameLen));
+      p += 46 + nameLen + extraLen + commentLen;
+
+      if (name.endsWith("/")) continue; // directory entry
+
+      entries.push({
+        name,
+        size,
+        async blob(type="") {
+          const lh = new DataView(await file.slice(localOffset, localOffset + 30).arrayBuffer());
+          const start = localOffset + 30 + lh.getUint16(26, true) + lh.getUint16(28, true);
+          const raw = file.slice(start, start + compSize);
+          if (method === 0) return new Blob([raw], { type });
+          if (method === 8 && typeof DecompressionStream !== "undefined") {
+            const stream = raw.stream().pipeThrough(new DecompressionStream("deflate-raw"));
+            return new Blob([await new Response(stream).arrayBuffer()], { type });
+          }
+          throw new Error(`Unsupported compression in ${name}.`);
+        },
+        async text() {
+          return (await this.blob()).text();
+        }
+      });
+    }
+    return entries;
+  }
+};
+
+async function isZipFile(file) {
+  const head = new Uint8Array(await file.slice(0, 4).arrayBuffer());
+  return head[0] === 0x50 && head[1] === 0x4B && head[2] === 0x03 && head[3] === 0x04;
+}
+
+function safeFileName(name) {
+  return String(name || "").replace(/[^\w.\-]+/g, "_").slice(0, 80);
+}
+
+// vault.json + images/<id>-<filename>, with image blobs stored as-is.
+async function buildZipBackup() {
+  const ideas = await IDB.getAll(APP.stores.ideas);
+  const images = await IDB.getAll(APP.stores.images);
+  const entries = [];
+  const imageMeta = [];
+
+  for (const img of images) {
+    const path = `images/${img.id}-${safeFileName(img.filename || "image")}`;
+    imageMeta.push({
+      id: img.id,
+      ideaId: img.ideaId,
+      filename: img.filename,
+      type: img.type,
+      createdAt: img.createdAt,
+      path
+    });
+    entries.push({ name: path, data: img.blob, mtime: img.createdAt });
+  }
+
+  const bundle = {
+    meta: { app: "Idea Vault", version: BUNDLE_VERSION, exportedAt: now(), includeImages: true, format: "zip" },
+    ideas,
+    images: imageMeta
+  };
+  entries.unshift({ name: "vault.json", data: JSON.stringify(bundle, null, 2) });
+  return ZIP.write(entries);
+}
+
+async function readZipBundle(file) {
+  const entries = await ZIP.read(file);
+  const byName = new Map(entries.map(e => [e.name, e]));
+  const main = byName.get("vault.json");
+  if (!main) throw new Error("vault.json not found in archive.");
+
+  const bundle = JSON.parse(await main.text());
+  for (const img of bundle.images || []) {
+    const entry = img.path && byName.get(img.path);
+    if (entry) img.blob = await entry.blob(img.type || "");
+  }
+  return bundle;
+}
+
+// ---------- Encrypted backup ----------
+// .ivault = "IVAULT1\n" + uint32 header length + JSON header { salt, iterations, iv }
+// + AES-GCM ciphertext of a regular ZIP backup.
+const IVAULT_MAGIC = "IVAULT1\n";
+
+async function buildEncryptedBackup({ key, salt, iterations }) {
+  const zip = await buildZipBackup();
+  const box = await LOCK.encrypt(new Uint8Array(await zip.arrayBuffer()), key);
+  const header = new TextEncoder().encode(JSON.stringify({
+    salt: bytesToBase64(salt),
+    iterations,
+    iv: bytesToBase64(box.iv)
+  }));
+  const len = new Uint8Array(4);
+  new DataView(len.buffer).setUint32(0, header.length);
+  return new Blob([IVAULT_MAGIC, len, header, box.data], { type: "application/octet-stream" });
+}
+
+async function isEncryptedBackup(file) {
+  const head = new Uint8Array(await file.slice(0, IVAULT_MAGIC.length).arrayBuffer());
+  return new TextDecoder().decode(head) === IVAULT_MAGIC;
+}
+
+// -> the decrypted ZIP as a File. Backups sealed with this vault's passphrase open
+// without asking; anything else prompts until the passphrase fits or the user cancels.
+async function decryptBackup(file) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const start = IVAULT_MAGIC.length;
+  const len = new DataView(bytes.buffer, bytes.byteOffset).getUint32(start);
+  const header = JSON.parse(new TextDecoder().decode(bytes.subarray(start + 4, start + 4 + len)));
+  const box = { iv: base64ToBytes(header.iv), data: bytes.subarray(start + 4 + len) };
+
+  let key = LOCK.key && LOCK.config && bytesToBase64(LOCK.config.salt) === header.salt ? LOCK.key : null;
+  let text = `<b>${escapeHtml(file.name)}</b> is encrypted. Enter the passphrase it was exported with.`;
+  for (;;) {
+    if (key) {
+      try {
+        const zip = await LOCK.decrypt(box, key);
+        return new File([zip], file.name.replace(/\.ivault$/i, "") + ".zip", { type: "application/zip" });
+      } catch {
+        text = "Wrong passphrase. Try again.";
+      }
+    }
+    const pass = await promptPassphrase({ title: "Encrypted backup", text });
+    if (pass === null) throw new Error("Import cancelled.");
+    key = await LOCK.deriveKey(pass, base64ToBytes(header.salt), header.iterations);
+  }
+}
+
+// ---------- Markdown vault ----------
+// One folder per idea inside its bucket folder, Obsidian-style:
+//   Parked/My Idea/My Idea.md   (YAML frontmatter + Description / Key Notes / Next Action)
+//   Parked/My Idea/<image files> (linked relatively from the note)
+// Frontmatter values are written as JSON, which is valid YAML, so every field round-trips.
+// The four starting buckets keep their short folder names; others use the bucket's name.
+const MD_BUCKET_FOLDERS = {
+  active: "Active",
+  parked: "Parked",
+  long_term: "Long-Term",
+  sparks: "Sparks"
+};
+
+const MD_SECTIONS = [
+  ["Description", "description"],
+  ["Key Notes", "keyNotes"],
+  ["Next Action", "nextAction"]
+];
+
+// Body fields and fields rebuilt from the note itself stay out of the frontmatter.
+const MD_BODY_FIELDS = new Set(["description", "keyNotes", "nextAction", "imageIds"]);
+const MD_TIME_FIELDS = new Set(["createdAt", "updatedAt"]);
+
+function mdPathSegment(str) {
+  const clean = String(str || "").replace(/[\\/:*?"<>|#^\[\]\u0000-\u001f]+/g, "-").replace(/\s+/g, " ").trim().replace(/^\.+/, "");
+  return clean.slice(0, 80) || "Untitled";
+}
+
+// An HTML comment (hidden by Markdown viewers) ahead of each section heading, so a
+// "## Key Notes" line written inside a description can't be mistaken for the section.
+function mdSectionMarker(key) {
+  return `<!-- idea-vault:${key} -->`;
+}
+
+// -> [{ key, at, frame }] in body order. Sections are found by their markers; notes without
+// any (older exports, hand-written) fall back to the bare headings, searched from the end
+// in export order: a field's text comes after its heading, so only a heading repeated inside
+// its own section or a later one can mislead it.
+function mdSectionMarks(body) {
+  const sections = [...MD_SECTIONS, ["Images", "images"]];
+  const marked = sections
+    .map(([h, key]) => ({ key, frame: `\n${mdSectionMarker(key)}\n## ${h}\n` }))
+    .map(m => ({ ...m, at: body.indexOf(m.frame) }))
+    .filter(m => m.at >= 0);
+  if (marked.length) return marked.sort((a,b) => a.at - b.at);
+
+  const marks = [];
+  let end = body.length;
+  for (const [h, key] of sections.slice().reverse()) {
+    const frame = `\n## ${h}\n`;
+    const at = body.slice(0, end).lastIndexOf(frame);
+    if (at < 0) continue;
+    // Images is last and holds nothing but image links.
+    if (key === "images" && body.slice(at + frame.length).split("\n").some(line => line.trim() && !/^!\[/.test(line.trim()))) continue;
+    marks.unshift({ key, frame, at });
+    end = at;
+  }
+  return marks;
+}
+
+function ideaToMarkdown(idea, images) {
+  const fm = [];
+  for (const [key, value] of Object.entries(idea)) {
+    if (MD_BODY_FIELDS.has(key) || SYNC_META_FIELDS.has(key)) continue;
+    const v = MD_TIME_FIELDS.has(key) && value ? new Date(value).toISOString() : value;
+    fm.push(`${key}: ${JSON.stringify(v ?? null)}`);
+  }
+  fm.push(`images: ${JSON.stringify(images.map(img => ({ id: img.id, file: img.file, filename: img.filename, type: img.type, createdAt: img.createdAt })))}`);
+
+  let md = `---\n${fm.join("\n")}\n---\n# ${idea.title || "(Untitled)"}\n`;
+  for (const [heading, key] of MD_SECTIONS) {
+    md += `\n${mdSectionMarker(key)}\n## ${heading}\n\n${idea[key] || ""}\n`;
+  }
+  if (images.length) {
+    md += `\n${mdSectionMarker("images")}\n## Images\n\n${images.map(img => `![${(img.filename || img.file).replace(/[\[\]]/g, "")}](${encodeURI(img.file)})`).join("\n")}\n`;
+  }
+  return md;
+}
+
+function parseFrontmatterValue(raw) {
+  const v = raw.trim();
+  if (!v) return "";
+  try {
+    return JSON.parse(v);
+  } catch {
+    return v.replace(/^'(.*)'$/, "$1");
+  }
+}
+
+function markdownToIdea(text) {
+  const src = String(text).replace(/\r\n/g, "\n");
+  const fields = {};
+  let body = src;
+
+  const fmMatch = /^---\n([\s\S]*?)\n---\n?/.exec(src);
+  if (fmMatch) {
+    body = src.slice(fmMatch[0].length);
+    let listKey = null;
+    for (const line of fmMatch[1].split("\n")) {
+      const item = /^\s+-\s*(.*)$/.exec(line);
+      if (item && listKey) {
+        if (!Array.isArray(fields[listKey])) fields[listKey] = [];
+        fields[listKey].push(parseFrontmatterValue(item[1]));
+        continue;
+      }
+      const kv = /^([\w-]+):\s*(.*)$/.exec(line);
+      if (!kv) continue;
+      fields[kv[1]] = parseFrontmatterValue(kv[2]);
+      listKey = kv[2].trim() ? null : kv[1];
+    }
+  }
+
+  for (const key of MD_TIME_FIELDS) {
+    if (typeof fields[key] === "string") fields[key] = Date.parse(fields[key]) || undefined;
+  }
+
+  const heading = /^# (.*)$/m.exec(body);
+  if (!fields.title && heading) fields.title = heading[1].trim();
+
+  // Each section is written as "\n<marker>\n## Heading\n\n<text>\n"; strip exactly that framing.
+  const marks = mdSectionMarks(body);
+  marks.forEach((m, idx) => {
+    const start = m.at + m.frame.length;
+    const end = idx + 1 < marks.length ? marks[idx + 1].at : body.length;
+    const chunk = body.slice(start, end).replace(/^\n/, "").replace(/\n$/, "");
+    if (MD_SECTIONS.some(([, key]) => key === m.key)) fields[m.key] = chunk;
+  });
+
+  // Hand-written notes without sections: everything after the title is the description.
+  if (!marks.length) fields.description = body.replace(/^# .*\n?/m, "").trim();
+
+  return fields;
+}
+
+async function buildMarkdownExport(ideas=null) {
+  ideas = ideas || await IDB.getAll(APP.stores.ideas);
+  const images = await IDB.getAll(APP.stores.images);
+  const imagesById = new Map(images.map(img => [img.id, img]));
+  const usedFolders = new Set();
+  const entries = [];
+
+  for (const idea of ideas) {
+    const bucketFolder = MD_BUCKET_FOLDERS[idea.bucket] || mdPathSegment(bucketName(idea.bucket));
+    const base = mdPathSegment(idea.title);
+    let folder = `${bucketFolder}/${base}`;
+    for (let n=2; usedFolders.has(folder.toLowerCase()); n++) folder = `${bucketFolder}/${base} (${n})`;
+    usedFolders.add(folder.toLowerCase());
+    const name = folder.split("/").pop();
+
+    const noteImages = [];
+    const usedFiles = new Set([`${name}.md`.toLowerCase()]);
+    for (const imageId of idea.imageIds || []) {
+      const img = imagesById.get(imageId);
+      if (!img) continue;
+      let file = mdPathSegment(img.filename || `image-${img.id}`);
+      if (usedFiles.has(file.toLowerCase())) file = `${img.id.slice(0, 8)}-${file}`;
+      usedFiles.add(file.toLowerCase());
+      noteImages.push({ ...img, file });
+      entries.push({ name: `${folder}/${file}`, data: img.blob, mtime: img.createdAt });
+    }
+
+    entries.push({ name: `${folder}/${name}.md`, data: ideaToMarkdown(idea, noteImages), mtime: idea.updatedAt });
+  }
+
+  return ZIP.write(entries);
+}
+
+async function readMarkdownBundle(entries) {
+  const byName = new Map(entries.map(e => [e.name, e]));
+  const folderBuckets = Object.fromEntries([
+    ...APP.state.buckets.map(b => [mdPathSegment(b.name).toLowerCase(), b.id]),
+    ...Object.entries(MD_BUCKET_FOLDERS).map(([k, v]) => [v.toLowerCase(), k])
+  ]);
+  const ideas = [];
+  const images = [];
+
+  for (const entry of entries.filter(e => /\.md$/i.test(e.name))) {
+    const fields = markdownToIdea(await entry.text());
+    const dir = entry.name.includes("/") ? entry.name.slice(0, entry.name.lastIndexOf("/") + 1) : "";
+    const topFolder = entry.name.split("/")[0].toLowerCase();
+    const noteImages = Array.isArray(fields.images) ? fields.images : [];
+    delete fields.images;
+
+    const idea = {
+      ...fields,
+      id: fields.id || uuid(),
+      title: fields.title || entry.name.split("/").pop().replace(/\.md$/i, ""),
+      bucket: fields.bucket || folderBuckets[topFolder] || "parked"
+    };
+
+    idea.imageIds = [];
+    for (const img of noteImages) {
+      const file = byName.get(dir + img.file);
+      if (!file || !img.id) continue;
+      images.push({
+        id: img.id,
+        ideaId: idea.id,
+        filename: img.filename || img.file,
+        type: img.type || "",
+        createdAt: img.createdAt || now(),
+        blob: await file.blob(img.type || "")
+      });
+      idea.imageIds.push(img.id);
+    }
+
+    ideas.push(idea);
+  }
+
+  return {
+    meta: { app: "Idea Vault", version: BUNDLE_VERSION, exportedAt: now(), includeImages: true, format: "markdown" },
+    ideas,
+    images
+  };
+}
+
+// ---------- CSV ----------
+// Columns a CSV can map onto; synonyms are matched against normalized headers.
+const CSV_FIELDS = [
+  { key: "title", label: "Title", synonyms: ["title", "name", "idea"] },
+  { key: "bucket", label: "Bucket", synonyms: ["bucket", "stage", "list"] },
+  { key: "ventureCategory", label: "Venture", synonyms: ["venture", "venturecategory", "category", "project"] },
+  { key: "status", label: "Status", synonyms: ["status", "state"] },
+  { key: "priority", label: "Priority", synonyms: ["priority", "pri"] },
+  { key: "nextAction", label: "Next Action", synonyms: ["nextaction", "next", "nextstep", "todo"] },
+  { key: "description", label: "Description", synonyms: ["description", "desc", "summary", "details"] },
+  { key: "keyNotes", label: "Key Notes", synonyms: ["keynotes", "notes", "note", "comments"] },
+  { key: "tags", label: "Tags", synonyms: ["tags", "tag", "labels"] },
+  { key: "links", label: "Links", synonyms: ["links", "link", "url", "urls"] },
+  { key: "id", label: "ID", synonyms: ["id", "uuid"] },
+  { key: "createdAt", label: "Created", synonyms: ["created", "createdat", "datecreated"] },
+  { key: "updatedAt", label: "Updated", synonyms: ["updated", "updatedat", "modified", "lastmodified"] }
+];
+
+const PRIORITY_ALIASES = { high: "high", h: "high", "3": "high", medium: "medium", med: "medium", m: "medium", "2": "medium", low: "low", l: "low", "1": "low" };
+const STATUS_VALUES = ["draft", "ready", "blocked"];
+
+// Spreadsheets run cells starting with = + - @ (or a tab / CR before one) as formulas; a
+// leading ' keeps them text. CSV import strips it again (csvRowToIdea).
+const CSV_FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  let v = String(value ?? "");
+  if (CSV_FORMULA_START.test(v)) v = "'" + v;
+  return /[",\r\n;\t]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v;
+}
+
+function toCsv(rows) {
+  return rows.map(r => r.map(csvCell).join(",")).join("\r\n");
+}
+
+// RFC 4180 parser; the delimiter (comma, semicolon or tab) is taken from the header line.
+function parseCsv(text) {
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  const firstLine = src.split(/\r?\n/, 1)[0] || "";
+  const delim = [",", ";", "\t"].map(d => [d, firstLine.split(d).length]).sort((a,b) => b[1] - a[1])[0][0];
+
+  const rows = [];
+  let row = [], cell = "", i = 0, quoted = false;
+  while (i < src.length) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { cell += '"'; i += 2; continue; }
+      if (c === '"') { quoted = false; i++; continue; }
+      cell += c; i++; continue;
+    }
+    if (c === '"' && cell === "") { quoted = true; i++; continue; }
+    if (c === delim) { row.push(cell); cell = ""; i++; continue; }
+    if (c === "\r" || c === "\n") {
+      row.push(cell); rows.push(row); row = []; cell = "";
+      i += (c === "\r" && src[i + 1] === "\n") ? 2 : 1;
+      continue;
+    }
+    cell += c; i++;
+  }
+  if (cell !== "" || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter(r => r.some(x => x.trim() !== ""));
+}
+
+function ideasToCsv(ideas) {
+  const header = ["id","title","bucket","ventureCategory","status","priority","nextAction","description","keyNotes","tags","links","createdAt","updatedAt"];
+  const rows = ideas.map(i => [
+    i.id, i.title, i.bucket, i.ventureCategory, i.status, i.priority, i.nextAction, i.description, i.keyNotes,
+    (i.tags || []).join("; "),
+    (i.links || []).filter(l => l.url).map(l => l.label ? `${l.label} <${l.url}>` : l.url).join("; "),
+    i.createdAt ? new Date(i.createdAt).toISOString() : "",
+    i.updatedAt ? new Date(i.updatedAt).toISOString() : ""
+  ]);
+  return toCsv([header, ...rows]);
+}
+
+function guessCsvMapping(headers) {
+  return headers.map(h => {
+    const norm = String(h).toLowerCase().replace(/[^a-z0-9]/g, "");
+    return CSV_FIELDS.find(f => f.synonyms.includes(norm))?.key || "";
+  });
+}
+
+function parseCsvLinks(value) {
+  return String(value || "").split(/\s*[;\n]\s*/).filter(Boolean).map(part => {
+    const m = /^(.*?)\s*<([^>]+)>$/.exec(part);
+    return m ? { label: m[1].trim(), url: safeUrl(m[2]) } : { label: "", url: safeUrl(part) };
+  });
+}
+
+function parseCsvDate(value) {
+  const v = String(value || "").trim();
+  if (!v) return null;
+  if (/^\d{10,}$/.test(v)) return Number(v);
+  const t = Date.parse(v);
+  return Number.isNaN(t) ? null : t;
+}
+
+// -> { idea, issues[], skip }. Invalid values fall back to defaults and are reported.
+// existing: id -> stored idea. A row whose ID matches one patches it: columns that aren't
+// mapped (or are empty) keep the stored values, timestamps included.
+function csvRowToIdea(row, mapping, existing=new Map()) {
+  const issues = [];
+  const partial = {};
+  mapping.forEach((key, col) => {
+    if (!key) return;
+    const cell = String(row[col] ?? "").replace(/^'(?=[=+\-@\t\r])/, "");
+    const raw = cell.trim();
+    if (!raw) return;
+
+    if (key === "bucket") {
+      const b = findBucketId(raw) || BUCKET_ALIASES[raw.toLowerCase().replace(/\s+(project|ideas|concepts)$/, "").replace(/\s+/g, "_")];
+      if (b) partial.bucket = b;
+      else issues.push(`bucket “${raw}” unknown → parked`);
+    } else if (key === "priority") {
+      const pr = PRIORITY_ALIASES[raw.toLowerCase()];
+      if (pr) partial.priority = pr;
+      else issues.push(`priority “${raw}” unknown → medium`);
+    } else if (key === "status") {
+      if (STATUS_VALUES.includes(raw.toLowerCase())) partial.status = raw.toLowerCase();
+      else issues.push(`status “${raw}” unknown → draft`);
+    } else if (key === "tags") {
+      partial.tags = Array.from(new Set(raw.split(/[,;|\n]/).map(normalizeTag).filter(Boolean)));
+    } else if (key === "links") {
+      partial.links = parseCsvLinks(raw);
+    } else if (key === "createdAt" || key === "updatedAt") {
+      const t = parseCsvDate(raw);
+      if (t) partial[key] = t;
+      else issues.push(`${key} “${raw}” is not a date`);
+    } else {
+      partial[key] = key === "description" || key === "keyNotes" ? cell : raw;
+    }
+  });
+
+  const stored = partial.id ? existing.get(partial.id) : null;
+  if (stored) return { idea: { ...cloneIdea(stored), ...partial }, issues, skip: false, update: true };
+
+  const skip = !partial.title && !partial.description && !partial.keyNotes;
+  if (skip) issues.push("no title, description or notes");
+  if (!partial.title && !skip) partial.title = clampText(partial.description || partial.keyNotes, 60);
+
+  return { idea: newIdea({ ventureCategory: "Other", ...partial }), issues, skip, update: false };
+}
+
+function showCsvImport(rows, fileName) {
+  const [headers, ...data] = rows;
+  const mapping = guessCsvMapping(headers);
+  const wrap = document.createElement("div");
+
+  const fieldOptions = (selected) => [`<option value="">— ignore —</option>`]
+    .concat(CSV_FIELDS.map(f => `<option value="${f.key}" ${f.key === selected ? "selected" : ""}>${escapeHtml(f.label)}</option>`))
+    .join("");
+
+  wrap.innerHTML = `
+    <div class="muted">
+      <b>${escapeHtml(fileName)}</b>: ${data.length} row(s). Map each column to an idea field, check the preview, then import.
+      Rows with an ID matching an existing idea update it.
+    </div>
+    <div class="csv-map" id="csvMap" style="margin-top:12px"></div>
+    <div style="font-weight:900;margin:14px 0 8px">Preview</div>
+    <div class="muted small" id="csvSummary"></div>
+    <div class="csv-preview" id="csvPreview" style="margin-top:8px"></div>
+    <div style="display:flex;gap:10px;flex-wrap:wrap;margin-top:12px">
+      <button class="btn btn-ghost" id="btnCsvBack">Back</button>
+      <button class="btn btn-primary" id="btnCsvImport">Import</button>
+    </div>
+    <div class="muted small" id="csvHint" style="margin-top:10px"></div>
+  `;
+
+  const mapEl = wrap.querySelector("#csvMap");
+  headers.forEach((h, col) => {
+    const row = document.createElement("label");
+    row.className = "csv-map-row";
+    row.innerHTML = `
+      <span>${escapeHtml(h || `Column ${col + 1}`)} <span class="muted small">${escapeHtml(clampText(data[0]?.[col] || "", 40))}</span></span>
+      <select data-col="${col}">${fieldOptions(mapping[col])}</select>
+    `;
+    row.querySelector("select").addEventListener("change", (e) => {
+      mapping[col] = e.target.value;
+      renderPreview();
+    });
+    mapEl.appendChild(row);
+  });
+
+  let results = [];
+  function renderPreview() {
+    results = data.map(r => csvRowToIdea(r, mapping, new Map(APP.state.ideas.map(i => [i.id, i]))));
+    const ok = results.filter(r => !r.skip);
+    const warned = ok.filter(r => r.issues.length).length;
+    const updates = ok.filter(r => r.update).length;
+    const over = wipOverflow(ok.map(r => r.idea)).length;
+    wrap.querySelector("#csvSummary").textContent =
+      `${ok.length} will be imported (${updates} updating existing ideas), ${results.length - ok.length} skipped, ${warned} with warnings.` +
+      (over ? ` ${over} row(s) don't fit a bucket's WIP limit: only the most recently updated stay, the rest go to Parked.` : "");
+
+    const shown = results.slice(0, 50);
+    wrap.querySelector("#csvPreview").innerHTML = `
+      <table>
+        <thead><tr><th>#</th><th>Title</th><th>Bucket</th><th>Venture</th><th>Priority</th><th>Status</th><th>Tags</th><th>Notes</th></tr></thead>
+        <tbody>
+          ${shown.map((r, idx) => `
+            <tr class="${r.skip ? "csv-skip" : r.issues.length ? "csv-warn" : ""}">
+              <td>${idx + 1}</td>
+              <td>${escapeHtml(clampText(r.idea.title, 50))}</td>
+              <td>${escapeHtml(bucketName(r.idea.bucket))}</td>
+              <td>${escapeHtml(r.idea.ventureCategory)}</td>
+              <td>${escapeHtml(r.idea.priority)}</td>
+              <td>${escapeHtml(r.idea.status)}</td>
+              <td>${escapeHtml(r.idea.tags.join(", "))}</td>
+              <td>${r.skip ? "skipped: " : ""}${escapeHtml(r.issues.join("; "))}</td>
+            </tr>`).join("")}
+        </tbody>
+      </table>
+      ${results.length > shown.length ? `<div class="muted small" style="margin-top:6px">…and ${results.length - shown.length} more.</div>` : ""}
+    `;
+    wrap.querySelector("#btnCsvImport").textContent = `Preview import of ${ok.length} idea(s)`;
+    wrap.querySelector("#btnCsvImport").disabled = !ok.length;
+  }
+  renderPreview();
+
+  wrap.querySelector("#btnCsvBack").addEventListener("click", () => showExportImport());
+  wrap.querySelector("#btnCsvImport").addEventListener("click", async () => {
+    const hint = wrap.querySelector("#csvHint");
+    try {
+      // Patch the stored records as they are now, not as the preview saw them.
+      const stored = new Map((await IDB.getAll(APP.stores.ideas)).map(i => [i.id, i]));
+      const ideas = data.map(r => csvRowToIdea(r, mapping, stored)).filter(r => !r.skip).map(r => r.idea);
+      // An update without an Updated column keeps the stored timestamp: it still counts as newer.
+      const plan = await planImport({ meta: { app: "Idea Vault", version: BUNDLE_VERSION, format: "csv" }, ideas, images: [] }, { source: fileName, tiesToImport: true });
+      showImportPreview(plan, { onBack: () => showCsvImport(rows, fileName) });
+    } catch (err) {
+      hint.textContent = "Import failed: " + (err?.message || String(err));
+    }
+  });
+
+  showView("Import CSV", wrap);
+}
+
+// Reads any supported backup file into a bundle: { meta, ideas, images[] } where images
+// carry either a blob (ZIP) or a dataUrl (JSON export).
+async function readImportFile(file) {
+  if (await isEncryptedBackup(file)) file = await decryptBackup(file);
+  if (await isZipFile(file)) {
+    const entries = await ZIP.read(file);
+    if (entries.some(e => e.name === "vault.json")) return readZipBundle(file);
+    if (entries.some(e => /\.md$/i.test(e.name))) return readMarkdownBundle(entries);
+    throw new Error("Archive has neither vault.json nor Markdown notes.");
+  }
+  return JSON.parse(await file.text());
+}
+
+// ---------- Import plan ----------
+// Imports are a dry run first: planImport() classifies every incoming idea against the
+// vault, the preview lets the user settle conflicts, and only applyImportPlan() writes.
+//   new            not in the vault                       -> added
+//   identical      same content (timestamps ignored)      -> skipped
+//   local_newer    differs, local updatedAt is newer      -> default: keep local
+//   imported_newer differs, imported updatedAt is newer   -> default: take imported
+const IMPORT_KIND_LABELS = {
+  new: "New",
+  identical: "Identical",
+  local_newer: "Local is newer",
+  imported_newer: "Imported is newer"
+};
+
+// tiesToImport: an incoming record that differs but has the same updatedAt counts as newer
+// (CSV rows patched onto the stored idea).
+async function planImport(bundle, { source="file", tiesToImport=false } = {}) {
+  const data = upgradeBundle(bundle);
+
+  const local = new Map((await IDB.getAll(APP.stores.ideas)).map(i => [i.id, i]));
+  const items = data.ideas.map(incoming => {
+    const existing = local.get(incoming.id) || null;
+    let kind = "new";
+    let fields = [];
+    if (existing) {
+      fields = changedFields(existing, incoming);
+      if (!fields.length) kind = "identical";
+      else {
+        const a = incoming.updatedAt || 0;
+        const b = existing.updatedAt || 0;
+        kind = a > b || (tiesToImport && a === b) ? "imported_newer" : "local_newer";
+      }
+    }
+    const choice = kind === "local_newer" || kind === "identical" ? "keep" : "take";
+    // Merge picks per field, defaulting to the newer side.
+    const picks = Object.fromEntries(fields.map(k => [k, kind === "imported_newer" ? "imported" : "local"]));
+    return { id: incoming.id, kind, local: existing, incoming, fields, choice, picks };
+  });
+
+  const plan = { source, meta: data.meta || {}, items, images: data.images, local, activeKeepId: null };
+  plan.activeKeepId = importActiveCandidates(plan)[0]?.id || null;
+  return plan;
+}
+
+function resolveImportItem(item) {
+  if (item.kind === "identical" || item.choice === "keep") return null;
+  if (item.choice === "merge" && item.local) {
+    const merged = { ...item.local };
+    for (const k of item.fields) {
+      if (item.picks[k] === "imported") merged[k] = item.incoming[k];
+    }
+    merged.updatedAt = now();
+    return merged;
+  }
+  return item.incoming;
+}
+
+// The vault's ideas as they would be after the import.
+function importResult(plan) {
+  const result = new Map(plan.local);
+  for (const item of plan.items) {
+    const resolved = resolveImportItem(item);
+    if (resolved) result.set(item.id, resolved);
+  }
+  return Array.from(result.values());
+}
+
+// Every idea that would be Active after the import, most recently updated first.
+function importActiveCandidates(plan) {
+  return importResult(plan)
+    .filter(i => i.bucket === "active")
+    .sort((a,b) => (b.updatedAt||0) - (a.updatedAt||0));
+}
+
+async function applyImportPlan(plan) {
+  const report = { added: [], updated: [], merged: [], keptLocal: [], identical: [], demoted: [], images: 0 };
+  const written = [];
+  const incoming = [];
+
+  for (const item of plan.items) {
+    const resolved = resolveImportItem(item);
+    const title = (resolved || item.local || item.incoming).title || "(Untitled)";
+    if (item.kind === "identical") { report.identical.push(title); continue; }
+    if (!resolved) { report.keptLocal.push(title); continue; }
+    incoming.push({ item, resolved, title });
+  }
+
+  // Links and WIP limits are settled against the vault as it will be, imported ideas included.
+  const vault = await IDB.getAll(APP.stores.ideas);
+  const replaced = new Set(incoming.map(x => x.resolved.id));
+  const after = [...vault.filter(i => !replaced.has(i.id)), ...incoming.map(x => x.resolved)];
+  const resolve = refResolver(after);
+  // Whatever doesn't fit a WIP limit (the chosen Active stays) goes to Parked.
+  const over = wipOverflow(after, { keepIds: new Set([plan.activeKeepId]) });
+  const demote = new Set(over.map(i => i.id));
+  report.demoted = over.map(i => i.title || "(Untitled)");
+
+  // Everything lands in one transaction, so a failed import leaves the vault as it was.
+  const ops = [];
+  for (const { item, resolved, title } of incoming) {
+    const prev = resolved.bucket;
+    if (demote.has(resolved.id)) {
+      resolved.bucket = "parked";
+      resolved.updatedAt = now();
+    }
+    ops.push(...await ideaSaveOps(resolved, prev, { resolve }));
+    written.push(resolved);
+    if (item.kind === "new") report.added.push(title);
+    else if (item.choice === "merge") report.merged.push(title);
+    else report.updated.push(title);
+  }
+  for (const idea of vault) {
+    if (demote.has(idea.id) && !replaced.has(idea.id)) ops.push(...await moveToBucketOps(idea, "parked"));
+  }
+
+  // Images only land when an idea written by this import references them.
+  const wanted = new Set(written.flatMap(i => i.imageIds || []));
+  for (const img of plan.images) {
+    if (!wanted.has(img.id)) continue;
+    if (await IDB.get(APP.stores.images, img.id)) continue;
+    const blob = img.blob || (img.dataUrl ? dataUrlToBlob(img.dataUrl) : null);
+    if (!blob) continue;
+    ops.push({ store: APP.stores.images, put: {
+      id: img.id,
+      ideaId: img.ideaId,
+      blob,
+      filename: img.filename,
+      type: img.type,
+      createdAt: img.createdAt || now()
+    } });
+    wanted.delete(img.id);
+    report.images++;
+  }
+
+  await IDB.write(ops);
+  return report;
+}
+
+function renderImportConflict(item, onChange) {
+  const row = document.createElement("div");
+  row.className = "history-row";
+  const title = item.incoming.title || item.local.title || "(Untitled)";
+
+  row.innerHTML = `
+    <div style="display:flex;align-items:flex-start;justify-content:space-between;gap:10px;flex-wrap:wrap">
+      <div>
+        <div style="font-weight:900">${escapeHtml(title)} <span class="badge">${IMPORT_KIND_LABELS[item.kind]}</span></div>
+        <div class="muted small" style="margin-top:4px">
+          Local: ${fmtDate(item.local.updatedAt)} · Imported: ${fmtDate(item.incoming.updatedAt)} · ${item.fields.length} field(s) differ
+        </div>
+      </div>
+      <select data-choice style="width:auto">
+        <option value="keep" ${item.choice === "keep" ? "selected" : ""}>Keep local</option>
+        <option value="take" ${item.choice === "take" ? "selected" : ""}>Take imported</option>
+        <option value="merge" ${item.choice === "merge" ? "selected" : ""}>Merge fields…</option>
+      </select>
+    </div>
+    <table class="import-diff">
+      <thead><tr><th>Field</th><th>Local</th><th>Imported</th></tr></thead>
+      <tbody>
+        ${item.fields.map(k => `
+          <tr>
+            <td>${escapeHtml(FIELD_LABELS[k] || k)}</td>
+            <td><label class="import-pick"><input type="radio" name="pick-${item.id}-${k}" value="local" data-field="${k}" ${item.picks[k] === "local" ? "checked" : ""} /><span>${escapeHtml(clampText(fieldValueText(k, item.local[k]), 300)) || "—"}</span></label></td>
+            <td><label class="import-pick"><input type="radio" name="pick-${item.id}-${k}" value="imported" data-field="${k}" ${item.picks[k] === "imported" ? "checked" : ""} /><span>${escapeHtml(clampText(fieldValueText(k, item.incoming[k]), 300)) || "—"}</span></label></td>
+          </tr>`).join("")}
+      </tbody>
+    </table>
+  `;
+
+  const table = row.querySelector(".import-diff");
+  const syncPickers = () => {
+    table.classList.toggle("merging", item.choice === "merge");
+    row.querySelectorAll("input[type=radio]").forEach(r => { r.disabled = item.choice !== "merge"; });
+  };
+  syncPickers();
+
+  row.querySelector("[data-choice]").addEventListener("change", (e) => {
+    item.choice = e.target.value;
+    syncPickers();
+    onChange();
+  });
+  row.querySelectorAll("input[type=radio]").forEach(r => r.addEventListener("change", () => {
+    item.picks[r.getAttribute("data-field")] = r.value;
+    onChange();
+  }));
+  return row;
+}
+
+function showImportPreview(plan, { onBack } = {}) {
+  const counts = Object.fromEntries(Object.keys(IMPORT_KIND_LABELS).map(k => [k, plan.items.filter(i => i.kind === k).length]));
+  const conflicts = plan.items.filter(i => i.kind === "local_newer" || i.kind === "imported_newer");
+  const added = plan.items.filter(i => i.kind === "new");
+  const wrap = document.createElement("div");
+
+  wrap.innerHTML = `
+    <div class="muted">
+      Dry run of <b>${escapeHtml(plan.source)}</b> — nothing has been written yet.
+    </div>
+    <div style="display:flex;gap:8px;flex-wrap:wrap;margin-top:10px">
+      ${Object.entries(IMPORT_KIND_LABELS).map(([k, label]) => `<span class="badge">${label}: ${counts[k]}</span>`).join("")}
+      <span class="badge">Images: ${plan.images.length}</span>
+    </div>
+    <div id="importActive" style="margin-top:12px"></div>
+    <div style="font-weight:900;margin:14px 0 8px">Conflicts (${conflicts.length})</div>
+    <div class="history-list" id="importConflicts"></div>
+    <details style="margin-top:14px" ${added.length && added.length <= 10 ? "open" : ""}>
+      <summary style="font-weight:900;cursor:pointer">New ideas (${added.length})</summary>
+      <div class="muted small" style="margin-top:6px">${added.map(i => escapeHtml(i.incoming.title || "(Untitled)")).join(" · ") || "None."}</div>
+    </details>
+    <div style="display:flex;gap:10px;flex-wrap:wrap;margin-top:14px">
+      <button class="btn btn-ghost" id="btnImportCancel">Cancel</button>
+      <button class="btn btn-primary" id="btnImportApply">Import</button>
+    </div>
+    <div class="muted small" id="importApplyHint" style="margin-top:10px"></div>
+  `;
+
+  const activeEl = wrap.querySelector("#importActive");
+  const renderActive = () => {
+    const candidates = importActiveCandidates(plan);
+    if (!candidates.some(c => c.id === plan.activeKeepId)) plan.activeKeepId = candidates[0]?.id || null;
+    // Picking which Active stays only makes sense for a limit of 1; other full buckets keep
+    // their most recently updated ideas.
+    const pick = bucketById("active")?.limit === 1 && candidates.length > 1;
+    const over = wipOverflow(importResult(plan), { keepIds: new Set([plan.activeKeepId]) })
+      .filter(i => !pick || i.bucket !== "active");
+    if (!pick && !over.length) {
+      activeEl.innerHTML = "";
+      return;
+    }
+    activeEl.innerHTML = `
+      ${pick ? `<div class="history-row">
+        <div style="font-weight:900;margin-bottom:6px">Only one ${escapeHtml(bucketName("active"))}</div>
+        <div class="muted small" style="margin-bottom:8px">After this import ${candidates.length} ideas would be Active. Keep one; the others move to Parked.</div>
+        <select id="importActiveKeep">
+          ${candidates.map(c => `<option value="${escapeHtml(c.id)}" ${c.id === plan.activeKeepId ? "selected" : ""}>${escapeHtml(c.title || "(Untitled)")} — ${plan.local.has(c.id) ? "in vault" : "new"}, updated ${fmtDate(c.updatedAt)}</option>`).join("")}
+        </select>
+      </div>` : ""}
+      ${over.length ? `<div class="muted small" style="margin-top:8px">Over a bucket's WIP limit, these move to Parked: ${over.map(i => escapeHtml(i.title || "(Untitled)")).join(", ")}</div>` : ""}
+    `;
+    activeEl.querySelector("#importActiveKeep")?.addEventListener("change", (e) => {
+      plan.activeKeepId = e.target.value;
+    });
+  };
+  renderActive();
+
+  const list = wrap.querySelector("#importConflicts");
+  if (!conflicts.length) list.innerHTML = `<div class="muted small">No conflicts.</div>`;
+  for (const item of conflicts) list.appendChild(renderImportConflict(item, renderActive));
+
+  const willWrite = plan.items.filter(i => i.kind !== "identical").length;
+  wrap.querySelector("#btnImportApply").disabled = !willWrite && !plan.images.length;
+
+  wrap.querySelector("#btnImportCancel").addEventListener("click", () => (onBack || showExportImport)());
+  wrap.querySelector("#btnImportApply").addEventListener("click", async (e) => {
+    e.target.disabled = true;
+    wrap.querySelector("#importApplyHint").textContent = "Importing…";
+    try {
+      const report = await UNDO.run("Import", () => withWipLocks(() => applyImportPlan(plan)));
+      await loadAllIdeas();
+      await refreshUI();
+      showImportReport(report, plan.source);
+    } catch (err) {
+      e.target.disabled = false;
+      wrap.querySelector("#importApplyHint").textContent = "Import failed: " + (err?.message || String(err));
+    }
+  });
+
+  showView("Import preview", wrap);
+}
+
+function showImportReport(report, source) {
+  const section = (label, titles) => `
+    <details ${titles.length && titles.length <= 10 ? "open" : ""} style="margin-top:8px">
+      <summary style="cursor:pointer"><b>${label}</b>: ${titles.length}</summary>
+      ${titles.length ? `<div class="muted small" style="margin-top:4px">${titles.map(escapeHtml).join(" · ")}</div>` : ""}
+    </details>`;
+
+  const wrap = document.createElement("div");
+  wrap.innerHTML = `
+    <div class="muted">Import of <b>${escapeHtml(source)}</b> finished. Undo (Ctrl+Z) reverts the whole import.</div>
+    ${section("Added", report.added)}
+    ${section("Updated (imported version)", report.updated)}
+    ${section("Merged", report.merged)}
+    ${section("Kept local", report.keptLocal)}
+    ${section("Identical (skipped)", report.identical)}
+    ${section("Moved to Parked (WIP limits)", report.demoted)}
+    <div style="margin-top:8px"><b>Images added</b>: ${report.images}</div>
+    <div style="margin-top:14px"><button class="btn btn-ghost" id="btnImportDone">Back to Export / Import</button></div>
+  `;
+  wrap.querySelector("#btnImportDone").addEventListener("click", () => showExportImport());
+  showView("Import report", wrap);
+}
+
 async function showExportImport() {
   const wrap = document.createElement("div");
 
@@ -1162,12 +6710,16 @@ async function showExportImport() {
       <div style="border:1px solid rgba(255,255,255,.10);border-radius:14px;padding:12px;background:rgba(255,255,255,.02)">
         <div style="font-weight:900;margin-bottom:8px">Export</div>
         <div class="muted small" style="margin-bottom:10px">
-          Full export includes images (bigger). Light export is ideas-only (smaller).
+          ZIP backup is one file with <b>vault.json</b> plus the original images (no size cap). Markdown Vault is one <b>.md</b> note per idea with its images beside it, ready for Obsidian-style folders. Full export inlines images into JSON (capped at 25MB). Light export is ideas-only (smaller). Encrypted backup is the ZIP backup sealed with a passphrase (<b>.ivault</b>).
         </div>
+        ${LOCK.enabled ? `<div class="muted small" style="margin-bottom:10px">Vault lock is on. Encrypted backup uses your vault passphrase; every other export is plain text.</div>` : ""}
         <div style="display:flex;gap:10px;flex-wrap:wrap">
-          <button class="btn btn-primary" id="btnExportFull">Full Export (with images)</button>
+          <button class="btn btn-primary" id="btnExportZip">ZIP Backup (with images)</button>
+          <button class="btn btn-ghost" id="btnExportFull">Full Export (JSON)</button>
           <button class="btn btn-ghost" id="btnExportLight">Light Export (ideas only)</button>
-          <button class="btn btn-ghost" id="btnExportImagesLoose">Download images (loose)</button>
+          <button class="btn btn-ghost" id="btnExportMarkdown">Markdown Vault (ZIP)</button>
+          <button class="btn btn-ghost" id="btnExportCsv">CSV (spreadsheet)</button>
+          <button class="btn btn-ghost" id="btnExportEncrypted">Encrypted Backup (.ivault)</button>
         </div>
         <div class="muted small" id="exportHint" style="margin-top:10px"></div>
       </div>
@@ -1175,9 +6727,13 @@ async function showExportImport() {
       <div style="border:1px solid rgba(255,255,255,.10);border-radius:14px;padding:12px;background:rgba(255,255,255,.02)">
         <div style="font-weight:900;margin-bottom:8px">Import</div>
         <div class="muted small" style="margin-bottom:10px">
-          Import a previously exported JSON. This will merge by ID; if IDs collide, imported version wins.
+          Import a previously exported JSON, ZIP backup, encrypted backup or Markdown Vault. You get a preview first: new, identical and conflicting ideas, with a field-by-field choice for each conflict.
+        </div>
+        <input type="file" id="importPicker" accept="application/json,application/zip,.json,.zip,.ivault" />
+        <div class="muted small" style="margin:12px 0 8px">
+          Or import a spreadsheet (CSV): you map its columns to idea fields and see a preview before anything is written.
         </div>
-        <input type="file" id="importPicker" accept="application/json" />
+        <input type="file" id="csvPicker" accept="text/csv,.csv,.tsv,.txt" />
         <div class="muted small" id="importHint" style="margin-top:10px"></div>
       </div>
 
@@ -1198,7 +6754,7 @@ async function showExportImport() {
     hint.textContent = "Preparing full export…";
     const res = await getExportBundle({ includeImages:true, hardLimitBytes: 25*1024*1024 });
     if (res.tooLarge) {
-      hint.textContent = `Too large for a single JSON (estimated image data > ${(res.approxBytes/1024/1024).toFixed(1)}MB). Use Light Export + Download images (loose).`;
+      hint.textContent = `Too large for a single JSON (estimated image data > ${(res.approxBytes/1024/1024).toFixed(1)}MB). Use ZIP Backup instead.`;
       return;
     }
     const filename = `idea-vault-full-${new Date().toISOString().slice(0,10)}.json`;
@@ -1210,7 +6766,7 @@ async function showExportImport() {
     hint.textContent = "Preparing light export…";
     const ideas = await IDB.getAll(APP.stores.ideas);
     const bundle = {
-      meta: { app:"Idea Vault", version:1, exportedAt: now(), includeImages:false },
+      meta: { app:"Idea Vault", version: BUNDLE_VERSION, exportedAt: now(), includeImages:false },
       ideas,
       images: []
     };
@@ -1219,27 +6775,75 @@ async function showExportImport() {
     hint.textContent = "Downloaded.";
   });
 
-  wrap.querySelector("#btnExportImagesLoose").addEventListener("click", async () => {
-    hint.textContent = "Preparing image downloads…";
-    const images = await IDB.getAll(APP.stores.images);
-    if (!images.length) {
-      hint.textContent = "No images stored.";
-      return;
+  wrap.querySelector("#btnExportZip").addEventListener("click", async () => {
+    hint.textContent = "Preparing ZIP backup…";
+    try {
+      const zip = await buildZipBackup();
+      downloadBlob(zip, `idea-vault-backup-${new Date().toISOString().slice(0,10)}.zip`);
+      hint.textContent = `Downloaded (${(zip.size/1024/1024).toFixed(1)}MB).`;
+    } catch (err) {
+      hint.textContent = "ZIP backup failed: " + (err?.message || String(err));
     }
-    // Download each image as a file (loose). (No zip to keep zero-deps.)
-    for (const img of images) {
-      const url = URL.createObjectURL(img.blob);
-      const a = document.createElement("a");
-      a.href = url;
-      const base = (img.filename || `image-${img.id}`).replace(/[^\w.\-]+/g, "_");
-      a.download = `${img.ideaId}-${base}`;
-      document.body.appendChild(a);
-      a.click();
-      a.remove();
-      setTimeout(() => URL.revokeObjectURL(url), 1500);
-      await new Promise(r => setTimeout(r, 120)); // small stagger
+  });
+
+  wrap.querySelector("#btnExportEncrypted").addEventListener("click", async () => {
+    let opts;
+    if (LOCK.key) {
+      opts = { key: LOCK.key, salt: LOCK.config.salt, iterations: LOCK.config.iterations };
+    } else {
+      const pass = await promptPassphrase({
+        title: "Encrypted backup",
+        text: "Choose a passphrase for this backup. You need it to import the file; it can’t be recovered.",
+        confirm: true
+      });
+      if (!pass) return;
+      const salt = crypto.getRandomValues(new Uint8Array(16));
+      const iterations = APP.lockKdfIterations;
+      opts = { key: await LOCK.deriveKey(pass, salt, iterations), salt, iterations };
+    }
+    hint.textContent = "Preparing encrypted backup…";
+    try {
+      const file = await buildEncryptedBackup(opts);
+      downloadBlob(file, `idea-vault-backup-${new Date().toISOString().slice(0,10)}.ivault`);
+      hint.textContent = `Downloaded (${(file.size/1024/1024).toFixed(1)}MB).`;
+    } catch (err) {
+      hint.textContent = "Encrypted backup failed: " + (err?.message || String(err));
+    }
+  });
+
+  wrap.querySelector("#btnExportMarkdown").addEventListener("click", async () => {
+    hint.textContent = "Preparing Markdown vault…";
+    try {
+      const zip = await buildMarkdownExport();
+      downloadBlob(zip, `idea-vault-markdown-${new Date().toISOString().slice(0,10)}.zip`);
+      hint.textContent = "Downloaded.";
+    } catch (err) {
+      hint.textContent = "Markdown export failed: " + (err?.message || String(err));
+    }
+  });
+
+  wrap.querySelector("#btnExportCsv").addEventListener("click", async () => {
+    const ideas = await IDB.getAll(APP.stores.ideas);
+    const csv = "\uFEFF" + ideasToCsv(ideas); // BOM so spreadsheet apps detect UTF-8
+    downloadBlob(new Blob([csv], { type: "text/csv" }), `idea-vault-${new Date().toISOString().slice(0,10)}.csv`);
+    hint.textContent = "Downloaded.";
+  });
+
+  wrap.querySelector("#csvPicker").addEventListener("change", async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    try {
+      const rows = parseCsv(await file.text());
+      if (rows.length < 2) {
+        importHint.textContent = "CSV needs a header row and at least one data row.";
+        return;
+      }
+      showCsvImport(rows, file.name);
+    } catch (err) {
+      importHint.textContent = "CSV import failed: " + (err?.message || String(err));
+    } finally {
+      e.target.value = "";
     }
-    hint.textContent = "Downloaded images (loose).";
   });
 
   wrap.querySelector("#autoExportToggle").addEventListener("change", async (e) => {
@@ -1252,58 +6856,524 @@ async function showExportImport() {
 
     try {
       importHint.textContent = "Reading file…";
-      const txt = await file.text();
-      const data = JSON.parse(txt);
+      const data = await readImportFile(file);
+      const plan = await planImport(data, { source: file.name });
+      showImportPreview(plan);
+    } catch (err) {
+      importHint.textContent = "Import failed: " + (err?.message || String(err));
+    } finally {
+      e.target.value = "";
+    }
+  });
 
-      if (!data || !Array.isArray(data.ideas) || !Array.isArray(data.images)) {
-        importHint.textContent = "Invalid export format.";
-        return;
+  showView("Export / Import", wrap);
+}
+
+// ---------- Sync ----------
+// Every idea/image write is stamped with syncSeq (a hybrid clock: wall time, but always
+// increasing) and ideas also get fieldClock { field: seq } for the fields that changed.
+// Deletes leave tombstones. A sync pulls one JSON document from the backend, merges it
+// record by record (ideas field by field, newest clock wins), re-applies the one-Active
+// rule, pushes the result with a compare-and-swap and writes the winners locally.
+//
+// Remote layout: idea-vault.json + images/<id> (image blobs, immutable).
+//   records: { "<store>:<key>": { store, key, seq, deleted, value } }
+const SYNC_STORES = new Set([APP.stores.ideas, APP.stores.images]);
+const SYNC_META_FIELDS = new Set(["syncSeq", "fieldClock"]);
+const SYNC_DOC = "idea-vault.json";
+const SYNC_FORMAT = 1;
+
+function syncConflictError() {
+  const err = new Error("The sync document changed while syncing.");
+  err.code = "conflict";
+  return err;
+}
+
+// Backends: pull() -> { doc, etag }, push(doc, etag) (throws code "conflict" when the
+// etag is stale), getBlob(name) -> Blob | null, putBlob(name, blob).
+const SYNC_ADAPTERS = {
+  // Plain HTTP GET/PUT with ETags: any WebDAV server, or tools/sync-server.js locally.
+  rest(config) {
+    const base = config.url.replace(/\/+$/, "") + "/";
+    const auth = config.username || config.password
+      ? { Authorization: "Basic " + bytesToBase64(new TextEncoder().encode(`${config.username || ""}:${config.password || ""}`)) }
+      : {};
+    const request = (path, init={}) => fetch(base + path, {
+      ...init,
+      cache: "no-store",
+      headers: { ...auth, ...(init.headers || {}) }
+    });
+    const fail = (res) => new Error(`Sync server answered ${res.status} ${res.statusText}`.trim());
+
+    return {
+      async pull() {
+        const res = await request(SYNC_DOC);
+        if (res.status === 404) return { doc: null, etag: null };
+        if (!res.ok) throw fail(res);
+        return { doc: await res.json(), etag: res.headers.get("ETag") };
+      },
+      async push(doc, etag) {
+        const res = await request(SYNC_DOC, {
+          method: "PUT",
+          headers: { "Content-Type": "application/json", ...(etag ? { "If-Match": etag } : { "If-None-Match": "*" }) },
+          body: JSON.stringify(doc)
+        });
+        if (res.status === 412) throw syncConflictError();
+        if (!res.ok) throw fail(res);
+      },
+      async getBlob(name) {
+        const res = await request(name);
+        if (res.status === 404) return null;
+        if (!res.ok) throw fail(res);
+        return res.blob();
+      },
+      async putBlob(name, blob) {
+        let res = await request(name, { method: "PUT", body: blob });
+        if (res.status === 409) {
+          // WebDAV: the images/ collection doesn't exist yet.
+          await request(name.slice(0, name.lastIndexOf("/") + 1), { method: "MKCOL" });
+          res = await request(name, { method: "PUT", body: blob });
+        }
+        if (!res.ok) throw fail(res);
       }
+    };
+  },
 
-      // Put ideas
-      for (const idea of data.ideas) {
-        await IDB.put(APP.stores.ideas, { ...newIdea(), ...idea });
+  // A local folder (File System Access API), e.g. one kept in sync by a cloud drive app.
+  folder(config) {
+    const root = config.handle;
+    const notFound = (err) => err?.name === "NotFoundError";
+    async function fileHandle(path, create=false) {
+      const parts = path.split("/");
+      let dir = root;
+      for (const part of parts.slice(0, -1)) dir = await dir.getDirectoryHandle(part, { create });
+      return dir.getFileHandle(parts[parts.length - 1], { create });
+    }
+    async function readFile(path) {
+      try {
+        return await (await fileHandle(path)).getFile();
+      } catch (err) {
+        if (notFound(err)) return null;
+        throw err;
       }
+    }
+    async function writeFile(path, data) {
+      const w = await (await fileHandle(path, true)).createWritable();
+      await w.write(data);
+      await w.close();
+    }
 
-      // Put images
-      for (const img of data.images) {
-        if (!img.dataUrl) continue;
-        const blob = dataUrlToBlob(img.dataUrl);
-        await IDB.put(APP.stores.images, {
-          id: img.id,
-          ideaId: img.ideaId,
-          blob,
-          filename: img.filename,
-          type: img.type,
-          createdAt: img.createdAt || now()
-        });
+    return {
+      async pull() {
+        const file = await readFile(SYNC_DOC);
+        if (!file) return { doc: null, etag: null };
+        return { doc: JSON.parse(await file.text()), etag: String(file.lastModified) };
+      },
+      async push(doc, etag) {
+        // Folders have no compare-and-swap; re-checking the timestamp narrows the window.
+        const file = await readFile(SYNC_DOC);
+        if ((file ? String(file.lastModified) : null) !== etag) throw syncConflictError();
+        await writeFile(SYNC_DOC, JSON.stringify(doc));
+      },
+      async getBlob(name) {
+        return readFile(name);
+      },
+      async putBlob(name, blob) {
+        await writeFile(name, blob);
+      }
+    };
+  }
+};
+
+// JSON with sorted keys, so equal records compare equal whatever their key order.
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort().filter(k => value[k] !== undefined).map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+// Field-level merge of two versions of one idea: each field comes from the side whose
+// clock for it is newer. Fields neither side has clocked fall back to the newer record.
+function mergeIdeaVersions(a, b) {
+  const ca = a.fieldClock || {};
+  const cb = b.fieldClock || {};
+  const bNewer = (b.updatedAt || 0) > (a.updatedAt || 0) || ((b.updatedAt || 0) === (a.updatedAt || 0) && (b.syncSeq || 0) > (a.syncSeq || 0));
+  const out = {};
+  const clock = {};
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  for (const k of keys) {
+    if (SYNC_META_FIELDS.has(k)) continue;
+    const ta = ca[k] || 0;
+    const tb = cb[k] || 0;
+    const fromB = tb > ta || (tb === ta && bNewer);
+    out[k] = fromB && k in b ? b[k] : (k in a ? a[k] : b[k]);
+    if (ta || tb) clock[k] = Math.max(ta, tb);
+  }
+  out.updatedAt = Math.max(a.updatedAt || 0, b.updatedAt || 0);
+  out.syncSeq = Math.max(a.syncSeq || 0, b.syncSeq || 0);
+  out.fieldClock = clock;
+  return out;
+}
+
+// Entries are { store, key, seq, deleted, value }. A delete wins over edits made before
+// it; an edit made after a delete brings the record back.
+function mergeSyncEntry(local, remote) {
+  if (!local) return remote;
+  if (!remote) return local;
+  if (local.deleted || remote.deleted) {
+    if (local.deleted && remote.deleted) return local.seq >= remote.seq ? local : remote;
+    const del = local.deleted ? local : remote;
+    const live = local.deleted ? remote : local;
+    return del.seq >= live.seq ? del : live;
+  }
+  if (local.store === APP.stores.ideas) {
+    const value = mergeIdeaVersions(local.value, remote.value);
+    return { ...local, seq: value.syncSeq, value };
+  }
+  return local.seq >= remote.seq ? local : remote;
+}
+
+const SYNC = {
+  lastSeq: 0,
+  running: false,
+  timer: null,
+  watching: false,
+
+  nextSeq() {
+    SYNC.lastSeq = Math.max(now(), SYNC.lastSeq + 1);
+    return SYNC.lastSeq;
+  },
+
+  // Put hook: bump syncSeq and the clocks of changed fields; untouched records keep theirs.
+  async stamp(store, value) {
+    const prev = await IDB.get(store, value.id);
+    if (store !== APP.stores.ideas) {
+      return { ...value, syncSeq: prev?.syncSeq && value.syncSeq === prev.syncSeq ? prev.syncSeq : SYNC.nextSeq() };
+    }
+
+    const changed = Object.keys({ ...(prev || {}), ...value })
+      .filter(k => !SYNC_META_FIELDS.has(k) && k !== "updatedAt")
+      .filter(k => !prev || stableStringify(prev[k]) !== stableStringify(value[k]));
+    if (prev && !changed.length) {
+      return { ...value, syncSeq: prev.syncSeq || 0, fieldClock: prev.fieldClock || {} };
+    }
+    const seq = SYNC.nextSeq();
+    const clock = { ...(prev?.fieldClock || {}) };
+    for (const k of changed) clock[k] = seq;
+    return { ...value, syncSeq: seq, fieldClock: clock };
+  },
+
+  // trashed: the idea went to the Trash, so other devices move it to theirs too.
+  tombstoneOps(store, keys, { trashed=false } = {}) {
+    const t = now();
+    return keys.map(key => ({
+      store: APP.stores.tombstones,
+      put: { id: `${store}:${key}`, store, key, deletedAt: t, syncSeq: SYNC.nextSeq(), ...(trashed ? { trashed: true } : {}) }
+    }));
+  },
+
+  async tombstone(store, keys) {
+    await IDB.write(SYNC.tombstoneOps(store, keys));
+  },
+
+  async getConfig() {
+    return IDB.getSetting("syncConfig", { adapter: "", url: "", username: "", password: "", auto: false });
+  },
+
+  async adapter() {
+    const config = await SYNC.getConfig();
+    if (config.adapter === "rest") {
+      if (!config.url) throw new Error("Set a sync server URL first.");
+      return SYNC_ADAPTERS.rest(config);
+    }
+    if (config.adapter === "folder") {
+      const handle = await IDB.getSetting("syncFolder", null);
+      if (!handle) throw new Error("Choose a sync folder first.");
+      const opts = { mode: "readwrite" };
+      if (await handle.queryPermission?.(opts) !== "granted" && await handle.requestPermission?.(opts) !== "granted") {
+        throw new Error("Access to the sync folder was not granted.");
+      }
+      return SYNC_ADAPTERS.folder({ handle });
+    }
+    throw new Error("Sync is not set up.");
+  },
+
+  // -> { "<store>:<key>": entry } for every record and tombstone in this vault.
+  async localEntries() {
+    const entries = {};
+    for (const t of await IDB.getAll(APP.stores.tombstones)) {
+      entries[t.id] = { store: t.store, key: t.key, seq: t.syncSeq, deleted: true, ...(t.trashed ? { trashed: true } : {}), value: null };
+    }
+    for (const store of SYNC_STORES) {
+      for (const rec of await IDB.getAll(store)) {
+        const id = `${store}:${rec.id}`;
+        if (entries[id] && entries[id].seq > (rec.syncSeq || 0)) continue;
+        const { blob, ...value } = rec;
+        entries[id] = { store, key: rec.id, seq: rec.syncSeq || 0, deleted: false, value };
       }
+    }
+    return entries;
+  },
+
+  // A merge can overfill a bucket (two Actives); the most recently moved-in ideas stay and
+  // the rest go to Parked. Limits are this device's bucket settings.
+  enforceWipLimits(merged) {
+    const entries = Object.values(merged).filter(e => e.store === APP.stores.ideas && !e.deleted);
+    const over = wipOverflow(entries.map(e => e.value), {
+      compare: (a, b) => (b.fieldClock?.bucket || 0) - (a.fieldClock?.bucket || 0) || (b.updatedAt || 0) - (a.updatedAt || 0)
+    });
+    for (const v of over) {
+      const e = merged[`${APP.stores.ideas}:${v.id}`];
+      const seq = SYNC.nextSeq();
+      const value = { ...e.value, bucket: "parked", updatedAt: now(), syncSeq: seq, fieldClock: { ...e.value.fieldClock, bucket: seq } };
+      merged[`${e.store}:${e.key}`] = { ...e, seq, value };
+    }
+    return over.length;
+  },
+
+  async applyLocal(entry, adapter) {
+    const tombstoneId = `${entry.store}:${entry.key}`;
+    if (entry.deleted) {
+      const ops = [];
+      // A trash move elsewhere is a trash move here, so the idea can still be restored.
+      const live = entry.trashed && entry.store === APP.stores.ideas ? await IDB.get(entry.store, entry.key) : null;
+      if (live) ops.push({ store: APP.stores.trash, put: { id: live.id, kind: "idea", deletedAt: now(), idea: live } });
+      ops.push(
+        { store: entry.store, delete: entry.key },
+        { store: APP.stores.tombstones, put: { id: tombstoneId, store: entry.store, key: entry.key, deletedAt: now(), syncSeq: entry.seq, ...(entry.trashed ? { trashed: true } : {}) } }
+      );
+      await IDB.write(ops, { stamp: false });
+      return true;
+    }
+    let record = entry.value;
+    if (entry.store === APP.stores.images) {
+      const blob = await adapter.getBlob(`images/${entry.key}`);
+      if (!blob) return false;
+      record = { ...record, blob: new Blob([blob], { type: record.type || blob.type || "" }) };
+    } else {
+      record = migrateIdea(record);
+    }
+    const ops = [{ store: entry.store, put: record }, { store: APP.stores.tombstones, delete: tombstoneId }];
+    // Restored on another device: this device's Trash copy is stale.
+    if (entry.store === APP.stores.ideas) ops.push({ store: APP.stores.trash, delete: entry.key });
+    await IDB.write(ops, { stamp: false });
+    return true;
+  },
 
-      // Active enforcement sanity: if import creates multiple actives, keep the most recently updated as active, demote others to parked
-      const all = await IDB.getAllByIndex(APP.stores.ideas, "bucket", "active");
-      if (all.length > 1) {
-        all.sort((a,b) => (b.updatedAt||0) - (a.updatedAt||0));
-        const keep = all[0];
-        for (let i=1;i<all.length;i++) {
-          all[i].bucket = "parked";
-          all[i].updatedAt = now();
-          await IDB.put(APP.stores.ideas, all[i]);
+  async run() {
+    if (SYNC.running) return null;
+    SYNC.running = true;
+    setSaveStatus("saving", "Syncing…");
+    try {
+      await flushAutosave();
+      const adapter = await SYNC.adapter();
+      for (let attempt = 0; attempt < 3; attempt++) {
+        try {
+          const report = await SYNC.once(adapter);
+          await IDB.setSetting("syncState", { lastSyncAt: now(), lastError: "" });
+          setSaveStatus("ok", "Synced");
+          return report;
+        } catch (err) {
+          if (err.code !== "conflict") throw err;
         }
-        // keep remains active
-        await IDB.put(APP.stores.ideas, keep);
       }
+      throw new Error("The sync document kept changing during sync. Try again.");
+    } catch (err) {
+      await IDB.setSetting("syncState", { ...(await IDB.getSetting("syncState", {})), lastError: err?.message || String(err) });
+      setSaveStatus("offline", "Sync failed");
+      throw err;
+    } finally {
+      SYNC.running = false;
+    }
+  },
+
+  async once(adapter) {
+    const { doc, etag } = await adapter.pull();
+    if (doc && doc.format > SYNC_FORMAT) {
+      throw new Error(`The sync data was written by a newer version of Idea Vault (format v${doc.format}). Update this app first.`);
+    }
+    const remote = doc?.records || {};
+    const local = await SYNC.localEntries();
+    for (const e of Object.values(remote)) SYNC.lastSeq = Math.max(SYNC.lastSeq, e.seq || 0);
+
+    const cutoff = now() - APP.syncTombstoneDays*24*60*60*1000;
+    const merged = {};
+    for (const id of new Set([...Object.keys(local), ...Object.keys(remote)])) {
+      const entry = mergeSyncEntry(local[id], remote[id]);
+      // Long-settled deletes are forgotten on both sides.
+      if (entry.deleted && entry.seq < cutoff) continue;
+      merged[id] = entry;
+    }
+    const demoted = SYNC.enforceWipLimits(merged);
+
+    const same = (a, b) => !!a && !!b && stableStringify(a) === stableStringify(b);
+    const report = { pulled: 0, pushed: 0, demoted, missingImages: 0 };
+
+    // Upload image blobs the backend hasn't got before the document points at them.
+    for (const [id, entry] of Object.entries(merged)) {
+      if (entry.store !== APP.stores.images || entry.deleted) continue;
+      if (remote[id] && !remote[id].deleted) continue;
+      const img = await IDB.get(APP.stores.images, entry.key);
+      if (img?.blob) await adapter.putBlob(`images/${entry.key}`, img.blob);
+    }
+
+    const changedRemote = Object.keys(merged).filter(id => !same(merged[id], remote[id]));
+    const droppedRemote = Object.keys(remote).some(id => !merged[id]);
+    if (changedRemote.length || droppedRemote) {
+      await adapter.push({ app: "Idea Vault", format: SYNC_FORMAT, updatedAt: now(), records: merged }, etag);
+      report.pushed = changedRemote.length;
+    }
+
+    await withWipLocks(async () => {
+      for (const [id, entry] of Object.entries(merged)) {
+        if (same(entry, local[id])) continue;
+        if (!local[id] && entry.deleted) continue;
+        if (await SYNC.applyLocal(entry, adapter)) report.pulled++;
+        else report.missingImages++;
+      }
+    });
+    for (const t of await IDB.getAll(APP.stores.tombstones)) {
+      if (!merged[t.id]) await IDB.delete(APP.stores.tombstones, t.id);
+    }
+    return report;
+  },
 
+  async syncAndRefresh() {
+    const report = await SYNC.run();
+    if (!report) return null;
+    if (report.pulled) {
       await loadAllIdeas();
       await refreshUI();
-      importHint.textContent = "Import complete.";
-    } catch (err) {
-      importHint.textContent = "Import failed: " + (err?.message || String(err));
-    } finally {
-      e.target.value = "";
+      refreshOpenView();
+    }
+    return report;
+  },
+
+  // Auto sync: on start, every syncIntervalMs and when the network comes back.
+  async start() {
+    clearInterval(SYNC.timer);
+    SYNC.timer = null;
+    const config = await SYNC.getConfig();
+    if (!config.auto || !config.adapter) return;
+    const tick = () => SYNC.syncAndRefresh().catch(err => console.warn("Sync failed:", err));
+    SYNC.timer = setInterval(tick, APP.syncIntervalMs);
+    if (!SYNC.watching) {
+      SYNC.watching = true;
+      window.addEventListener("online", () => { if (SYNC.timer) tick(); });
     }
+    tick();
+  }
+};
+
+// ---------- Trash view ----------
+async function showTrash() {
+  const entries = (await IDB.getAll(APP.stores.trash)).sort((a,b) => b.deletedAt - a.deletedAt);
+  const days = await getTrashRetentionDays();
+  const dayMs = 24*60*60*1000;
+
+  const wrap = document.createElement("div");
+  wrap.innerHTML = `
+    <div style="display:flex;align-items:center;justify-content:space-between;gap:10px;flex-wrap:wrap">
+      <div class="muted">Deleted ideas stay here for ${days} day(s), then they are purged for good. Change this in Settings.</div>
+      <button class="btn btn-danger" id="btnEmptyTrash" ${entries.length ? "" : "disabled"}>Empty Trash</button>
+    </div>
+    <div style="margin-top:12px;display:flex;flex-direction:column;gap:10px" id="trashList"></div>
+  `;
+  const list = wrap.querySelector("#trashList");
+
+  if (!entries.length) {
+    list.innerHTML = `<div class="muted small">Trash is empty.</div>`;
+  }
+
+  for (const entry of entries) {
+    const left = Math.max(0, Math.ceil((entry.deletedAt + days*dayMs - now()) / dayMs));
+    const isSnapshot = entry.kind === "snapshot";
+    const title = isSnapshot
+      ? `Vault snapshot (${entry.ideas.length} idea${entry.ideas.length === 1 ? "" : "s"})`
+      : (entry.idea.title || "(Untitled)");
+    const from = isSnapshot ? "Reset Vault" : `Bucket: <b>${escapeHtml(bucketName(entry.idea.bucket))}</b>`;
+
+    const row = document.createElement("div");
+    row.style.border = "1px solid rgba(255,255,255,.10)";
+    row.style.borderRadius = "14px";
+    row.style.padding = "12px";
+    row.style.background = "rgba(255,255,255,.02)";
+    row.innerHTML = `
+      <div style="display:flex;align-items:flex-start;justify-content:space-between;gap:10px">
+        <div>
+          <div style="font-weight:900">${escapeHtml(title)}</div>
+          <div style="margin-top:6px;color:rgba(142,160,181,.95);font-size:12px">
+            ${from} · Deleted: ${fmtDate(entry.deletedAt)} · Purged in ${left} day(s)
+          </div>
+        </div>
+        <div style="display:flex;gap:8px;flex-wrap:wrap;justify-content:flex-end">
+          <button class="btn btn-primary" data-act="restore">Restore</button>
+          <button class="btn btn-danger" data-act="purge">Purge</button>
+        </div>
+      </div>
+    `;
+
+    row.querySelector('[data-act="restore"]').addEventListener("click", async () => {
+      await UNDO.run("Restore from Trash", () => restoreFromTrash(entry.id), { focusId: isSnapshot ? null : entry.idea.id });
+      if (isSnapshot) {
+        await loadSmartViews();
+        await loadBuckets();
+        await loadVentures();
+      }
+      await loadAllIdeas();
+      if (!isSnapshot) {
+        activateNavBucket(entry.idea.bucket);
+        APP.state.selectedId = entry.idea.id;
+        activateNavView("trash");
+      }
+      await refreshUI();
+      await showTrash();
+    });
+
+    row.querySelector('[data-act="purge"]').addEventListener("click", () => {
+      showDialog({
+        title: "Purge permanently?",
+        body: `<div style="color:rgba(234,241,255,.92);line-height:1.5">
+          <b>${escapeHtml(title)}</b> and its images will be deleted for good.
+        </div>`,
+        actions: [
+          { label: "Cancel", kind: "btn-ghost", onClick: () => {} },
+          { label: "Purge", kind: "btn-danger", onClick: async () => {
+            await purgeTrashEntry(entry.id);
+            await renderTrashCount();
+            await updateStorageUI();
+            await showTrash();
+          }}
+        ]
+      });
+    });
+
+    list.appendChild(row);
+  }
+
+  wrap.querySelector("#btnEmptyTrash").addEventListener("click", () => {
+    showDialog({
+      title: "Empty Trash?",
+      body: `<div style="color:rgba(234,241,255,.92);line-height:1.5">
+        This permanently deletes <b>${entries.length}</b> item(s) and their images.
+      </div>`,
+      actions: [
+        { label: "Cancel", kind: "btn-ghost", onClick: () => {} },
+        { label: "Empty Trash", kind: "btn-danger", onClick: async () => {
+          for (const entry of entries) {
+            await purgeTrashEntry(entry.id);
+          }
+          await renderTrashCount();
+          await updateStorageUI();
+          await showTrash();
+        }}
+      ]
+    });
   });
 
-  showView("Export / Import", wrap);
+  showView("Trash", wrap);
 }
 
 // ---------- Settings ----------
@@ -1332,6 +7402,13 @@ async function updateStorageUI() {
 async function showSettings() {
   const wrap = document.createElement("div");
   const reminder = await IDB.getSetting("autoExportReminder", true);
+  const retention = await getTrashRetentionDays();
+  const syncConfig = await SYNC.getConfig();
+  const syncState = await IDB.getSetting("syncState", {});
+  const syncFolder = await IDB.getSetting("syncFolder", null);
+  const revisitNotify = await IDB.getSetting("revisitNotify", false);
+  const canNotify = "Notification" in window && "serviceWorker" in navigator;
+  const canPickFolder = typeof window.showDirectoryPicker === "function";
 
   wrap.innerHTML = `
     <div style="display:flex;flex-direction:column;gap:12px">
@@ -1343,6 +7420,89 @@ async function showSettings() {
         <button class="btn btn-danger" id="btnReset">Reset Vault</button>
       </div>
 
+      <div style="border:1px solid rgba(255,255,255,.10);border-radius:14px;padding:12px;background:rgba(255,255,255,.02)">
+        <div style="font-weight:900;margin-bottom:8px">Vault lock</div>
+        ${LOCK.enabled ? `
+          <div class="muted small" style="margin-bottom:10px">
+            On. Ideas, images, history, Trash and settings are encrypted with your passphrase (AES-GCM). Buckets, dates and IDs stay readable so the vault can be indexed.
+            There is no recovery: a forgotten passphrase means the data is gone.
+          </div>
+          <label style="display:flex;align-items:center;gap:10px;margin:0 0 10px">
+            <span class="muted">Lock after</span>
+            <input type="number" id="autoLockMinutes" min="0" max="1440" value="${LOCK.config.autoLockMinutes}" style="width:90px" />
+            <span class="muted">idle minute(s) (0 = never)</span>
+          </label>
+          <div style="display:flex;gap:10px;flex-wrap:wrap">
+            <button class="btn btn-primary" id="btnLockNow">Lock now</button>
+            <button class="btn btn-ghost" id="btnChangePassphrase">Change passphrase</button>
+            <button class="btn btn-danger" id="btnRemoveLock">Turn off lock</button>
+          </div>
+        ` : `
+          <div class="muted small" style="margin-bottom:10px">
+            Off. Everything is stored unencrypted in this browser profile. Turning the lock on encrypts the vault with a passphrase and asks for it on every start.
+          </div>
+          <button class="btn btn-primary" id="btnSetLock">Set passphrase…</button>
+        `}
+        <div class="muted small" id="lockHint" style="margin-top:10px"></div>
+      </div>
+
+      <div style="border:1px solid rgba(255,255,255,.10);border-radius:14px;padding:12px;background:rgba(255,255,255,.02)">
+        <div style="font-weight:900;margin-bottom:8px">Sync</div>
+        <div class="muted small" style="margin-bottom:10px">
+          Keeps several devices in step through a backend you control. Edits to different fields of the same idea are merged; deletes travel too.
+          Data on the backend is not encrypted by the vault lock.
+        </div>
+        <label for="syncAdapter">Backend</label>
+        <select id="syncAdapter">
+          <option value="" ${!syncConfig.adapter ? "selected" : ""}>Off</option>
+          <option value="rest" ${syncConfig.adapter === "rest" ? "selected" : ""}>Server (REST / WebDAV)</option>
+          <option value="folder" ${syncConfig.adapter === "folder" ? "selected" : ""} ${canPickFolder ? "" : "disabled"}>Folder on this device${canPickFolder ? "" : " (not supported by this browser)"}</option>
+        </select>
+        <div id="syncRest" style="margin-top:10px">
+          <label for="syncUrl">Server URL</label>
+          <input id="syncUrl" type="url" value="${escapeHtml(syncConfig.url || "")}" placeholder="https://dav.example.com/idea-vault/" />
+          <div style="display:flex;gap:10px;margin-top:8px">
+            <input id="syncUser" type="text" value="${escapeHtml(syncConfig.username || "")}" placeholder="Username (optional)" autocomplete="username" />
+            <input id="syncPass" type="password" value="${escapeHtml(syncConfig.password || "")}" placeholder="Password (optional)" autocomplete="current-password" />
+          </div>
+        </div>
+        <div id="syncFolderRow" style="margin-top:10px;display:flex;align-items:center;gap:10px">
+          <button class="btn btn-ghost" id="btnSyncFolder">Choose folder…</button>
+          <span class="muted small" id="syncFolderName">${syncFolder ? escapeHtml(syncFolder.name) : "No folder chosen"}</span>
+        </div>
+        <label style="display:flex;align-items:center;gap:10px;margin:10px 0 0">
+          <input type="checkbox" id="syncAuto" ${syncConfig.auto ? "checked" : ""} />
+          <span class="muted">Sync automatically (on start, every few minutes and when back online)</span>
+        </label>
+        <div style="display:flex;gap:10px;flex-wrap:wrap;margin-top:10px">
+          <button class="btn btn-ghost" id="btnSyncSave">Save</button>
+          <button class="btn btn-primary" id="btnSyncNow">Sync now</button>
+        </div>
+        <div class="muted small" id="syncHint" style="margin-top:10px">
+          ${syncState.lastError ? `Last sync failed: ${escapeHtml(syncState.lastError)}` : (syncState.lastSyncAt ? `Last synced: ${fmtDate(syncState.lastSyncAt)}` : "Never synced.")}
+        </div>
+      </div>
+
+      <div style="border:1px solid rgba(255,255,255,.10);border-radius:14px;padding:12px;background:rgba(255,255,255,.02)">
+        <div style="font-weight:900;margin-bottom:8px">Resurfacing</div>
+        <div class="muted small">
+          Ideas moved into a bucket with revisit days (Parked and Long-Term to start with; see <b>Manage buckets</b>) come up in <b>Review</b> after that many days. Each snooze doubles the wait.
+        </div>
+        <label style="display:flex;align-items:center;gap:10px;margin:10px 0 0">
+          <input type="checkbox" id="revisitNotify" ${revisitNotify && canNotify && Notification.permission === "granted" ? "checked" : ""} ${canNotify ? "" : "disabled"} />
+          <span class="muted">${canNotify ? "Notify me once a day when ideas are due (local notification, no server)" : "Notifications aren’t available in this browser"}</span>
+        </label>
+      </div>
+
+      <div style="border:1px solid rgba(255,255,255,.10);border-radius:14px;padding:12px;background:rgba(255,255,255,.02)">
+        <div style="font-weight:900;margin-bottom:8px">Trash</div>
+        <label style="display:flex;align-items:center;gap:10px;margin:0">
+          <span class="muted">Purge deleted items after</span>
+          <input type="number" id="trashRetention" min="1" max="3650" value="${retention}" style="width:90px" />
+          <span class="muted">day(s)</span>
+        </label>
+      </div>
+
       <div style="border:1px solid rgba(255,255,255,.10);border-radius:14px;padding:12px;background:rgba(255,255,255,.02)">
         <div style="font-weight:900;margin-bottom:8px">Offline</div>
         <div class="muted small" id="offlineState"></div>
@@ -1363,27 +7523,185 @@ async function showSettings() {
     : "You are offline. App should continue working if previously loaded.";
 
   wrap.querySelector("#btnReset").addEventListener("click", async () => {
+    const reset = async (keepSnapshot) => {
+      const wipeRemote = !!$("#resetRemote")?.checked;
+      SAVES.clear();
+      await resetVault({ keepSnapshot, wipeRemote });
+      APP.state.selectedId = null;
+      APP.state.smartViewId = null;
+      await loadSmartViews();
+      await loadBuckets();
+      await loadVentures();
+      await loadAllIdeas();
+      await FOCUS.load();
+      await refreshUI();
+      await updateStorageUI();
+      if (wipeRemote) {
+        SYNC.syncAndRefresh().catch(err => showToast("Sync failed: " + (err?.message || String(err))));
+      }
+    };
     showDialog({
       title: "Reset Vault",
       body: `<div style="color:rgba(234,241,255,.92);line-height:1.5">
-        This will permanently clear <b>all ideas</b>, <b>all images</b>, and <b>settings</b> from this device/browser.
-        <div style="margin-top:10px" class="muted small">Tip: Export first.</div>
+        This clears <b>all ideas</b>, <b>all images</b>, and <b>settings</b> from this device/browser.
+        <div style="margin-top:10px" class="muted small">
+          “Reset, keep snapshot” moves everything into the Trash as one recoverable snapshot (purged after the retention period).
+          “Reset permanently” also empties the Trash. Tip: Export first.
+        </div>
+        ${syncConfig.adapter ? `
+          <label style="display:flex;align-items:center;gap:10px;margin:10px 0 0">
+            <input type="checkbox" id="resetRemote" />
+            <span>Also delete from synced devices</span>
+          </label>
+          <div class="muted small">Unticked, only this device is reset and it stops syncing.</div>
+        ` : ""}
       </div>`,
       actions: [
         { label: "Cancel", kind: "btn-ghost", onClick: () => {} },
-        { label: "Reset", kind: "btn-danger", onClick: async () => {
-          await IDB.clear(APP.stores.images);
-          await IDB.clear(APP.stores.ideas);
-          await IDB.clear(APP.stores.settings);
-          APP.state.selectedId = null;
-          await loadAllIdeas();
-          await refreshUI();
-          await updateStorageUI();
-        }}
+        { label: "Reset, keep snapshot", kind: "btn-primary", onClick: () => reset(true) },
+        { label: "Reset permanently", kind: "btn-danger", onClick: () => reset(false) }
       ]
     });
   });
 
+  wrap.querySelector("#trashRetention").addEventListener("change", async (e) => {
+    const days = Math.round(Number(e.target.value));
+    if (!days || days < 1) {
+      e.target.value = retention;
+      return;
+    }
+    await IDB.setSetting("trashRetentionDays", days);
+  });
+
+  wrap.querySelector("#revisitNotify").addEventListener("change", async (e) => {
+    if (e.target.checked && Notification.permission !== "granted") {
+      const permission = await Notification.requestPermission();
+      if (permission !== "granted") {
+        e.target.checked = false;
+        showToast("Notifications are blocked for this site.");
+        return;
+      }
+    }
+    await IDB.setSetting("revisitNotify", e.target.checked);
+    if (e.target.checked) await REVISIT.notify();
+  });
+
+  const syncHint = wrap.querySelector("#syncHint");
+  const syncAdapter = wrap.querySelector("#syncAdapter");
+  function syncRows() {
+    wrap.querySelector("#syncRest").classList.toggle("hidden", syncAdapter.value !== "rest");
+    wrap.querySelector("#syncFolderRow").classList.toggle("hidden", syncAdapter.value !== "folder");
+  }
+  syncAdapter.addEventListener("change", syncRows);
+  syncRows();
+
+  async function saveSyncConfig() {
+    await IDB.setSetting("syncConfig", {
+      adapter: syncAdapter.value,
+      url: wrap.querySelector("#syncUrl").value.trim(),
+      username: wrap.querySelector("#syncUser").value.trim(),
+      password: wrap.querySelector("#syncPass").value,
+      auto: wrap.querySelector("#syncAuto").checked
+    });
+  }
+
+  wrap.querySelector("#btnSyncFolder").addEventListener("click", async () => {
+    try {
+      const handle = await window.showDirectoryPicker({ mode: "readwrite" });
+      await IDB.setSetting("syncFolder", handle);
+      wrap.querySelector("#syncFolderName").textContent = handle.name;
+    } catch (err) {
+      if (err?.name !== "AbortError") syncHint.textContent = "Couldn’t open the folder: " + (err?.message || String(err));
+    }
+  });
+
+  wrap.querySelector("#btnSyncSave").addEventListener("click", async () => {
+    await saveSyncConfig();
+    await SYNC.start();
+    syncHint.textContent = syncAdapter.value ? "Saved." : "Sync is off.";
+  });
+
+  wrap.querySelector("#btnSyncNow").addEventListener("click", async () => {
+    await saveSyncConfig();
+    syncHint.textContent = "Syncing…";
+    try {
+      const report = await SYNC.syncAndRefresh();
+      if (!report) {
+        syncHint.textContent = "A sync is already running.";
+        return;
+      }
+      const parts = [`${report.pulled} change(s) received`, `${report.pushed} sent`];
+      if (report.demoted) parts.push(`${report.demoted} idea(s) over a WIP limit moved to Parked`);
+      if (report.missingImages) parts.push(`${report.missingImages} image(s) not on the backend yet`);
+      syncHint.textContent = `Synced: ${parts.join(", ")}.`;
+    } catch (err) {
+      syncHint.textContent = "Sync failed: " + (err?.message || String(err));
+    }
+  });
+
+  const lockHint = wrap.querySelector("#lockHint");
+
+  // Changing or removing the lock asks for the current passphrase first.
+  async function confirmCurrentPassphrase() {
+    const pass = await promptPassphrase({ title: "Current passphrase", text: "Enter your current vault passphrase." });
+    if (pass === null) return false;
+    if (await LOCK.checkPassphrase(pass)) return true;
+    lockHint.textContent = "Wrong passphrase.";
+    return false;
+  }
+
+  async function applyPassphrase(pass, doneText) {
+    lockHint.textContent = "Re-encrypting the vault…";
+    try {
+      await LOCK.setPassphrase(pass);
+      if (pass) LOCK.watchIdle();
+      await showSettings();
+      showToast(doneText);
+    } catch (err) {
+      lockHint.textContent = "Failed: " + (err?.message || String(err));
+    }
+  }
+
+  async function askNewPassphrase() {
+    const pass = await promptPassphrase({
+      title: "New passphrase",
+      text: "At least 8 characters. Write it down somewhere safe: without it the vault can’t be opened.",
+      confirm: true
+    });
+    if (pass && pass.length < 8) {
+      lockHint.textContent = "Passphrase is too short (8 characters minimum).";
+      return null;
+    }
+    return pass;
+  }
+
+  wrap.querySelector("#btnSetLock")?.addEventListener("click", async () => {
+    const pass = await askNewPassphrase();
+    if (pass) await applyPassphrase(pass, "Vault lock is on.");
+  });
+
+  wrap.querySelector("#btnChangePassphrase")?.addEventListener("click", async () => {
+    if (!(await confirmCurrentPassphrase())) return;
+    const pass = await askNewPassphrase();
+    if (pass) await applyPassphrase(pass, "Passphrase changed.");
+  });
+
+  wrap.querySelector("#btnRemoveLock")?.addEventListener("click", async () => {
+    if (!(await confirmCurrentPassphrase())) return;
+    await applyPassphrase(null, "Vault lock is off. Data is stored unencrypted.");
+  });
+
+  wrap.querySelector("#btnLockNow")?.addEventListener("click", () => LOCK.lockNow());
+
+  wrap.querySelector("#autoLockMinutes")?.addEventListener("change", async (e) => {
+    const minutes = Math.round(Number(e.target.value));
+    if (!Number.isFinite(minutes) || minutes < 0) {
+      e.target.value = LOCK.config.autoLockMinutes;
+      return;
+    }
+    await LOCK.setAutoLockMinutes(minutes);
+  });
+
   showView("Settings", wrap);
 }
 
@@ -1393,13 +7711,18 @@ function bindUIRefs() {
     // Top
     btnNewIdea: $("#btnNewIdea"),
     btnHelp: $("#btnHelp"),
+    btnFocus: $("#btnFocus"),
     saveStatus: $("#saveStatus"),
 
     // Sidebar counts
-    countActive: $("#countActive"),
-    countParked: $("#countParked"),
-    countLong: $("#countLong"),
-    countSparks: $("#countSparks"),
+    bucketList: $("#bucketList"),
+    btnManageBuckets: $("#btnManageBuckets"),
+    countActions: $("#countActions"),
+    countReview: $("#countReview"),
+    countTrash: $("#countTrash"),
+    smartViewList: $("#smartViewList"),
+    btnSaveSmartView: $("#btnSaveSmartView"),
+    btnManageSmartViews: $("#btnManageSmartViews"),
     offlineIndicator: $("#offlineIndicator"),
     storageUsage: $("#storageUsage"),
 
@@ -1409,9 +7732,26 @@ function bindUIRefs() {
     emptyState: $("#emptyState"),
     btnEmptyNew: $("#btnEmptyNew"),
 
+    bulkBar: $("#bulkBar"),
+    bulkCount: $("#bulkCount"),
+    btnBulkAll: $("#btnBulkAll"),
+    btnBulkClear: $("#btnBulkClear"),
+    bulkBucket: $("#bulkBucket"),
+    bulkPriority: $("#bulkPriority"),
+    bulkStatus: $("#bulkStatus"),
+    bulkVenture: $("#bulkVenture"),
+    btnBulkVenture: $("#btnBulkVenture"),
+    bulkTag: $("#bulkTag"),
+    btnBulkTagAdd: $("#btnBulkTagAdd"),
+    btnBulkTagRemove: $("#btnBulkTagRemove"),
+    btnBulkExport: $("#btnBulkExport"),
+    btnBulkDelete: $("#btnBulkDelete"),
+
     searchInput: $("#searchInput"),
     btnClearSearch: $("#btnClearSearch"),
     filterVenture: $("#filterVenture"),
+    ventureList: $("#ventureList"),
+    tagList: $("#tagList"),
     filterPriority: $("#filterPriority"),
     filterTag: $("#filterTag"),
     sortSelect: $("#sortSelect"),
@@ -1430,6 +7770,8 @@ function bindUIRefs() {
     tagInput: $("#tagInput"),
     tagChips: $("#tagChips"),
     linksList: $("#linksList"),
+    actionsList: $("#actionsList"),
+    btnAddAction: $("#btnAddAction"),
     btnAddLink: $("#btnAddLink"),
     imagePicker: $("#imagePicker"),
     imageGrid: $("#imageGrid"),
@@ -1437,6 +7779,8 @@ function bindUIRefs() {
     btnPromote: $("#btnPromote"),
     btnParkActive: $("#btnParkActive"),
     btnDelete: $("#btnDelete"),
+    btnHistory: $("#btnHistory"),
+    staleBanner: $("#staleBanner"),
 
     // overlays
     drawerOverlay: $("#drawerOverlay"),
@@ -1444,7 +7788,8 @@ function bindUIRefs() {
     helpOverlay: $("#helpOverlay"),
     btnHelpClose: $("#btnHelpClose"),
     viewOverlay: $("#viewOverlay"),
-    btnViewClose: $("#btnViewClose")
+    btnViewClose: $("#btnViewClose"),
+    toast: $("#toast")
   };
 }
 
@@ -1460,13 +7805,11 @@ async function registerSW() {
 
 function watchOnline() {
   function update() {
-    if (navigator.onLine) {
-      APP.ui.offlineIndicator.textContent = "Offline-ready";
-      setSaveStatus("ok", "Saved");
-    } else {
-      APP.ui.offlineIndicator.textContent = "Offline";
-      setSaveStatus("offline", "Saved (offline)");
-    }
+    APP.ui.offlineIndicator.textContent = navigator.onLine ? "Offline-ready" : "Offline";
+    // A pending or failed save keeps its own status.
+    if (SAVES.failed || SAVES.dirty.size) return;
+    if (navigator.onLine) setSaveStatus("ok", "Saved");
+    else setSaveStatus("offline", "Saved (offline)");
   }
   window.addEventListener("online", update);
   window.addEventListener("offline", update);
@@ -1482,15 +7825,52 @@ async function maybeShowExportReminderInSettings() {
 
 async function init() {
   bindUIRefs();
-  await IDB.open();
+  try {
+    await IDB.open();
+  } catch (err) {
+    const msg = err?.name === "VersionError"
+      ? "This vault was upgraded by a newer version of Idea Vault. Reload to get the latest app (if it persists, clear the site cache)."
+      : (err?.message || String(err));
+    showDialog({
+      title: "Can’t open the vault",
+      body: `<div style="color:rgba(234,241,255,.92);line-height:1.5">${escapeHtml(msg)}</div>`,
+      actions: [{ label: "Reload", kind: "btn-primary", onClick: () => location.reload() }]
+    });
+    return;
+  }
+  await LOCK.load();
+  if (LOCK.enabled) {
+    await showLockScreen();
+    LOCK.watchIdle();
+  }
   await registerSW();
+  navigator.serviceWorker?.addEventListener("message", (e) => {
+    if (e.data?.type === "open-view") openViewFromRequest(e.data.view);
+  });
   watchOnline();
+  TABS.init();
+
+  // "Save failed — retry" is clickable; closing with unsaved edits asks first.
+  APP.ui.saveStatus.addEventListener("click", () => {
+    if (SAVES.failed) flushAutosave();
+  });
+  window.addEventListener("beforeunload", (e) => {
+    if (!SAVES.dirty.size) return;
+    e.preventDefault();
+    e.returnValue = "";
+  });
 
   bindNav();
   bindForm();
+  bindBulkBar();
 
   // Load data
+  await purgeExpiredTrash();
+  await loadSmartViews();
+  await loadBuckets();
+  await loadVentures();
   await loadAllIdeas();
+  await FOCUS.load();
 
   // If nothing exists, create a clean starter idea so the UI feels alive (Parked).
   if (!APP.state.ideas.length) {
@@ -1503,7 +7883,7 @@ async function init() {
       priority: "low",
       nextAction: "Add your first real idea."
     });
-    await saveIdea(starter, { skipActiveRuleCheck: true });
+    await saveIdea(starter, { skipWipCheck: true });
     await loadAllIdeas();
   }
 
@@ -1517,6 +7897,15 @@ async function init() {
   await refreshUI();
   await updateStorageUI();
   await maybeShowExportReminderInSettings();
+  await SYNC.start();
+  await REVISIT.start();
+
+  // A notification click may have opened the app on a view (?view=review).
+  const requestedView = new URLSearchParams(location.search).get("view");
+  if (requestedView) {
+    history.replaceState(null, "", location.pathname);
+    openViewFromRequest(requestedView);
+  }
 
   // Keep storage usage updated occasionally
   setInterval(updateStorageUI, 15000);
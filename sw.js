@@ -1,5 +1,5 @@
 /* Idea Vault Service Worker */
-const CACHE_VERSION = "idea-vault-v1";
+const CACHE_VERSION = "idea-vault-v2";
 const STATIC_CACHE = `${CACHE_VERSION}-static`;
 const NAV_CACHE = `${CACHE_VERSION}-nav`;
 
@@ -39,6 +39,9 @@ self.addEventListener("fetch", (event) => {
   // Only handle same-origin requests (GitHub Pages)
   if (url.origin !== self.location.origin) return;
 
+  // Sync traffic (PUT, MKCOL, no-store GETs) always goes to the network untouched
+  if (req.method !== "GET" || req.cache === "no-store") return;
+
   // Navigation: network-first, fallback to cached index.html
   if (req.mode === "navigate") {
     event.respondWith((async () => {
@@ -77,3 +80,19 @@ self.addEventListener("fetch", (event) => {
     }
   })());
 });
+
+// Review reminders: focus an open tab and ask it to show the view, or open one on it.
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const view = event.notification.data?.view || "";
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+    const client = windows.find((c) => new URL(c.url).origin === self.location.origin);
+    if (client) {
+      await client.focus();
+      client.postMessage({ type: "open-view", view });
+      return;
+    }
+    await self.clients.openWindow(`./?view=${encodeURIComponent(view)}`);
+  })());
+});
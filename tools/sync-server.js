@@ -0,0 +1,122 @@
+/* Idea Vault — local stand-in sync server
+   A tiny GET/PUT file store with ETags, enough for the app's REST / WebDAV sync adapter.
+   No dependencies. Not meant for the internet: no TLS, optional Basic auth only.
+
+   node tools/sync-server.js [dir] [port]
+   SYNC_ORIGIN lists the origin(s) the app is served from (comma-separated, e.g.
+   http://localhost:8080). Browser requests from any other origin are refused, so other
+   websites can't read or overwrite the vault.
+   SYNC_USER / SYNC_PASS env vars turn on Basic auth.
+*/
+
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const ROOT = path.resolve(process.argv[2] || "sync-data");
+const PORT = Number(process.argv[3] || process.env.PORT || 8787);
+const AUTH = process.env.SYNC_USER || process.env.SYNC_PASS
+  ? "Basic " + Buffer.from(`${process.env.SYNC_USER || ""}:${process.env.SYNC_PASS || ""}`).toString("base64")
+  : null;
+const ORIGINS = new Set((process.env.SYNC_ORIGIN || "").split(",").map(o => o.trim().replace(/\/+$/, "")).filter(Boolean));
+
+fs.mkdirSync(ROOT, { recursive: true });
+
+function etagOf(buf) {
+  return `"${crypto.createHash("sha1").update(buf).digest("hex")}"`;
+}
+
+// Maps a URL path into ROOT; refuses anything that climbs out of it. undefined for a
+// path that isn't valid percent-encoding.
+function resolvePath(urlPath) {
+  let rel;
+  try {
+    rel = decodeURIComponent(urlPath.split("?")[0]).replace(/^\/+/, "");
+  } catch {
+    return undefined;
+  }
+  const full = path.resolve(ROOT, rel);
+  if (full !== ROOT && !full.startsWith(ROOT + path.sep)) return null;
+  return full;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", c => chunks.push(c));
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+function send(res, status, body="", headers={}) {
+  res.writeHead(status, headers);
+  res.end(body);
+}
+
+const server = http.createServer(async (req, res) => {
+  // No Origin header: not a cross-site browser request (curl, scripts).
+  const origin = req.headers.origin;
+  if (origin && !ORIGINS.has(origin)) return send(res, 403, "Origin not allowed");
+  if (origin) res.setHeader("Access-Control-Allow-Origin", origin);
+  res.setHeader("Vary", "Origin");
+  res.setHeader("Access-Control-Allow-Methods", "GET, HEAD, PUT, MKCOL, DELETE, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Authorization, Content-Type, If-Match, If-None-Match");
+  res.setHeader("Access-Control-Expose-Headers", "ETag");
+  res.setHeader("Cache-Control", "no-store");
+
+  if (req.method === "OPTIONS") return send(res, 204);
+  if (AUTH && req.headers.authorization !== AUTH) {
+    return send(res, 401, "Unauthorized", { "WWW-Authenticate": 'Basic realm="idea-vault"' });
+  }
+
+  const file = resolvePath(req.url);
+  if (file === undefined) return send(res, 400, "Bad Request");
+  if (!file) return send(res, 403, "Forbidden");
+
+  try {
+    const exists = fs.existsSync(file) && fs.statSync(file).isFile();
+    const current = exists ? fs.readFileSync(file) : null;
+    const etag = current ? etagOf(current) : null;
+
+    if (req.method === "GET" || req.method === "HEAD") {
+      if (!current) return send(res, 404, "Not found");
+      return send(res, 200, req.method === "HEAD" ? "" : current, { ETag: etag, "Content-Type": "application/octet-stream" });
+    }
+
+    if (req.method === "PUT") {
+      // Compare-and-swap, so two devices can't overwrite each other's sync document.
+      const ifMatch = req.headers["if-match"];
+      const ifNoneMatch = req.headers["if-none-match"];
+      if (ifMatch && ifMatch !== etag) return send(res, 412, "Precondition Failed");
+      if (ifNoneMatch === "*" && current) return send(res, 412, "Precondition Failed");
+
+      const body = await readBody(req);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, body);
+      return send(res, current ? 204 : 201, "", { ETag: etagOf(body) });
+    }
+
+    if (req.method === "MKCOL") {
+      fs.mkdirSync(file, { recursive: true });
+      return send(res, 201);
+    }
+
+    if (req.method === "DELETE") {
+      if (!current) return send(res, 404, "Not found");
+      fs.unlinkSync(file);
+      return send(res, 204);
+    }
+
+    send(res, 405, "Method Not Allowed");
+  } catch (err) {
+    send(res, 500, String(err?.message || err));
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Idea Vault sync server: http://localhost:${PORT}/ -> ${ROOT}`);
+  if (!ORIGINS.size) console.log("No SYNC_ORIGIN set: browsers can't use this server until it names the app's origin.");
+  else console.log(`Accepting browser requests from: ${[...ORIGINS].join(", ")}`);
+});